@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+
+/**
+ * CLI command to check cdc mode against a recorded binlog fixture
+ * Usage: node src/cli/cdcReplayCheck.js --job <jobname> [--fixture <path>]
+ *
+ * Creates the fixture's table in the job's source and destination databases, replays the fixture
+ * (etl.cdcReplayFile) with the CDC processor and compares the destination rows and the stored
+ * binlog position with the expected ones. The fixture is replayed twice: the second run must
+ * resume after the stored position and apply nothing. The tables are dropped afterwards.
+ *
+ * Options:
+ *   --job       Job name (required), whose source and destination connections are used
+ *   --fixture   Fixture path without extension (default: fixtures/cdc/orders): <path>.jsonl holds
+ *               the change events, <path>.json the table definition and the expected result
+ *   --keep      Keep the tables after the check
+ *   --help      Show help message
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listAvailableJobs, getJobNameFromArgs } = require('../jobConfig');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const showHelp = args.includes('--help') || args.includes('-h');
+const keepTables = args.includes('--keep');
+
+/**
+ * Get the value of a --name value / --name=value option
+ * @param {string} name - Option name without dashes
+ * @returns {string|null} Option value
+ */
+function getOption(name) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith(`--${name}=`)) {
+      return args[i].split('=')[1];
+    }
+    if (args[i] === `--${name}` && args[i + 1]) {
+      return args[i + 1];
+    }
+  }
+  return null;
+}
+
+const fixturePath = path.resolve(getOption('fixture') || 'fixtures/cdc/orders');
+
+// Get job name from arguments
+const jobName = getJobNameFromArgs();
+
+if (showHelp) {
+  console.log(`
+Star Seed X - CDC Replay Check
+
+Usage:
+  npm run cdc:replay-check -- --job <jobname> [--fixture <path>] [--keep]
+
+Options:
+  --job <name>       Job name (required) - name of the config file without .json
+  --fixture <path>   Fixture path without extension (default: fixtures/cdc/orders)
+  --keep             Keep the fixture tables after the check
+  --help, -h         Show this help message
+
+Description:
+  Replays a recorded binlog fixture with the CDC processor into a scratch table
+  created in the job's source and destination databases (a local MariaDB
+  container is enough, no binlog is needed) and checks the destination rows
+  and the stored binlog position. The bundled fixture covers inserts, an
+  update, a primary key change, a delete, changes of another table and an
+  uncommitted transaction.
+
+Examples:
+  npm run cdc:replay-check -- --job job1
+  npm run cdc:replay-check -- --job job1 --fixture fixtures/cdc/orders --keep
+`);
+
+  const jobs = listAvailableJobs();
+  if (jobs.length > 0) {
+    console.log('Available jobs:');
+    jobs.forEach(job => console.log(`  - ${job}`));
+  }
+
+  process.exit(0);
+}
+
+// Validate job name
+if (!jobName) {
+  console.error('========================================');
+  console.error('ERROR: No job name specified');
+  console.error('========================================');
+  console.error('Usage: npm run cdc:replay-check -- --job <jobname> [--fixture <path>]');
+  console.error('');
+
+  const jobs = listAvailableJobs();
+  if (jobs.length > 0) {
+    console.error('Available jobs:');
+    jobs.forEach(job => console.error(`  - ${job}`));
+  }
+
+  process.exit(1);
+}
+
+// Loaded after validation: the config module exits when no job is given
+const config = require('../config');
+const sqliteManager = require('../database/sqlite');
+const MariaDBPool = require('../database/mariadb');
+const CdcLoadProcessor = require('../etl/cdcLoad');
+
+/**
+ * Create the fixture table in a database, replacing an existing one
+ * @param {MariaDBPool} pool - Database pool
+ * @param {Object} fixture - Fixture definition
+ */
+async function createTable(pool, fixture) {
+  await pool.query(`DROP TABLE IF EXISTS \`${fixture.table}\``);
+  await pool.query(fixture.createTable);
+}
+
+/**
+ * Replay the fixture once
+ * @param {MariaDBPool} sourcePool - Source pool
+ * @param {MariaDBPool} destPool - Destination pool
+ * @param {Object} fixture - Fixture definition
+ * @returns {Object} Processing result
+ */
+async function replay(sourcePool, destPool, fixture) {
+  const processor = new CdcLoadProcessor(sourcePool, destPool, fixture.primaryKey, { runId: 'cdc-replay-check' });
+  return await processor.execute();
+}
+
+/**
+ * Compare the destination rows and the stored position with the expected ones
+ * @param {MariaDBPool} destPool - Destination pool
+ * @param {Object} fixture - Fixture definition
+ * @returns {Array} Mismatch descriptions
+ */
+async function checkResult(destPool, fixture) {
+  const problems = [];
+  const orderBy = fixture.primaryKey.map(col => `\`${col}\``).join(', ');
+  const rows = await destPool.query(`SELECT * FROM \`${fixture.table}\` ORDER BY ${orderBy}`);
+  const actual = rows.map(row => JSON.stringify(row));
+  const expected = fixture.expectedRows.map(row => JSON.stringify(row));
+
+  expected.filter(row => !actual.includes(row)).forEach(row => problems.push(`missing row ${row}`));
+  actual.filter(row => !expected.includes(row)).forEach(row => problems.push(`unexpected row ${row}`));
+
+  const position = sqliteManager.getBinlogPosition(fixture.table, fixture.table);
+  const expectedPosition = fixture.expectedPosition;
+  if (!position || position.file !== expectedPosition.file || position.position !== expectedPosition.position) {
+    problems.push(
+      `stored binlog position ${position ? `${position.file}:${position.position}` : 'none'}, ` +
+      `expected ${expectedPosition.file}:${expectedPosition.position}`
+    );
+  }
+  return problems;
+}
+
+async function main() {
+  const fixture = JSON.parse(fs.readFileSync(`${fixturePath}.json`, 'utf8'));
+
+  console.log('========================================');
+  console.log('Star Seed X - CDC Replay Check');
+  console.log(`Job: ${jobName}`);
+  console.log(`Fixture: ${fixturePath}.jsonl`);
+  console.log('========================================');
+
+  // The fixture table replaces the job's tables; other settings (transform hooks, masking ...) are not applied
+  config.useTable({
+    sourceTable: fixture.table,
+    destinationTable: fixture.table,
+    etl: {
+      ...config.etl,
+      primaryKeyColumns: fixture.primaryKey,
+      sqlQuery: 'SELECT * FROM {{table}}',
+      cdcReplayFile: `${fixturePath}.jsonl`,
+      cdcRecordFile: null,
+      columnMap: null,
+      transformModule: null,
+      masking: null,
+      coercion: null
+    }
+  });
+
+  const sourcePool = new MariaDBPool('Source', config.source);
+  const destPool = new MariaDBPool('Destination', config.destination);
+  await sourcePool.initialize();
+  await destPool.initialize();
+  sqliteManager.initialize();
+  sqliteManager.clearAllState(fixture.table, fixture.table);
+
+  let problems = [];
+  try {
+    await createTable(sourcePool, fixture);
+    await createTable(destPool, fixture);
+
+    const first = await replay(sourcePool, destPool, fixture);
+    console.log(`\nFirst replay: ${first.rowsInserted} inserted, ${first.rowsUpdated} updated, ${first.rowsDeleted} deleted`);
+    problems = await checkResult(destPool, fixture);
+
+    // Resuming from the stored position must not apply anything again
+    const second = await replay(sourcePool, destPool, fixture);
+    console.log(`Second replay: ${second.rowsProcessed + second.rowsDeleted} change(s) applied`);
+    if (second.rowsProcessed + second.rowsDeleted > 0) {
+      problems.push('second replay applied changes that were already applied');
+    }
+    problems.push(...await checkResult(destPool, fixture));
+  } finally {
+    if (!keepTables) {
+      await destPool.query(`DROP TABLE IF EXISTS \`${fixture.table}\``);
+      await sourcePool.query(`DROP TABLE IF EXISTS \`${fixture.table}\``);
+      sqliteManager.clearAllState(fixture.table, fixture.table);
+    }
+    sqliteManager.close();
+    await sourcePool.close();
+    await destPool.close();
+  }
+
+  if (problems.length > 0) {
+    console.error(`\n[FAIL] ${problems.length} problem(s):`);
+    [...new Set(problems)].forEach(problem => console.error(`  - ${problem}`));
+    process.exit(1);
+  }
+  console.log(`\n[OK] Destination matches the fixture (${fixture.expectedRows.length} rows)`);
+}
+
+main().catch(error => {
+  console.error(`\n[ERROR] ${error.message}`);
+  process.exit(1);
+});
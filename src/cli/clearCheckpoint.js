@@ -129,23 +129,30 @@ try {
     console.log(`[OK] Cleared ${result1.changes} checkpoint(s)`);
     console.log(`[OK] Cleared ${result2.changes} incremental state record(s)`);
   } else {
-    const sourceTable = config.source.table;
-    const destTable = config.destination.table;
-    
-    console.log(`\nSource table: ${sourceTable}`);
-    console.log(`Destination table: ${destTable}`);
-    console.log('\nClearing checkpoints and incremental state...');
-    
-    const result1 = db.prepare(
-      'DELETE FROM etl_checkpoints WHERE source_table = ? AND destination_table = ?'
-    ).run(sourceTable, destTable);
-    
-    const result2 = db.prepare(
-      'DELETE FROM incremental_state WHERE source_table = ? AND destination_table = ?'
-    ).run(sourceTable, destTable);
-    
-    console.log(`[OK] Cleared ${result1.changes} checkpoint(s)`);
-    console.log(`[OK] Cleared ${result2.changes} incremental state record(s)`);
+    // Multi-table jobs list their tables in "tables" (a source table name or { source, destination })
+    const tablePairs = Array.isArray(config.tables) && config.tables.length > 0
+      ? config.tables.map(entry => {
+        const sourceTable = typeof entry === 'string' ? entry : entry.source;
+        return [sourceTable, (typeof entry === 'object' && entry.destination) || sourceTable];
+      })
+      : [[config.source.table, config.destination.table]];
+
+    for (const [sourceTable, destTable] of tablePairs) {
+      console.log(`\nSource table: ${sourceTable}`);
+      console.log(`Destination table: ${destTable}`);
+      console.log('\nClearing checkpoints and incremental state...');
+      
+      const result1 = db.prepare(
+        'DELETE FROM etl_checkpoints WHERE source_table = ? AND destination_table = ?'
+      ).run(sourceTable, destTable);
+      
+      const result2 = db.prepare(
+        'DELETE FROM incremental_state WHERE source_table = ? AND destination_table = ?'
+      ).run(sourceTable, destTable);
+      
+      console.log(`[OK] Cleared ${result1.changes} checkpoint(s)`);
+      console.log(`[OK] Cleared ${result2.changes} incremental state record(s)`);
+    }
   }
 
   db.close();
@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+
+/**
+ * CLI command to inspect, retry and discard rows stored in the failed_rows (dead-letter) table
+ * Usage: node src/cli/failedRows.js --job <jobname> <list|retry|discard> [options]
+ *
+ * Options:
+ *   --job       Job name (required)
+ *   --status    Status filter for list (pending, retried, discarded, all)
+ *   --limit     Maximum number of rows to list or retry
+ *   --id        Only retry/discard the failed row with this id
+ *   --table     Only handle this table of a multi-table job (source or destination name)
+ *   --all       Discard all pending failed rows
+ *   --help      Show help message
+ */
+
+const { listAvailableJobs, getJobNameFromArgs } = require('../jobConfig');
+
+const COMMANDS = ['list', 'retry', 'discard'];
+const STATUSES = ['pending', 'retried', 'discarded', 'all'];
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const showHelp = args.includes('--help') || args.includes('-h');
+const discardAll = args.includes('--all') || args.includes('-a');
+const command = args.find(arg => COMMANDS.includes(arg));
+
+/**
+ * Get the value of a --name value / --name=value option
+ * @param {string} name - Option name without dashes
+ * @returns {string|null} Option value
+ */
+function getOption(name) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith(`--${name}=`)) {
+      return args[i].split('=')[1];
+    }
+    if (args[i] === `--${name}` && args[i + 1]) {
+      return args[i + 1];
+    }
+  }
+  return null;
+}
+
+const status = getOption('status') || 'pending';
+const limit = parseInt(getOption('limit'), 10) || 1000;
+const id = getOption('id') !== null ? parseInt(getOption('id'), 10) : null;
+const tableName = getOption('table');
+
+// Get job name from arguments
+const jobName = getJobNameFromArgs();
+
+if (showHelp) {
+  console.log(`
+Star Seed X - Failed Rows Utility
+
+Usage:
+  npm run etl:failed-rows -- --job <jobname> list [--status <status>] [--limit N] [--table <name>]
+  npm run etl:failed-rows -- --job <jobname> retry [--id N] [--limit N] [--table <name>]
+  npm run etl:failed-rows -- --job <jobname> discard (--id N | --all) [--table <name>]
+
+Commands:
+  list          List failed rows (default status: pending)
+  retry         Re-apply pending failed rows to the destination table
+  discard       Mark failed rows as discarded so they are no longer retried
+
+Options:
+  --job <name>      Job name (required) - name of the config file without .json
+  --status <status> Status filter for list: pending, retried, discarded, all
+  --limit <n>       Maximum number of rows to list or retry (default: 1000)
+  --id <n>          Only retry/discard the failed row with this id
+  --table <name>    Only handle this table of a multi-table job (default: all tables)
+  --all, -a         Discard all pending failed rows
+  --help, -h        Show this help message
+
+Description:
+  Rows that fail to insert into (or delete from) the destination table are
+  stored in the job's SQLite database with the error and the full row data.
+  Retried rows use the current onConflict setting of their table.
+
+Examples:
+  npm run etl:failed-rows -- --job job1 list
+  npm run etl:failed-rows -- --job job1 list --status all --limit 50
+  npm run etl:failed-rows -- --job job1 retry
+  npm run etl:failed-rows -- --job job1 retry --id 12
+  npm run etl:failed-rows -- --job job1 discard --all
+  npm run etl:failed-rows -- --job job1 list --table orders
+`);
+
+  const jobs = listAvailableJobs();
+  if (jobs.length > 0) {
+    console.log('Available jobs:');
+    jobs.forEach(job => console.log(`  - ${job}`));
+  }
+
+  process.exit(0);
+}
+
+// Validate job name
+if (!jobName) {
+  console.error('========================================');
+  console.error('ERROR: No job name specified');
+  console.error('========================================');
+  console.error('Usage: npm run etl:failed-rows -- --job <jobname> <list|retry|discard>');
+  console.error('');
+
+  const jobs = listAvailableJobs();
+  if (jobs.length > 0) {
+    console.error('Available jobs:');
+    jobs.forEach(job => console.error(`  - ${job}`));
+  }
+
+  process.exit(1);
+}
+
+// Validate command and options
+if (!command) {
+  console.error(`[ERROR] No command specified. Use one of: ${COMMANDS.join(', ')}`);
+  process.exit(1);
+}
+
+if (!STATUSES.includes(status)) {
+  console.error(`[ERROR] Invalid status '${status}'. Use one of: ${STATUSES.join(', ')}`);
+  process.exit(1);
+}
+
+if (command === 'discard' && id === null && !discardAll) {
+  console.error('[ERROR] discard requires --id <n> or --all');
+  process.exit(1);
+}
+
+// Loaded after validation: the config module exits when no job is given
+const config = require('../config');
+const sqliteManager = require('../database/sqlite');
+const MariaDBPool = require('../database/mariadb');
+const SchemaValidator = require('../utils/schemaValidator');
+const PrimaryKey = require('../utils/primaryKey');
+const RowSerializer = require('../utils/rowSerializer');
+const ColumnMap = require('../utils/columnMap');
+const DataMasker = require('../utils/dataMasker');
+const TypeCoercer = require('../utils/typeCoercer');
+const RowTransformer = require('../etl/rowTransformer');
+
+/**
+ * Get the failed rows a command applies to
+ * @returns {Array} Failed row records
+ */
+function selectFailedRows() {
+  if (id !== null) {
+    const failedRow = sqliteManager.getFailedRow(id);
+    if (!failedRow) {
+      throw new Error(`Failed row ${id} not found`);
+    }
+    // Handled while its own table is the current one
+    return failedRow.source_table === config.source.table ? [failedRow] : [];
+  }
+  return sqliteManager.getFailedRows(
+    config.source.table,
+    config.destination.table,
+    status === 'all' ? null : status,
+    discardAll ? -1 : limit
+  );
+}
+
+/**
+ * Print failed rows
+ */
+function listFailedRows() {
+  const failedRows = selectFailedRows();
+  if (failedRows.length === 0) {
+    console.log('\nNo failed rows found.');
+    return;
+  }
+
+  console.log('');
+  for (const failedRow of failedRows) {
+    const key = failedRow.primary_key ? PrimaryKey.format(PrimaryKey.parse(failedRow.primary_key)) : '-';
+    console.log(`#${failedRow.id} [${failedRow.status}] ${failedRow.operation} key=${key} retries=${failedRow.retry_count} (${failedRow.created_at})`);
+    console.log(`    ${failedRow.error_code || 'ERROR'}: ${failedRow.error_message}`);
+  }
+  console.log(`\n[OK] ${failedRows.length} failed row(s)`);
+}
+
+/**
+ * Re-apply a single failed row to the destination table
+ * @param {MariaDBPool} destPool - Destination pool
+ * @param {Object} failedRow - Failed row record
+ */
+async function applyFailedRow(destPool, failedRow) {
+  // Row data is stored under source column names
+  let rowData = RowSerializer.deserialize(failedRow.row_data);
+  let columns = Object.keys(rowData);
+  const columnMap = new ColumnMap(config.etl.columnMap);
+
+  // Rows that failed in a transform hook are stored untransformed: run the hooks again first
+  if (failedRow.operation === 'transform') {
+    if (!config.etl.transformModule) {
+      throw new Error('Job has no transformModule configured');
+    }
+    const transformer = new RowTransformer(config.etl.transformModule);
+    const transformResult = await transformer.transform([rowData], {
+      jobName: config.jobName,
+      runId: failedRow.run_id,
+      mode: 'retry',
+      sourceTable: failedRow.source_table,
+      destinationTable: failedRow.destination_table
+    });
+    if (transformResult.errors.length > 0) {
+      const error = new Error(transformResult.errors[0].error);
+      error.code = transformResult.errors[0].code;
+      throw error;
+    }
+    if (transformResult.rows.length === 0) {
+      // Dropped by the hooks, nothing to write
+      return;
+    }
+    // Stored rows have their masked columns masked: mask only the values the hooks set
+    rowData = new DataMasker(config.etl.masking).maskChangedValues(transformResult.rows[0], rowData);
+    columns = transformer.getOutputColumns(columns);
+  }
+
+  if (failedRow.operation === 'delete') {
+    const deleteSQL = SchemaValidator.buildDeleteStatement(failedRow.destination_table, columns, columnMap);
+    await destPool.queryWithRetry(deleteSQL, columns.map(col => rowData[col]));
+    return;
+  }
+
+  // Coercion rules apply again (coerced values are left unchanged by them)
+  rowData = new TypeCoercer(config.etl.coercion).coerceRow(rowData);
+
+  const insertSQL = SchemaValidator.buildInsertStatement(
+    failedRow.destination_table,
+    columns,
+    config.etl.onConflict,
+    config.etl.primaryKeyColumns.filter(col => columns.includes(col)),
+    1,
+    columnMap
+  );
+  await destPool.queryWithRetry(insertSQL, columnMap.getRowValues(rowData, columns));
+}
+
+/**
+ * Retry pending failed rows against the destination table
+ */
+async function retryFailedRows() {
+  const failedRows = selectFailedRows().filter(failedRow => failedRow.status === 'pending');
+  if (failedRows.length === 0) {
+    console.log('\nNo pending failed rows to retry.');
+    return;
+  }
+
+  const destPool = new MariaDBPool('Destination', config.destination);
+  await destPool.initialize();
+
+  let succeeded = 0;
+  try {
+    for (const failedRow of failedRows) {
+      try {
+        await applyFailedRow(destPool, failedRow);
+        sqliteManager.updateFailedRowStatus(failedRow.id, 'retried');
+        succeeded++;
+        console.log(`[OK] #${failedRow.id} ${failedRow.operation} applied`);
+      } catch (error) {
+        sqliteManager.recordFailedRowRetry(failedRow.id, error.code || null, error.message);
+        console.error(`[ERROR] #${failedRow.id} ${failedRow.operation} failed again: ${error.message}`);
+      }
+    }
+  } finally {
+    await destPool.close();
+  }
+
+  console.log(`\n[OK] ${succeeded} of ${failedRows.length} failed row(s) retried successfully`);
+}
+
+/**
+ * Mark failed rows as discarded
+ */
+function discardFailedRows() {
+  const failedRows = selectFailedRows().filter(failedRow => failedRow.status === 'pending');
+  for (const failedRow of failedRows) {
+    sqliteManager.updateFailedRowStatus(failedRow.id, 'discarded');
+  }
+  console.log(`\n[OK] ${failedRows.length} failed row(s) discarded`);
+}
+
+/**
+ * Get the tables a command applies to
+ * @returns {Array} Table configs
+ */
+function selectTables() {
+  if (!tableName) {
+    return config.tables;
+  }
+  const table = config.findTable(tableName);
+  if (!table) {
+    throw new Error(`Table '${tableName}' is not part of job ${jobName}`);
+  }
+  return [table];
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Star Seed X - Failed Rows');
+  console.log(`Job: ${jobName}`);
+  console.log('========================================');
+
+  const tables = selectTables();
+  sqliteManager.initialize();
+
+  try {
+    for (const table of tables) {
+      config.useTable(table);
+      console.log(`\nSource table: ${config.source.table}`);
+      console.log(`Destination table: ${config.destination.table}`);
+
+      if (command === 'list') {
+        listFailedRows();
+      } else if (command === 'retry') {
+        await retryFailedRows();
+      } else {
+        discardFailedRows();
+      }
+    }
+  } finally {
+    sqliteManager.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`\n[ERROR] ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+/**
+ * CLI command to compare the schema snapshots taken on every ETL run
+ * Usage: node src/cli/schemaDiff.js --job <jobname> [--from <snapshot>] [--to <snapshot>] [options]
+ *
+ * Options:
+ *   --job       Job name (required)
+ *   --from      Snapshot id or run id to compare from (default: last successful run)
+ *   --to        Snapshot id or run id to compare to (default: the current schemas)
+ *   --list      List the snapshots instead of comparing
+ *   --limit     Maximum number of snapshots to list
+ *   --table     Only handle this table of a multi-table job (source or destination name)
+ *   --help      Show help message
+ */
+
+const { listAvailableJobs, getJobNameFromArgs } = require('../jobConfig');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const showHelp = args.includes('--help') || args.includes('-h');
+const listOnly = args.includes('--list') || args.includes('-l');
+
+/**
+ * Get the value of a --name value / --name=value option
+ * @param {string} name - Option name without dashes
+ * @returns {string|null} Option value
+ */
+function getOption(name) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith(`--${name}=`)) {
+      return args[i].split('=')[1];
+    }
+    if (args[i] === `--${name}` && args[i + 1]) {
+      return args[i + 1];
+    }
+  }
+  return null;
+}
+
+const fromSnapshot = getOption('from');
+const toSnapshot = getOption('to');
+const limit = parseInt(getOption('limit'), 10) || 20;
+const tableName = getOption('table');
+
+// Get job name from arguments
+const jobName = getJobNameFromArgs();
+
+if (showHelp) {
+  console.log(`
+Star Seed X - Schema Diff Utility
+
+Usage:
+  npm run schema:diff -- --job <jobname> [--from <snapshot>] [--to <snapshot>] [--table <name>]
+  npm run schema:diff -- --job <jobname> --list [--limit N] [--table <name>]
+
+Options:
+  --job <name>        Job name (required) - name of the config file without .json
+  --from <snapshot>   Snapshot id or run id to compare from (default: last successful run)
+  --to <snapshot>     Snapshot id or run id to compare to (default: current schemas, read
+                      from the source and destination databases)
+  --list, -l          List snapshots (newest first) instead of comparing
+  --limit <n>         Maximum number of snapshots to list (default: 20)
+  --table <name>      Only handle this table of a multi-table job (default: all tables)
+  --help, -h          Show this help message
+
+Description:
+  Every run stores a snapshot of the source table schema, the source query's
+  result columns and the destination table schema in the job's SQLite database.
+  The diff shows added and removed columns, type changes and nullability changes.
+
+Examples:
+  npm run schema:diff -- --job job1
+  npm run schema:diff -- --job job1 --list
+  npm run schema:diff -- --job job1 --from 12 --to 15
+  npm run schema:diff -- --job job1 --table orders
+`);
+
+  const jobs = listAvailableJobs();
+  if (jobs.length > 0) {
+    console.log('Available jobs:');
+    jobs.forEach(job => console.log(`  - ${job}`));
+  }
+
+  process.exit(0);
+}
+
+// Validate job name
+if (!jobName) {
+  console.error('========================================');
+  console.error('ERROR: No job name specified');
+  console.error('========================================');
+  console.error('Usage: npm run schema:diff -- --job <jobname> [--from <snapshot>] [--to <snapshot>]');
+  console.error('');
+
+  const jobs = listAvailableJobs();
+  if (jobs.length > 0) {
+    console.error('Available jobs:');
+    jobs.forEach(job => console.error(`  - ${job}`));
+  }
+
+  process.exit(1);
+}
+
+// Loaded after validation: the config module exits when no job is given
+const config = require('../config');
+const sqliteManager = require('../database/sqlite');
+const MariaDBPool = require('../database/mariadb');
+const SchemaSnapshot = require('../utils/schemaSnapshot');
+const QueryTemplate = require('../utils/queryTemplate');
+
+/**
+ * Print the snapshots of the current table
+ */
+function listSnapshots() {
+  const snapshots = sqliteManager.getSchemaSnapshots(config.source.table, config.destination.table, limit);
+  if (snapshots.length === 0) {
+    console.log('\nNo schema snapshots found.');
+    return;
+  }
+
+  console.log('');
+  for (const snapshot of snapshots) {
+    const hashes = ['source', 'query', 'destination']
+      .map(kind => `${kind}=${(snapshot[`${kind}_hash`] || '-').slice(0, 12)}`)
+      .join(' ');
+    console.log(`#${snapshot.id} [${snapshot.run_status || 'unknown'}] run=${snapshot.run_id} (${snapshot.created_at})`);
+    console.log(`    ${hashes}`);
+  }
+  console.log(`\n[OK] ${snapshots.length} snapshot(s)`);
+}
+
+/**
+ * Load a stored snapshot of the current table
+ * @param {string} idOrRunId - Snapshot id or run id
+ * @returns {Object} Snapshot with schemas
+ */
+function loadSnapshot(idOrRunId) {
+  const snapshot = sqliteManager.getSchemaSnapshot(idOrRunId);
+  if (!snapshot) {
+    throw new Error(`Schema snapshot ${idOrRunId} not found`);
+  }
+  if (snapshot.source_table !== config.source.table || snapshot.destination_table !== config.destination.table) {
+    throw new Error(`Schema snapshot ${idOrRunId} belongs to ${snapshot.source_table} -> ${snapshot.destination_table}`);
+  }
+  return snapshot;
+}
+
+/**
+ * Read the current schemas of the current table from the databases
+ * @param {Object} pools - { sourcePool, destPool }, created on first use
+ * @returns {Object} Snapshot-like object with schemas
+ */
+async function captureCurrent(pools) {
+  if (!pools.sourcePool) {
+    pools.sourcePool = new MariaDBPool('Source', config.source);
+    pools.destPool = new MariaDBPool('Destination', config.destination);
+    await pools.sourcePool.initialize();
+    await pools.destPool.initialize();
+  }
+
+  // Template values only matter for the result columns, so {{lastValue}} is left unbound (NULL)
+  const sourceQuery = QueryTemplate.render(config.etl.sqlQuery, {
+    table: config.source.table,
+    jobName,
+    runStartedAt: new Date()
+  });
+  const schemas = await SchemaSnapshot.capture(
+    pools.sourcePool,
+    pools.destPool,
+    config.source.table,
+    config.destination.table,
+    sourceQuery
+  );
+  return { label: 'now', schemas };
+}
+
+/**
+ * Compare two snapshots of the current table
+ * @param {Object} pools - { sourcePool, destPool }, created when the current schemas are needed
+ * @returns {number} Number of changes
+ */
+async function diffSnapshots(pools) {
+  let from;
+  if (fromSnapshot) {
+    from = loadSnapshot(fromSnapshot);
+  } else {
+    from = sqliteManager.getLastSuccessfulSchemaSnapshot(config.source.table, config.destination.table);
+    if (!from) {
+      console.log('\nNo snapshot of a successful run found. Use --from <snapshot>.');
+      return 0;
+    }
+  }
+  const to = toSnapshot ? loadSnapshot(toSnapshot) : await captureCurrent(pools);
+
+  const describe = snapshot => snapshot.label || `#${snapshot.id} (${snapshot.created_at}, run ${snapshot.run_id})`;
+  console.log(`\nComparing ${describe(from)} -> ${describe(to)}`);
+
+  let total = 0;
+  for (const [kind, label] of Object.entries(SchemaSnapshot.SCHEMA_KINDS)) {
+    const before = from.schemas[kind];
+    const after = to.schemas[kind];
+    if (!before || !after) {
+      console.log(`\n${label}: not captured`);
+      continue;
+    }
+
+    const changes = SchemaSnapshot.diff(before, after);
+    total += changes.length;
+    console.log(`\n${label}: ${changes.length === 0 ? 'no changes' : `${changes.length} change(s)`}`);
+    changes.forEach(change => console.log(`  ${SchemaSnapshot.formatChange(change)}`));
+  }
+  return total;
+}
+
+/**
+ * Get the tables a command applies to
+ * @returns {Array} Table configs
+ */
+function selectTables() {
+  if (!tableName) {
+    return config.tables;
+  }
+  const table = config.findTable(tableName);
+  if (!table) {
+    throw new Error(`Table '${tableName}' is not part of job ${jobName}`);
+  }
+  return [table];
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Star Seed X - Schema Diff');
+  console.log(`Job: ${jobName}`);
+  console.log('========================================');
+
+  const tables = selectTables();
+  const pools = { sourcePool: null, destPool: null };
+  sqliteManager.initialize();
+
+  try {
+    let total = 0;
+    for (const table of tables) {
+      config.useTable(table);
+      console.log(`\nSource table: ${config.source.table}`);
+      console.log(`Destination table: ${config.destination.table}`);
+
+      if (listOnly) {
+        listSnapshots();
+      } else {
+        total += await diffSnapshots(pools);
+      }
+    }
+
+    if (!listOnly) {
+      console.log(`\n[OK] ${total} schema change(s)`);
+    }
+  } finally {
+    sqliteManager.close();
+    if (pools.sourcePool) {
+      await pools.sourcePool.close();
+      await pools.destPool.close();
+    }
+  }
+}
+
+main().catch(error => {
+  console.error(`\n[ERROR] ${error.message}`);
+  process.exit(1);
+});
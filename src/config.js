@@ -3,6 +3,7 @@
  * Supports job-specific configuration files in config/{jobName}.json
  */
 const { currentJobName, loadJobConfig, listAvailableJobs } = require('./jobConfig');
+const PrimaryKey = require('./utils/primaryKey');
 
 // Validate that a job name is provided
 if (!currentJobName) {
@@ -31,6 +32,133 @@ if (!currentJobName) {
 // Load job-specific configuration
 const jobConfig = loadJobConfig(currentJobName);
 
+/**
+ * Build the ETL settings from a raw etl section (the job's, merged with a tables entry's overrides)
+ * @param {Object} etl - Raw etl settings
+ * @returns {Object} ETL settings with defaults applied
+ */
+function buildEtlConfig(etl) {
+  return {
+    batchSize: etl.batchSize || 1000,
+    // 'fixed' (every batch has batchSize rows) or 'adaptive' (tuned from read/write time and row size, see etl/batchSizer.js)
+    batchSizeMode: etl.batchSizeMode || 'fixed',
+    batchSizeMin: etl.batchSizeMin ?? 100,
+    batchSizeMax: etl.batchSizeMax ?? 50000,
+    batchTargetMs: etl.batchTargetMs ?? 2000,
+    batchMaxBytes: etl.batchMaxBytes ?? 16777216,
+    primaryKeyColumn: etl.primaryKeyColumn || 'id',
+    // Normalized key column list (primaryKeyColumn may be a single name or an array for composite keys)
+    primaryKeyColumns: PrimaryKey.normalize(etl.primaryKeyColumn || 'id'),
+    deletedFlagColumn: etl.deletedFlagColumn || 'is_deleted',
+    updatedAtColumn: etl.updatedAtColumn || null,
+    sqlQuery: etl.sqlQuery || 'SELECT * FROM {{table}}',
+    // Mode used on every run instead of automatic detection (e.g. 'reload'), null = detect
+    mode: etl.mode || null,
+    reloadMaxRows: etl.reloadMaxRows || 100000,
+    // Binlog change data capture (cdc mode): replica server id (null = derived), resume by GTID,
+    // stop after this many ms without events, replay/record change events from/to a fixture file
+    cdcServerId: etl.cdcServerId || null,
+    cdcUseGtid: etl.cdcUseGtid || false,
+    cdcIdleTimeout: etl.cdcIdleTimeout || 5000,
+    cdcReplayFile: etl.cdcReplayFile || null,
+    cdcRecordFile: etl.cdcRecordFile || null,
+    cronSchedule: etl.cronSchedule || '*/5 * * * *',
+    reconcileSchedule: etl.reconcileSchedule || null,
+    maxRetries: etl.maxRetries || 3,
+    retryDelay: etl.retryDelay || 1000,
+    forceFullRefresh: etl.forceFullRefresh || false,
+    recordDelay: etl.recordDelay || 0,
+    onConflict: etl.onConflict || 'fail',
+    insertMode: etl.insertMode || 'row',
+    maxPacketSize: etl.maxPacketSize || 4194304,
+    // Error thresholds per batch (null = disabled, 0 = abort on the first failed row)
+    maxErrorRate: etl.maxErrorRate ?? null,
+    maxErrorsPerBatch: etl.maxErrorsPerBatch ?? null,
+    // Source-to-destination column renames, drops and added columns (see utils/columnMap.js)
+    columnMap: etl.columnMap || null,
+    // Local JS module exporting transformRow(row, context) and/or transformBatch(rows, context)
+    transformModule: etl.transformModule || null,
+    // PII masking rules per source column (see utils/dataMasker.js)
+    masking: etl.masking || null,
+    // Type coercion rules per source column, applied after masking (see utils/typeCoercer.js)
+    coercion: etl.coercion || null,
+    // Full load target: 'direct' (into the live table) or 'swap' (shadow table + RENAME)
+    fullLoadStrategy: etl.fullLoadStrategy || 'direct',
+    swapGenerations: etl.swapGenerations ?? 1,
+    // Source reads of full and incremental loads: 'batch' (one LIMIT query per batch) or 'stream' (one streamed query)
+    extractStrategy: etl.extractStrategy || 'batch',
+    // Source batches fetched ahead while a batch is written (0 = off), and the cap on their estimated size
+    prefetchDepth: etl.prefetchDepth ?? 0,
+    prefetchMaxBytes: etl.prefetchMaxBytes ?? 67108864,
+    // Read a full load from one consistent source snapshot and store its binlog position for CDC
+    consistentSnapshot: etl.consistentSnapshot || false,
+    // Split the full load into key ranges loaded concurrently ('minmax' or 'sample' boundaries)
+    fullLoadRanges: etl.fullLoadRanges ?? 1,
+    fullLoadRangeSplit: etl.fullLoadRangeSplit || 'minmax',
+    // Create a missing destination table from the source DDL or query metadata, optionally without foreign keys
+    createDestinationIfMissing: etl.createDestinationIfMissing || false,
+    createDestinationStripForeignKeys: etl.createDestinationStripForeignKeys || false,
+    // Source columns missing in the destination: 'fail', 'ignore-new' or 'add-columns'
+    schemaEvolution: etl.schemaEvolution || 'fail'
+  };
+}
+
+/**
+ * Settings that apply to the whole job and cannot be overridden per table
+ */
+const JOB_LEVEL_SETTINGS = ['cronSchedule', 'reconcileSchedule'];
+
+/**
+ * Build the list of tables a job processes.
+ * A job either names one table pair in source.table / destination.table, or lists several in a
+ * "tables" array whose entries are a source table name or { source, destination, ...etl overrides }.
+ * @param {Object} jobConfig - Raw job configuration
+ * @returns {Array} Table configs: { sourceTable, destinationTable, etl }
+ */
+function buildTableConfigs(jobConfig) {
+  if (!Array.isArray(jobConfig.tables) || jobConfig.tables.length === 0) {
+    return [{
+      sourceTable: jobConfig.source.table,
+      destinationTable: jobConfig.destination.table,
+      etl: buildEtlConfig(jobConfig.etl)
+    }];
+  }
+
+  const errors = [];
+  const tables = jobConfig.tables.map((entry, index) => {
+    const { source, destination, ...overrides } = typeof entry === 'string' ? { source: entry } : (entry || {});
+    if (!source) {
+      errors.push(`tables[${index}] has no source table`);
+    }
+    for (const key of JOB_LEVEL_SETTINGS.filter(key => key in overrides)) {
+      errors.push(`tables[${index}] cannot override ${key} (it applies to the whole job)`);
+    }
+    return {
+      sourceTable: source,
+      destinationTable: destination || source,
+      etl: buildEtlConfig({ ...jobConfig.etl, ...overrides })
+    };
+  });
+
+  const destinations = tables.map(table => table.destinationTable);
+  const duplicates = destinations.filter((table, index) => table && destinations.indexOf(table) !== index);
+  if (duplicates.length > 0) {
+    errors.push(`destination table(s) listed more than once: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    console.error('========================================');
+    console.error('ERROR: Invalid tables configuration');
+    console.error('========================================');
+    errors.forEach(error => console.error(`  - ${error}`));
+    console.error('========================================');
+    process.exit(1);
+  }
+  return tables;
+}
+
+const tables = buildTableConfigs(jobConfig);
+
 /**
  * Configuration object for ETL pipeline
  */
@@ -42,7 +170,7 @@ const appConfig = {
     user: jobConfig.source.user,
     password: jobConfig.source.password,
     database: jobConfig.source.database,
-    table: jobConfig.source.table,
+    table: tables[0].sourceTable,
     connectionPoolSize: jobConfig.source.connectionPoolSize || 5,
     queryTimeout: jobConfig.source.queryTimeout || 300000,
     maxRetries: jobConfig.source.maxRetries || 3,
@@ -54,23 +182,16 @@ const appConfig = {
     user: jobConfig.destination.user,
     password: jobConfig.destination.password,
     database: jobConfig.destination.database,
-    table: jobConfig.destination.table,
+    table: tables[0].destinationTable,
     connectionPoolSize: jobConfig.destination.connectionPoolSize || 5,
     queryTimeout: jobConfig.destination.queryTimeout || 300000,
     maxRetries: jobConfig.destination.maxRetries || 3,
     retryDelay: jobConfig.destination.retryDelay || 1000
   },
-  etl: {
-    batchSize: jobConfig.etl.batchSize || 1000,
-    primaryKeyColumn: jobConfig.etl.primaryKeyColumn || 'id',
-    deletedFlagColumn: jobConfig.etl.deletedFlagColumn || 'is_deleted',
-    sqlQuery: jobConfig.etl.sqlQuery || 'SELECT * FROM {{table}}',
-    cronSchedule: jobConfig.etl.cronSchedule || '*/5 * * * *',
-    maxRetries: jobConfig.etl.maxRetries || 3,
-    retryDelay: jobConfig.etl.retryDelay || 1000,
-    forceFullRefresh: jobConfig.etl.forceFullRefresh || false,
-    recordDelay: jobConfig.etl.recordDelay || 0
-  },
+  // Settings of the table being processed (see useTable)
+  etl: tables[0].etl,
+  // Tables processed by the job, in configuration order
+  tables,
   sqlite: {
     dbPath: jobConfig.sqlite.dbPath
   },
@@ -80,4 +201,25 @@ const appConfig = {
   }
 };
 
+/**
+ * Make a table of the job the current one: source.table, destination.table and etl then describe it
+ * @param {Object} table - Entry of appConfig.tables
+ */
+appConfig.useTable = function useTable(table) {
+  appConfig.source.table = table.sourceTable;
+  appConfig.destination.table = table.destinationTable;
+  appConfig.etl = table.etl;
+};
+
+/**
+ * Find a table of the job by source or destination table name
+ * @param {string} name - Table name
+ * @returns {Object|null} Entry of appConfig.tables
+ */
+appConfig.findTable = function findTable(name) {
+  return tables.find(table => table.sourceTable === name) ||
+    tables.find(table => table.destinationTable === name) ||
+    null;
+};
+
 module.exports = appConfig;
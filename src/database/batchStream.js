@@ -0,0 +1,81 @@
+const logger = require('../logger');
+
+/**
+ * Rows of a streamed query (etl.extractStrategy "stream"), handed out in batches
+ *
+ * The query runs once; rows are pulled from the driver's queryStream only when the next batch is
+ * requested. While a batch is being written the stream buffer fills up and the driver pauses the
+ * socket, so the source sends no more rows than the ETL can keep up with.
+ */
+class BatchStream {
+  /**
+   * @param {Readable} stream - Object-mode row stream from connection.queryStream()
+   * @param {number} batchSize - Rows per batch
+   * @param {Object} conn - Connection running the query
+   * @param {boolean} ownsConnection - Release the connection when the stream ends (false for borrowed
+   *   connections, e.g. a consistent snapshot, which must stay usable)
+   */
+  constructor(stream, batchSize, conn, ownsConnection) {
+    this.stream = stream;
+    this.iterator = stream[Symbol.asyncIterator]();
+    this.batchSize = batchSize;
+    this.conn = conn;
+    this.ownsConnection = ownsConnection;
+    this.done = false;
+    this.closed = false;
+  }
+
+  /**
+   * Read the next batch
+   * @param {number} batchSize - Rows per batch (default: the size given to the constructor)
+   * @returns {Array} Up to batchSize rows, an empty array once all rows were read
+   */
+  async next(batchSize = this.batchSize) {
+    const rows = [];
+    while (!this.done && rows.length < batchSize) {
+      const { value, done } = await this.iterator.next();
+      if (done) {
+        this.done = true;
+      } else {
+        rows.push(value);
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * End the stream and give back the connection
+   * A stream closed before its last row is aborted: an owned connection is destroyed (the server
+   * would otherwise send the remaining rows), a borrowed one skips the remaining rows.
+   */
+  async close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    if (!this.done) {
+      logger.debug('Aborting streamed query before its last row');
+      if (this.ownsConnection) {
+        // The driver reports the closed socket as a stream error
+        this.stream.on('error', () => {});
+        this.conn.destroy();
+        return;
+      }
+      this.stream.close();
+      try {
+        while (!(await this.iterator.next()).done) {
+          // Rows are no longer pushed after close(); wait for the end of the result
+        }
+      } catch (error) {
+        logger.debug(`Streamed query ended with an error: ${error.message}`);
+      }
+    }
+
+    if (this.ownsConnection) {
+      this.conn.release();
+    }
+  }
+}
+
+module.exports = BatchStream;
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const logger = require('../logger');
+
+/**
+ * Row-based binlog reader for change data capture (cdc mode).
+ * Connects to the source server as a replication client and turns row events of one table into
+ * change events:
+ *   { type: 'insert' | 'update' | 'delete', schema, table, row, before }  (before: update only)
+ *   { type: 'commit', file, position, gtid }                             (end of a source transaction)
+ *
+ * A read starts after a stored position and ends once the stop position has been reached, or when no
+ * event arrived for idleTimeout ms. Events are handed to the handler one at a time; the replication
+ * connection is paused while too many events are waiting.
+ */
+class BinlogReader {
+  /**
+   * @param {Object} connectionConfig - Source connection settings (host, port, user, password, database)
+   * @param {string} table - Source table name
+   * @param {Object} options - Reader options
+   * @param {number} options.serverId - Replica server id (must be unique among the source's replicas)
+   * @param {boolean} options.useGtid - Resume from the stored GTID position instead of file/position
+   * @param {number} options.idleTimeout - Stop after this many ms without events
+   * @param {number} options.highWaterMark - Pause the replication connection when this many events are waiting
+   */
+  constructor(connectionConfig, table, options = {}) {
+    this.connectionConfig = connectionConfig;
+    this.database = connectionConfig.database;
+    this.table = table;
+    this.serverId = options.serverId || BinlogReader.defaultServerId(`${connectionConfig.host}/${connectionConfig.database}/${table}`);
+    this.useGtid = options.useGtid || false;
+    this.idleTimeout = options.idleTimeout || 5000;
+    this.highWaterMark = options.highWaterMark || 1000;
+  }
+
+  /**
+   * Read change events between two binlog positions
+   * @param {Object} startPosition - { file, position, gtid } to resume after
+   * @param {Object|null} stopPosition - { file, position } to stop at, null to read until idle
+   * @param {Function} handler - async (event) => void, called for every event in order
+   */
+  async read(startPosition, stopPosition, handler) {
+    // The client library is an ES module, so it is loaded on first use
+    const { default: ZongJi } = await import('@vlasky/zongji');
+
+    const zongji = new ZongJi({
+      host: this.connectionConfig.host,
+      port: this.connectionConfig.port,
+      user: this.connectionConfig.user,
+      password: this.connectionConfig.password
+    });
+
+    const startOptions = {
+      serverId: this.serverId,
+      includeEvents: ['tablemap', 'writerows', 'updaterows', 'deleterows', 'xid', 'query', 'rotate'],
+      includeSchema: { [this.database]: [this.table] }
+    };
+    if (this.useGtid && startPosition.gtid) {
+      startOptions.gtidSet = startPosition.gtid;
+      logger.info(`Reading binlog from GTID position ${startPosition.gtid}`);
+    } else {
+      startOptions.filename = startPosition.file;
+      startOptions.position = startPosition.position;
+      logger.info(`Reading binlog from ${startPosition.file}:${startPosition.position}`);
+    }
+
+    await new Promise((resolve, reject) => {
+      const queue = [];
+      let consuming = false;
+      let ended = false;
+      let failed = false;
+      let idleTimer = null;
+
+      const end = (error) => {
+        clearTimeout(idleTimer);
+        if (!ended) {
+          ended = true;
+          zongji.stop();
+        }
+        if (error && !failed) {
+          failed = true;
+          reject(error);
+        } else if (!failed && !consuming && queue.length === 0) {
+          resolve();
+        }
+      };
+
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          logger.debug(`No binlog events for ${this.idleTimeout}ms, stopping`);
+          end();
+        }, this.idleTimeout);
+      };
+
+      const consume = async () => {
+        if (consuming) {
+          return;
+        }
+        consuming = true;
+        try {
+          while (queue.length > 0 && !failed) {
+            await handler(queue.shift());
+            if (queue.length < this.highWaterMark / 2 && zongji.connection) {
+              zongji.connection.resume();
+            }
+          }
+        } catch (error) {
+          consuming = false;
+          end(error);
+          return;
+        }
+        consuming = false;
+        if (ended) {
+          end();
+        }
+      };
+
+      zongji.on('binlog', event => {
+        if (ended) {
+          return;
+        }
+        resetIdleTimer();
+
+        for (const change of this.toChangeEvents(event, zongji)) {
+          queue.push(change);
+
+          if (change.type === 'commit' && stopPosition &&
+              BinlogReader.comparePositions(change, stopPosition) >= 0) {
+            logger.debug(`Reached stop position ${stopPosition.file}:${stopPosition.position}`);
+            ended = true;
+            clearTimeout(idleTimer);
+            zongji.stop();
+            break;
+          }
+        }
+
+        if (queue.length >= this.highWaterMark && zongji.connection) {
+          zongji.connection.pause();
+        }
+        consume();
+      });
+
+      zongji.on('error', error => end(new Error(`Binlog reader error: ${error.message}`)));
+      zongji.on('ready', resetIdleTimer);
+
+      zongji.start(startOptions);
+    });
+  }
+
+  /**
+   * Convert a binlog event into change events
+   * @param {Object} event - Binlog event
+   * @param {Object} zongji - Replication client (for the current resume position)
+   * @returns {Array} Change events
+   */
+  toChangeEvents(event, zongji) {
+    const name = event.getEventName();
+
+    if (name === 'writerows' || name === 'updaterows' || name === 'deleterows') {
+      const tableInfo = event.tableMap[event.tableId];
+      const source = { schema: tableInfo.parentSchema, table: tableInfo.tableName };
+      if (name === 'writerows') {
+        return event.rows.map(row => ({ type: 'insert', ...source, row }));
+      }
+      if (name === 'updaterows') {
+        return event.rows.map(({ before, after }) => ({ type: 'update', ...source, row: after, before }));
+      }
+      return event.rows.map(row => ({ type: 'delete', ...source, row }));
+    }
+
+    // Transaction boundaries: XID (transactional engines), COMMIT, or a statement that commits on its own (DDL)
+    const isCommit = name === 'xid' ||
+      (name === 'query' && !/^(BEGIN|XA\s+(START|END|PREPARE)|SAVEPOINT)/i.test(event.query.trim()));
+    if (isCommit) {
+      return [{
+        type: 'commit',
+        file: zongji.get('filename'),
+        position: zongji.get('position'),
+        gtid: zongji.gtidSet || null
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Compare two binlog file/position pairs
+   * @param {Object} a - { file, position }
+   * @param {Object} b - { file, position }
+   * @returns {number} Negative, zero or positive like a sort comparator
+   */
+  static comparePositions(a, b) {
+    // Binlog file names share a base name and a sequence number, zero-padded to six digits only:
+    // mysql-bin.999999 is followed by mysql-bin.1000000, so the number is compared, not the name
+    if (a.file !== b.file) {
+      const sequenceA = BinlogReader.fileSequence(a.file);
+      const sequenceB = BinlogReader.fileSequence(b.file);
+      if (sequenceA !== sequenceB) {
+        return sequenceA < sequenceB ? -1 : 1;
+      }
+      return a.file < b.file ? -1 : 1;
+    }
+    return Number(a.position) - Number(b.position);
+  }
+
+  /**
+   * Sequence number of a binlog file (the numeric extension of mysql-bin.000042)
+   * @param {string} file - Binlog file name
+   * @returns {number} Sequence number (-1 when the name has none)
+   */
+  static fileSequence(file) {
+    const match = /\.(\d+)$/.exec(file);
+    return match ? Number(match[1]) : -1;
+  }
+
+  /**
+   * Derive a stable replica server id when none is configured
+   * @param {string} seed - Value identifying the reader
+   * @returns {number} Server id
+   */
+  static defaultServerId(seed) {
+    const hash = crypto.createHash('sha256').update(seed).digest();
+    // Stay clear of small ids, which are typically assigned to real servers
+    return 100000 + (hash.readUInt32BE(0) % 2000000000);
+  }
+}
+
+module.exports = BinlogReader;
@@ -1,5 +1,9 @@
 const mariadb = require('mariadb');
 const logger = require('../logger');
+const FieldType = require('mariadb/lib/const/field-type');
+const FieldDetails = require('mariadb/lib/const/field-detail');
+const QueryBuilder = require('../utils/queryBuilder');
+const BatchStream = require('./batchStream');
 
 /**
  * MariaDB connection pool manager with transaction support, retry logic, and timeouts
@@ -34,7 +38,9 @@ class MariaDBPool {
         socketTimeout: this.queryTimeout, // Socket timeout for long queries
         minimumIdle: 1,
         bigIntAsNumber: true,  // Convert BigInt to Number
-        insertIdAsNumber: true // Convert insert ID to Number
+        insertIdAsNumber: true, // Convert insert ID to Number
+        // Affected rows count changed rows only, so an unchanged upsert reports 0 (see SchemaValidator.classifyWriteResult)
+        foundRows: false
       });
 
       logger.info(`${this.name} MariaDB pool initialized successfully`);
@@ -178,6 +184,54 @@ class MariaDBPool {
     }
   }
 
+  /**
+   * Begin a read-only transaction on a consistent snapshot and return its connection
+   * Every read on the connection sees the data as of the start of the transaction (REPEATABLE READ),
+   * until the transaction is ended with commitTransaction or rollbackTransaction.
+   * @returns {Object} { conn, position } - position is the binlog position of the snapshot
+   *   ({ file, position, gtid }), null when binary logging is disabled
+   */
+  async beginConsistentSnapshot() {
+    const conn = await this.getConnection();
+    try {
+      // Applies to the next transaction only, so the pooled connection keeps its session settings
+      await conn.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+      await conn.query('START TRANSACTION WITH CONSISTENT SNAPSHOT, READ ONLY');
+      const position = await this.getSnapshotPosition(conn);
+      logger.debug(`${this.name} consistent snapshot started`);
+      return { conn, position };
+    } catch (error) {
+      conn.release();
+      throw error;
+    }
+  }
+
+  /**
+   * Get the binlog position matching the consistent snapshot of a connection
+   * MariaDB reports it in the binlog_snapshot_file / binlog_snapshot_position status variables.
+   * @param {Object} conn - Connection with a consistent snapshot transaction
+   * @returns {Object|null} { file, position, gtid } - null when binary logging is disabled
+   */
+  async getSnapshotPosition(conn) {
+    const rows = await conn.query("SHOW STATUS LIKE 'binlog_snapshot_%'");
+    const status = Object.fromEntries(rows.map(row => [row.Variable_name.toLowerCase(), row.Value]));
+    if (!status.binlog_snapshot_file) {
+      return null;
+    }
+
+    const file = status.binlog_snapshot_file;
+    const position = Number(status.binlog_snapshot_position);
+    let gtid = null;
+    try {
+      const result = await conn.query('SELECT BINLOG_GTID_POS(?, ?) AS gtid', [file, position]);
+      gtid = result[0].gtid || null;
+    } catch (error) {
+      logger.debug(`${this.name}: GTID position of the snapshot not available: ${error.message}`);
+    }
+
+    return { file, position, gtid };
+  }
+
   /**
    * Execute a query within a transaction
    * @param {Object} conn - Connection with active transaction
@@ -220,6 +274,27 @@ class MariaDBPool {
     throw lastError;
   }
 
+  /**
+   * Run a query once and stream its rows in batches (no retry: a failed stream fails the caller)
+   * @param {string} sql - SQL query
+   * @param {Array} params - Query parameters
+   * @param {number} batchSize - Rows per batch
+   * @param {Object} conn - Connection to run the query on (optional, e.g. a consistent snapshot);
+   *   a pooled connection is used and released when omitted
+   * @returns {BatchStream} Batches of rows; must be closed by the caller
+   */
+  async streamQuery(sql, params = [], batchSize, conn = null) {
+    const streamConn = conn || await this.getConnection();
+    try {
+      return new BatchStream(streamConn.queryStream(sql, params), batchSize, streamConn, !conn);
+    } catch (error) {
+      if (!conn) {
+        streamConn.release();
+      }
+      throw error;
+    }
+  }
+
   /**
    * Test connection to the database
    */
@@ -248,6 +323,8 @@ class MariaDBPool {
       SELECT 
         COLUMN_NAME, 
         DATA_TYPE, 
+        COLUMN_TYPE,
+        CHARACTER_MAXIMUM_LENGTH,
         IS_NULLABLE, 
         COLUMN_KEY,
         COLUMN_DEFAULT,
@@ -281,6 +358,47 @@ class MariaDBPool {
     return Number(result[0].count);
   }
 
+  /**
+   * Get the estimated row count of a table from the table statistics (no table scan)
+   * @param {string} tableName - Table name
+   * @returns {number} Estimated row count, 0 when the statistics have none
+   */
+  async getEstimatedRowCount(tableName) {
+    const sql = `
+      SELECT TABLE_ROWS
+      FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?
+    `;
+    const result = await this.query(sql, [this.config.database, tableName]);
+    return result.length > 0 ? Number(result[0].TABLE_ROWS) || 0 : 0;
+  }
+
+  /**
+   * Check whether a table has an index whose leading columns are the given columns, in order
+   * @param {string} tableName - Table name
+   * @param {Array} columns - Column names
+   * @returns {boolean} True when an index returns rows in the order of the columns
+   */
+  async hasIndexOn(tableName, columns) {
+    const sql = `
+      SELECT INDEX_NAME, COLUMN_NAME
+      FROM INFORMATION_SCHEMA.STATISTICS
+      WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?
+      ORDER BY INDEX_NAME, SEQ_IN_INDEX
+    `;
+    const rows = await this.query(sql, [this.config.database, tableName]);
+    const indexes = new Map();
+    for (const row of rows) {
+      if (!indexes.has(row.INDEX_NAME)) {
+        indexes.set(row.INDEX_NAME, []);
+      }
+      indexes.get(row.INDEX_NAME).push(row.COLUMN_NAME.toLowerCase());
+    }
+    return [...indexes.values()].some(indexColumns =>
+      columns.every((column, i) => indexColumns[i] === column.toLowerCase())
+    );
+  }
+
   /**
    * Check if column exists in table
    */
@@ -299,12 +417,78 @@ class MariaDBPool {
       .map(col => col.COLUMN_NAME);
   }
 
+  /**
+   * Get the foreign key relationships between tables of the database
+   * @returns {Array} { TABLE_NAME, REFERENCED_TABLE_NAME } pairs (child table, parent table)
+   */
+  async getForeignKeys() {
+    const sql = `
+      SELECT DISTINCT TABLE_NAME, REFERENCED_TABLE_NAME
+      FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE
+      WHERE TABLE_SCHEMA = ? AND REFERENCED_TABLE_SCHEMA = ? AND REFERENCED_TABLE_NAME IS NOT NULL
+    `;
+    return await this.query(sql, [this.config.database, this.config.database]);
+  }
+
+  /**
+   * Get the CREATE TABLE statement of a table
+   * @param {string} tableName - Table name
+   * @returns {string} SHOW CREATE TABLE output
+   */
+  async getCreateTableStatement(tableName) {
+    const result = await this.query(`SHOW CREATE TABLE \`${tableName}\``);
+    return result[0]['Create Table'];
+  }
+
+  /**
+   * Get the server's current binlog position
+   * @returns {Object} { file, position, gtid } - gtid is the MariaDB gtid_binlog_pos (null if unavailable)
+   */
+  async getBinlogPosition() {
+    const status = await this.query('SHOW MASTER STATUS');
+    if (status.length === 0) {
+      throw new Error(`${this.name} server has binary logging disabled (log_bin is OFF)`);
+    }
+
+    let gtid = null;
+    try {
+      const result = await this.query('SELECT @@GLOBAL.gtid_binlog_pos AS gtid');
+      gtid = result[0].gtid || null;
+    } catch (error) {
+      logger.debug(`${this.name}: gtid_binlog_pos not available: ${error.message}`);
+    }
+
+    return {
+      file: status[0].File,
+      position: Number(status[0].Position),
+      gtid
+    };
+  }
+
+  /**
+   * Get the binary log settings that row-based change capture depends on
+   * @returns {Object} { logBin, format, rowImage }
+   */
+  async getBinlogSettings() {
+    const result = await this.query(
+      'SELECT @@GLOBAL.log_bin AS logBin, @@GLOBAL.binlog_format AS format, @@GLOBAL.binlog_row_image AS rowImage'
+    );
+    return {
+      logBin: Number(result[0].logBin) === 1,
+      format: result[0].format,
+      rowImage: result[0].rowImage
+    };
+  }
+
   /**
    * Validate SQL query syntax by running EXPLAIN
+   * The query's output column names must be unique: every query built from it wraps it as a
+   * derived table (see QueryBuilder), and MariaDB rejects derived tables with duplicate names.
    * @param {string} sql - SQL query to validate
+   * @param {Array} params - Values bound to the query's placeholders
    * @returns {Object} Validation result
    */
-  async validateQuerySyntax(sql) {
+  async validateQuerySyntax(sql, params = []) {
     const result = {
       isValid: true,
       error: null
@@ -312,7 +496,16 @@ class MariaDBPool {
 
     try {
       // Use EXPLAIN to validate query syntax without executing
-      await this.query(`EXPLAIN ${sql}`);
+      await this.query(`EXPLAIN ${sql}`, params);
+
+      const duplicates = await this.getDuplicateQueryColumns(sql);
+      if (duplicates.length > 0) {
+        throw new Error(
+          `Query returns duplicate column names (${duplicates.join(', ')}). ` +
+          'The query is read as a derived table, which needs unique column names: ' +
+          'select the columns explicitly and alias the duplicates (e.g. b.id AS b_id instead of a.*, b.*)'
+        );
+      }
       logger.debug('SQL query syntax validation passed');
     } catch (error) {
       result.isValid = false;
@@ -323,19 +516,53 @@ class MariaDBPool {
     return result;
   }
 
+  /**
+   * Find the output column names a query returns more than once
+   * The query is prepared, not executed: the statement's metadata holds the column names.
+   * Names are compared case-insensitively, as MariaDB compares column names.
+   * @param {string} sql - SQL query
+   * @returns {Array} Duplicate column names
+   */
+  async getDuplicateQueryColumns(sql) {
+    let conn;
+    let prepared;
+    try {
+      conn = await this.getConnection();
+      prepared = await conn.prepare(sql);
+      const seen = new Set();
+      const duplicates = new Set();
+      for (const column of prepared.columns || []) {
+        const name = column.name().toLowerCase();
+        if (seen.has(name)) {
+          duplicates.add(column.name());
+        }
+        seen.add(name);
+      }
+      return [...duplicates];
+    } finally {
+      if (prepared) {
+        prepared.close();
+      }
+      if (conn) {
+        conn.release();
+      }
+    }
+  }
+
   /**
    * Get column names from a SQL query result (runs query with LIMIT 0)
    * @param {string} sql - SQL query
+   * @param {Array} params - Values bound to the query's placeholders
    * @returns {Array} Column names from the query result
    */
-  async getQueryColumns(sql) {
+  async getQueryColumns(sql, params = []) {
     let conn;
     try {
       conn = await this.getConnection();
       
       // Run query with LIMIT 0 to get column metadata without fetching data
-      const limitedSql = `${sql} LIMIT 0`;
-      const result = await conn.query(limitedSql);
+      const limitedSql = QueryBuilder.buildMetadataQuery(sql);
+      const result = await conn.query(limitedSql, params);
       
       // Get column names from result metadata
       if (result.meta && Array.isArray(result.meta)) {
@@ -357,16 +584,17 @@ class MariaDBPool {
   /**
    * Get column metadata from a SQL query result
    * @param {string} sql - SQL query
+   * @param {Array} params - Values bound to the query's placeholders
    * @returns {Array} Column metadata array similar to table schema
    */
-  async getQueryColumnMetadata(sql) {
+  async getQueryColumnMetadata(sql, params = []) {
     let conn;
     try {
       conn = await this.getConnection();
       
       // Run query with LIMIT 0 to get column metadata
-      const limitedSql = `${sql} LIMIT 0`;
-      const result = await conn.query(limitedSql);
+      const limitedSql = QueryBuilder.buildMetadataQuery(sql);
+      const result = await conn.query(limitedSql, params);
       
       // Convert result metadata to schema-like format
       if (result.meta && Array.isArray(result.meta)) {
@@ -389,6 +617,117 @@ class MariaDBPool {
     }
   }
 
+  /**
+   * Get column definitions for the result of a SQL query, for creating a table that holds it
+   * @param {string} sql - SQL query
+   * @param {Array} params - Values bound to the query's placeholders
+   * @returns {Array} { COLUMN_NAME, COLUMN_TYPE, IS_NULLABLE } per result column
+   */
+  async getQueryColumnDefinitions(sql, params = []) {
+    let conn;
+    try {
+      conn = await this.getConnection();
+      const result = await conn.query(QueryBuilder.buildMetadataQuery(sql), params);
+
+      return (result.meta || []).map(col => ({
+        COLUMN_NAME: col.name(),
+        COLUMN_TYPE: this.buildColumnType(col),
+        IS_NULLABLE: (col.flags & FieldDetails.NOT_NULL) ? 'NO' : 'YES'
+      }));
+    } catch (error) {
+      logger.error(`Failed to get query column definitions: ${error.message}`);
+      throw error;
+    } finally {
+      if (conn) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Build a column type declaration from result column metadata
+   * @param {Object} col - Column definition from a result set
+   * @returns {string} Column type, e.g. 'varchar(100)' or 'decimal(10,2) unsigned'
+   */
+  buildColumnType(col) {
+    const unsigned = (col.flags & FieldDetails.UNSIGNED) ? ' unsigned' : '';
+    const isBinary = (col.flags & FieldDetails.BINARY_COLLATION) !== 0 || (col.collation && col.collation.name === 'BINARY');
+    // Lengths are reported in bytes of the connection character set
+    const bytesPerChar = isBinary || !col.collation ? 1 : col.collation.maxLength;
+    const charLength = Math.max(1, Math.floor(col.columnLength / bytesPerChar));
+    const fraction = col.scale > 0 && col.scale <= 6 ? `(${col.scale})` : '';
+
+    switch (col.columnType) {
+      case FieldType.DECIMAL:
+      case FieldType.NEWDECIMAL: {
+        const precision = col.columnLength - (col.scale > 0 ? 1 : 0) - (unsigned ? 0 : 1);
+        return `decimal(${precision},${col.scale})${unsigned}`;
+      }
+      case FieldType.TINY:
+        return `tinyint(${col.columnLength})${unsigned}`;
+      case FieldType.SHORT:
+        return `smallint(${col.columnLength})${unsigned}`;
+      case FieldType.INT24:
+        return `mediumint(${col.columnLength})${unsigned}`;
+      case FieldType.INT:
+        return `int(${col.columnLength})${unsigned}`;
+      case FieldType.BIGINT:
+        return `bigint(${col.columnLength})${unsigned}`;
+      case FieldType.FLOAT:
+        return `float${unsigned}`;
+      case FieldType.DOUBLE:
+        return `double${unsigned}`;
+      case FieldType.BIT:
+        return `bit(${col.columnLength})`;
+      case FieldType.YEAR:
+        return 'year';
+      case FieldType.DATE:
+      case FieldType.NEWDATE:
+        return 'date';
+      case FieldType.TIME:
+        return `time${fraction}`;
+      case FieldType.DATETIME:
+        return `datetime${fraction}`;
+      case FieldType.TIMESTAMP:
+        return `timestamp${fraction}`;
+      case FieldType.JSON:
+        return 'json';
+      case FieldType.GEOMETRY:
+        return col.dataTypeName || 'geometry';
+      case FieldType.TINY_BLOB:
+      case FieldType.MEDIUM_BLOB:
+      case FieldType.LONG_BLOB:
+      case FieldType.BLOB: {
+        if (col.dataTypeName === 'json') {
+          return 'json';
+        }
+        const length = isBinary ? col.columnLength : charLength;
+        const size = length <= 255 ? 'tiny' : length <= 65535 ? '' : length <= 16777215 ? 'medium' : 'long';
+        return `${size}${isBinary ? 'blob' : 'text'}`;
+      }
+      case FieldType.VARCHAR:
+      case FieldType.VAR_STRING:
+      case FieldType.STRING:
+      case FieldType.ENUM:
+      case FieldType.SET: {
+        // Extended metadata names types such as uuid and inet6
+        if (col.dataTypeName) {
+          return col.dataTypeName;
+        }
+        // ENUM and SET values are not part of the metadata
+        const fixed = col.columnType === FieldType.STRING && !(col.flags & (FieldDetails.ENUM | FieldDetails.SET));
+        if (isBinary) {
+          return `${fixed ? 'binary' : 'varbinary'}(${col.columnLength})`;
+        }
+        return `${fixed ? 'char' : 'varchar'}(${charLength})`;
+      }
+      case FieldType.NULL:
+        return 'text';
+      default:
+        throw new Error(`Cannot derive a column type for '${col.name()}' (type ${col.type})`);
+    }
+  }
+
   /**
    * Map MariaDB type code to type name
    * @param {number} typeCode - MariaDB type code
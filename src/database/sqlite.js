@@ -45,6 +45,10 @@ class SQLiteManager {
         destination_table TEXT NOT NULL,
         primary_key_column TEXT NOT NULL,
         last_processed_value TEXT,
+        updated_at_column TEXT,
+        last_updated_value TEXT,
+        last_updated_pk TEXT,
+        last_null_updated_pk TEXT,
         last_run_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
         UNIQUE(source_table, destination_table, primary_key_column)
       )
@@ -67,11 +71,14 @@ class SQLiteManager {
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS etl_history (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT,
         source_table TEXT NOT NULL,
         destination_table TEXT NOT NULL,
         mode TEXT NOT NULL,
         rows_processed INTEGER DEFAULT 0,
         rows_inserted INTEGER DEFAULT 0,
+        rows_updated INTEGER DEFAULT 0,
+        rows_skipped INTEGER DEFAULT 0,
         rows_deleted INTEGER DEFAULT 0,
         status TEXT NOT NULL,
         error_message TEXT,
@@ -100,11 +107,146 @@ class SQLiteManager {
       )
     `);
 
+    // Table for rows that failed to insert or delete (dead-letter table)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS failed_rows (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT,
+        source_table TEXT NOT NULL,
+        destination_table TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        primary_key TEXT,
+        row_data TEXT,
+        error_code TEXT,
+        error_message TEXT,
+        status TEXT DEFAULT 'pending',
+        retry_count INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Table for the binlog position applied by change data capture (cdc mode)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS binlog_checkpoint (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source_table TEXT NOT NULL,
+        destination_table TEXT NOT NULL,
+        binlog_file TEXT,
+        binlog_position INTEGER,
+        gtid TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(source_table, destination_table)
+      )
+    `);
+
+    // Table for destination schema changes made or skipped by schema evolution (etl.schemaEvolution)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT,
+        source_table TEXT NOT NULL,
+        destination_table TEXT NOT NULL,
+        change_type TEXT NOT NULL,
+        column_name TEXT NOT NULL,
+        column_type TEXT,
+        ddl TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Tables for the schemas seen by each run: snapshots reference column lists stored once per hash
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_definitions (
+        schema_hash TEXT PRIMARY KEY,
+        columns TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT,
+        source_table TEXT NOT NULL,
+        destination_table TEXT NOT NULL,
+        source_hash TEXT,
+        query_hash TEXT,
+        destination_hash TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Table for the key ranges of a range-partitioned full load (etl.fullLoadRanges), one checkpoint per range
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS range_checkpoint (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source_table TEXT NOT NULL,
+        destination_table TEXT NOT NULL,
+        range_index INTEGER NOT NULL,
+        range_count INTEGER NOT NULL,
+        primary_key_column TEXT,
+        range_start TEXT,
+        range_end TEXT,
+        last_processed_pk TEXT,
+        batch_number INTEGER DEFAULT 0,
+        rows_processed INTEGER DEFAULT 0,
+        rows_inserted INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'in_progress',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(source_table, destination_table, range_index)
+      )
+    `);
+
+    // Table for the size and timing of every batch of an adaptive batch size load (etl.batchSizeMode)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS batch_stats (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT,
+        source_table TEXT NOT NULL,
+        destination_table TEXT NOT NULL,
+        mode TEXT NOT NULL,
+        range_index INTEGER,
+        batch_number INTEGER NOT NULL,
+        batch_size INTEGER NOT NULL,
+        row_count INTEGER NOT NULL,
+        byte_size INTEGER NOT NULL,
+        fetch_ms INTEGER NOT NULL,
+        write_ms INTEGER NOT NULL,
+        next_batch_size INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Columns added after the initial release (for databases created by older versions)
+    this.addColumnIfMissing('incremental_state', 'updated_at_column', 'TEXT');
+    this.addColumnIfMissing('incremental_state', 'last_updated_value', 'TEXT');
+    this.addColumnIfMissing('incremental_state', 'last_updated_pk', 'TEXT');
+    this.addColumnIfMissing('etl_history', 'rows_updated', 'INTEGER DEFAULT 0');
+    this.addColumnIfMissing('etl_history', 'rows_skipped', 'INTEGER DEFAULT 0');
+    this.addColumnIfMissing('etl_history', 'run_id', 'TEXT');
+    this.addColumnIfMissing('etl_checkpoint', 'snapshot_position', 'TEXT');
+    this.addColumnIfMissing('incremental_state', 'last_null_updated_pk', 'TEXT');
+
     logger.debug('SQLite tables created/verified');
   }
 
   /**
-   * Get last processed primary key value
+   * Add a column to an existing table if it is not there yet
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Column name
+   * @param {string} definition - Column type and constraints
+   */
+  addColumnIfMissing(tableName, columnName, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${tableName})`).all();
+    if (!columns.some(col => col.name === columnName)) {
+      this.db.exec(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`);
+      logger.debug(`Added column ${columnName} to ${tableName}`);
+    }
+  }
+
+  /**
+   * Get last processed primary key value (JSON tuple; plain value for older state)
    */
   getLastProcessedValue(sourceTable, destinationTable, primaryKeyColumn) {
     const stmt = this.db.prepare(`
@@ -117,7 +259,7 @@ class SQLiteManager {
   }
 
   /**
-   * Update last processed primary key value
+   * Update last processed primary key value (JSON tuple)
    */
   updateLastProcessedValue(sourceTable, destinationTable, primaryKeyColumn, value) {
     const stmt = this.db.prepare(`
@@ -130,6 +272,68 @@ class SQLiteManager {
     logger.debug(`Updated last processed value to ${value}`);
   }
 
+  /**
+   * Get the modification timestamp watermark for updated-row sync
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @param {string} primaryKeyColumn - Primary key column name(s), comma-separated
+   * @returns {Object|null} { updatedAtColumn, lastUpdatedValue, lastUpdatedPk } or null if not found
+   */
+  getUpdatedWatermark(sourceTable, destinationTable, primaryKeyColumn) {
+    const stmt = this.db.prepare(`
+      SELECT updated_at_column, last_updated_value, last_updated_pk
+      FROM incremental_state 
+      WHERE source_table = ? AND destination_table = ? AND primary_key_column = ?
+    `);
+    const result = stmt.get(sourceTable, destinationTable, primaryKeyColumn);
+    if (!result || result.last_updated_value === null) {
+      return null;
+    }
+    return {
+      updatedAtColumn: result.updated_at_column,
+      lastUpdatedValue: result.last_updated_value,
+      lastUpdatedPk: result.last_updated_pk
+    };
+  }
+
+  /**
+   * Update the modification timestamp watermark for updated-row sync
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @param {string} primaryKeyColumn - Primary key column name(s), comma-separated
+   * @param {string} updatedAtColumn - Modification timestamp column name
+   * @param {string} updatedValue - Timestamp of the last processed row
+   * @param {string} pkValue - Primary key tuple (JSON) of the last processed row (tie-breaker for equal timestamps)
+   */
+  updateUpdatedWatermark(sourceTable, destinationTable, primaryKeyColumn, updatedAtColumn, updatedValue, pkValue) {
+    const stmt = this.db.prepare(`
+      INSERT INTO incremental_state (
+        source_table, destination_table, primary_key_column, 
+        updated_at_column, last_updated_value, last_updated_pk, last_run_timestamp
+      )
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(source_table, destination_table, primary_key_column) 
+      DO UPDATE SET 
+        updated_at_column = ?,
+        last_updated_value = ?,
+        last_updated_pk = ?,
+        last_run_timestamp = CURRENT_TIMESTAMP
+    `);
+    stmt.run(
+      sourceTable,
+      destinationTable,
+      primaryKeyColumn,
+      updatedAtColumn,
+      updatedValue,
+      pkValue,
+      // For ON CONFLICT UPDATE
+      updatedAtColumn,
+      updatedValue,
+      pkValue
+    );
+    logger.debug(`Updated ${updatedAtColumn} watermark to ${updatedValue} (pk ${pkValue})`);
+  }
+
   /**
    * Add deleted record for delta processing
    */
@@ -178,17 +382,21 @@ class SQLiteManager {
   logETLRun(runData) {
     const stmt = this.db.prepare(`
       INSERT INTO etl_history (
-        source_table, destination_table, mode, rows_processed, rows_inserted, 
-        rows_deleted, status, error_message, start_time, end_time, duration_seconds
+        run_id, source_table, destination_table, mode, rows_processed, rows_inserted, 
+        rows_updated, rows_skipped, rows_deleted, status, error_message, 
+        start_time, end_time, duration_seconds
       )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     stmt.run(
+      runData.runId || null,
       runData.sourceTable,
       runData.destinationTable,
       runData.mode,
       runData.rowsProcessed,
       runData.rowsInserted,
+      runData.rowsUpdated || 0,
+      runData.rowsSkipped || 0,
       runData.rowsDeleted,
       runData.status,
       runData.errorMessage,
@@ -198,6 +406,183 @@ class SQLiteManager {
     );
   }
 
+  /**
+   * Get the primary key of the last synced row with a NULL modification timestamp (updated-row sync)
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @param {string} primaryKeyColumn - Primary key column name(s)
+   * @returns {string|null} Primary key tuple (JSON) or null
+   */
+  getNullUpdatedPk(sourceTable, destinationTable, primaryKeyColumn) {
+    const stmt = this.db.prepare(`
+      SELECT last_null_updated_pk FROM incremental_state
+      WHERE source_table = ? AND destination_table = ? AND primary_key_column = ?
+    `);
+    const result = stmt.get(sourceTable, destinationTable, primaryKeyColumn);
+    return result ? result.last_null_updated_pk : null;
+  }
+
+  /**
+   * Save the primary key of the last synced row with a NULL modification timestamp (updated-row sync)
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @param {string} primaryKeyColumn - Primary key column name(s)
+   * @param {string} pkValue - Primary key tuple (JSON)
+   */
+  updateNullUpdatedPk(sourceTable, destinationTable, primaryKeyColumn, pkValue) {
+    const stmt = this.db.prepare(`
+      INSERT INTO incremental_state (
+        source_table, destination_table, primary_key_column, last_null_updated_pk, last_run_timestamp
+      )
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(source_table, destination_table, primary_key_column)
+      DO UPDATE SET
+        last_null_updated_pk = ?,
+        last_run_timestamp = CURRENT_TIMESTAMP
+    `);
+    stmt.run(sourceTable, destinationTable, primaryKeyColumn, pkValue, pkValue);
+    logger.debug(`Updated NULL timestamp row key to ${pkValue}`);
+  }
+
+  /**
+   * Record the size and timing of a batch (adaptive batch size)
+   * @param {Object} stat - Batch statistics
+   * @param {string} stat.runId - ETL run id
+   * @param {string} stat.sourceTable - Source table name
+   * @param {string} stat.destinationTable - Destination table name
+   * @param {string} stat.mode - ETL mode
+   * @param {number|null} stat.rangeIndex - Key range of a range-partitioned full load
+   * @param {number} stat.batchNumber - Batch number
+   * @param {number} stat.batchSize - Rows requested for the batch
+   * @param {number} stat.rowCount - Rows returned
+   * @param {number} stat.byteSize - Estimated size of the rows
+   * @param {number} stat.fetchMs - Source read time
+   * @param {number} stat.writeMs - Destination write time
+   * @param {number} stat.nextBatchSize - Batch size chosen for the following batches
+   */
+  addBatchStat(stat) {
+    const stmt = this.db.prepare(`
+      INSERT INTO batch_stats (
+        run_id, source_table, destination_table, mode, range_index, batch_number,
+        batch_size, row_count, byte_size, fetch_ms, write_ms, next_batch_size
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(
+      stat.runId || null,
+      stat.sourceTable,
+      stat.destinationTable,
+      stat.mode,
+      stat.rangeIndex ?? null,
+      stat.batchNumber,
+      stat.batchSize,
+      stat.rowCount,
+      stat.byteSize,
+      stat.fetchMs,
+      stat.writeMs,
+      stat.nextBatchSize
+    );
+  }
+
+  /**
+   * Get the batch statistics of a run
+   * @param {string} runId - ETL run id
+   * @returns {Array} Batch statistics rows in the order they were recorded
+   */
+  getBatchStats(runId) {
+    const stmt = this.db.prepare('SELECT * FROM batch_stats WHERE run_id = ? ORDER BY id');
+    return stmt.all(runId);
+  }
+
+  /**
+   * Store a row that failed to insert or delete in the dead-letter table
+   * @param {Object} failedRow - Failed row data
+   * @param {string} failedRow.runId - ETL run id
+   * @param {string} failedRow.sourceTable - Source table name
+   * @param {string} failedRow.destinationTable - Destination table name
+   * @param {string} failedRow.operation - 'insert' or 'delete'
+   * @param {string} failedRow.primaryKey - Primary key tuple (JSON)
+   * @param {string} failedRow.rowData - Serialized row values (JSON)
+   * @param {string} failedRow.errorCode - Driver error code
+   * @param {string} failedRow.errorMessage - Error message
+   */
+  addFailedRow(failedRow) {
+    const stmt = this.db.prepare(`
+      INSERT INTO failed_rows (
+        run_id, source_table, destination_table, operation, 
+        primary_key, row_data, error_code, error_message
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(
+      failedRow.runId || null,
+      failedRow.sourceTable,
+      failedRow.destinationTable,
+      failedRow.operation,
+      failedRow.primaryKey || null,
+      failedRow.rowData || null,
+      failedRow.errorCode || null,
+      failedRow.errorMessage || null
+    );
+  }
+
+  /**
+   * Get failed rows for a source/destination pair
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @param {string|null} status - Filter by status ('pending', 'retried', 'discarded'), null for all
+   * @param {number} limit - Max number of rows to return
+   * @returns {Array} Failed rows, oldest first
+   */
+  getFailedRows(sourceTable, destinationTable, status = 'pending', limit = 1000) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM failed_rows 
+      WHERE source_table = ? AND destination_table = ? AND (? IS NULL OR status = ?)
+      ORDER BY id ASC
+      LIMIT ?
+    `);
+    return stmt.all(sourceTable, destinationTable, status, status, limit);
+  }
+
+  /**
+   * Get a single failed row by id
+   * @param {number} id - Failed row id
+   * @returns {Object|null} Failed row or null if not found
+   */
+  getFailedRow(id) {
+    const stmt = this.db.prepare(`SELECT * FROM failed_rows WHERE id = ?`);
+    return stmt.get(id) || null;
+  }
+
+  /**
+   * Set the status of a failed row
+   * @param {number} id - Failed row id
+   * @param {string} status - New status ('pending', 'retried', 'discarded')
+   */
+  updateFailedRowStatus(id, status) {
+    const stmt = this.db.prepare(`
+      UPDATE failed_rows 
+      SET status = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    stmt.run(status, id);
+  }
+
+  /**
+   * Record an unsuccessful retry of a failed row
+   * @param {number} id - Failed row id
+   * @param {string} errorCode - Driver error code
+   * @param {string} errorMessage - Error message
+   */
+  recordFailedRowRetry(id, errorCode, errorMessage) {
+    const stmt = this.db.prepare(`
+      UPDATE failed_rows 
+      SET retry_count = retry_count + 1, error_code = ?, error_message = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    stmt.run(errorCode || null, errorMessage || null, id);
+  }
+
   /**
    * Get checkpoint for resume capability
    * @param {string} sourceTable - Source table name
@@ -215,21 +600,23 @@ class SQLiteManager {
 
   /**
    * Create or update checkpoint
-   * @param {Object} checkpointData - Checkpoint data
+   * @param {Object} checkpointData - Checkpoint data (snapshotPosition: JSON binlog position of a
+   *   consistent-snapshot full load, optional)
    */
   saveCheckpoint(checkpointData) {
     const stmt = this.db.prepare(`
       INSERT INTO etl_checkpoint (
         source_table, destination_table, mode, primary_key_column, 
-        last_processed_pk, batch_number, rows_processed, rows_inserted, status, updated_at
+        last_processed_pk, batch_number, rows_processed, rows_inserted, snapshot_position, status, updated_at
       )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'in_progress', CURRENT_TIMESTAMP)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'in_progress', CURRENT_TIMESTAMP)
       ON CONFLICT(source_table, destination_table, mode) 
       DO UPDATE SET 
         last_processed_pk = ?,
         batch_number = ?,
         rows_processed = ?,
         rows_inserted = ?,
+        snapshot_position = ?,
         status = 'in_progress',
         updated_at = CURRENT_TIMESTAMP
     `);
@@ -242,11 +629,13 @@ class SQLiteManager {
       checkpointData.batchNumber,
       checkpointData.rowsProcessed,
       checkpointData.rowsInserted,
+      checkpointData.snapshotPosition || null,
       // For ON CONFLICT UPDATE
       checkpointData.lastProcessedPk,
       checkpointData.batchNumber,
       checkpointData.rowsProcessed,
-      checkpointData.rowsInserted
+      checkpointData.rowsInserted,
+      checkpointData.snapshotPosition || null
     );
     logger.debug(`Checkpoint saved: batch ${checkpointData.batchNumber}, pk ${checkpointData.lastProcessedPk}`);
   }
@@ -293,8 +682,110 @@ class SQLiteManager {
       WHERE source_table = ? AND destination_table = ?
     `);
     const result = stmt.run(sourceTable, destinationTable);
-    logger.info(`Cleared ${result.changes} checkpoint(s) for ${sourceTable} -> ${destinationTable}`);
-    return result.changes;
+    const changes = result.changes + this.clearRangeCheckpoints(sourceTable, destinationTable);
+    logger.info(`Cleared ${changes} checkpoint(s) for ${sourceTable} -> ${destinationTable}`);
+    return changes;
+  }
+
+  /**
+   * Get the range checkpoints of a range-partitioned full load
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @returns {Array} Range checkpoint rows ordered by range index
+   */
+  getRangeCheckpoints(sourceTable, destinationTable) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM range_checkpoint
+      WHERE source_table = ? AND destination_table = ?
+      ORDER BY range_index
+    `);
+    return stmt.all(sourceTable, destinationTable);
+  }
+
+  /**
+   * Check whether a range-partitioned full load was interrupted
+   * Range checkpoints are cleared once the whole load (including a swap) succeeded, so any left
+   * means the load did not finish, even when every range is completed.
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @returns {boolean} True if range checkpoints exist
+   */
+  hasRangeCheckpoints(sourceTable, destinationTable) {
+    return this.getRangeCheckpoints(sourceTable, destinationTable).length > 0;
+  }
+
+  /**
+   * Replace the ranges of a range-partitioned full load
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @param {string} primaryKeyColumn - Primary key column name(s), comma-separated
+   * @param {Array} ranges - { start, end } JSON key tuples (null for an open end), in key order
+   */
+  createRangeCheckpoints(sourceTable, destinationTable, primaryKeyColumn, ranges) {
+    const insert = this.db.prepare(`
+      INSERT INTO range_checkpoint (
+        source_table, destination_table, range_index, range_count, primary_key_column, range_start, range_end
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    this.db.transaction(() => {
+      this.clearRangeCheckpoints(sourceTable, destinationTable);
+      ranges.forEach((range, index) => {
+        insert.run(sourceTable, destinationTable, index, ranges.length, primaryKeyColumn, range.start, range.end);
+      });
+    })();
+    logger.debug(`Created ${ranges.length} range checkpoint(s) for ${sourceTable} -> ${destinationTable}`);
+  }
+
+  /**
+   * Update the checkpoint of one range
+   * @param {Object} checkpointData - { sourceTable, destinationTable, rangeIndex, lastProcessedPk, batchNumber, rowsProcessed, rowsInserted }
+   */
+  saveRangeCheckpoint(checkpointData) {
+    const stmt = this.db.prepare(`
+      UPDATE range_checkpoint
+      SET last_processed_pk = ?, batch_number = ?, rows_processed = ?, rows_inserted = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE source_table = ? AND destination_table = ? AND range_index = ?
+    `);
+    stmt.run(
+      checkpointData.lastProcessedPk,
+      checkpointData.batchNumber,
+      checkpointData.rowsProcessed,
+      checkpointData.rowsInserted,
+      checkpointData.sourceTable,
+      checkpointData.destinationTable,
+      checkpointData.rangeIndex
+    );
+    logger.debug(`Range ${checkpointData.rangeIndex} checkpoint saved: batch ${checkpointData.batchNumber}, pk ${checkpointData.lastProcessedPk}`);
+  }
+
+  /**
+   * Mark the checkpoint of one range as completed
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @param {number} rangeIndex - Range index
+   */
+  completeRangeCheckpoint(sourceTable, destinationTable, rangeIndex) {
+    const stmt = this.db.prepare(`
+      UPDATE range_checkpoint
+      SET status = 'completed', updated_at = CURRENT_TIMESTAMP
+      WHERE source_table = ? AND destination_table = ? AND range_index = ?
+    `);
+    stmt.run(sourceTable, destinationTable, rangeIndex);
+  }
+
+  /**
+   * Clear the range checkpoints of a source/destination pair
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @returns {number} Number of cleared ranges
+   */
+  clearRangeCheckpoints(sourceTable, destinationTable) {
+    const stmt = this.db.prepare(`
+      DELETE FROM range_checkpoint
+      WHERE source_table = ? AND destination_table = ?
+    `);
+    return stmt.run(sourceTable, destinationTable).changes;
   }
 
   /**
@@ -303,10 +794,214 @@ class SQLiteManager {
   clearAllCheckpointsGlobal() {
     const stmt = this.db.prepare(`DELETE FROM etl_checkpoint`);
     const result = stmt.run();
-    logger.info(`Cleared all ${result.changes} checkpoint(s) globally`);
+    const changes = result.changes + this.db.prepare(`DELETE FROM range_checkpoint`).run().changes;
+    logger.info(`Cleared all ${changes} checkpoint(s) globally`);
+    return changes;
+  }
+
+  /**
+   * Get the last binlog position applied by change data capture
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @returns {Object|null} { file, position, gtid } or null if not found
+   */
+  getBinlogPosition(sourceTable, destinationTable) {
+    const stmt = this.db.prepare(`
+      SELECT binlog_file, binlog_position, gtid
+      FROM binlog_checkpoint
+      WHERE source_table = ? AND destination_table = ?
+    `);
+    const result = stmt.get(sourceTable, destinationTable);
+    if (!result) {
+      return null;
+    }
+    return {
+      file: result.binlog_file,
+      position: result.binlog_position,
+      gtid: result.gtid
+    };
+  }
+
+  /**
+   * Save the last binlog position applied by change data capture
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @param {Object} position - { file, position, gtid }
+   */
+  saveBinlogPosition(sourceTable, destinationTable, position) {
+    const stmt = this.db.prepare(`
+      INSERT INTO binlog_checkpoint (source_table, destination_table, binlog_file, binlog_position, gtid, updated_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(source_table, destination_table) 
+      DO UPDATE SET 
+        binlog_file = ?,
+        binlog_position = ?,
+        gtid = ?,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    const file = position.file || null;
+    const pos = position.position ?? null;
+    const gtid = position.gtid || null;
+    stmt.run(sourceTable, destinationTable, file, pos, gtid, file, pos, gtid);
+    logger.debug(`Binlog position saved: ${file}:${pos}${gtid ? ` (GTID ${gtid})` : ''}`);
+  }
+
+  /**
+   * Clear the binlog position for a source/destination pair
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   */
+  clearBinlogPosition(sourceTable, destinationTable) {
+    const stmt = this.db.prepare(`
+      DELETE FROM binlog_checkpoint 
+      WHERE source_table = ? AND destination_table = ?
+    `);
+    const result = stmt.run(sourceTable, destinationTable);
+    logger.info(`Cleared binlog position for ${sourceTable} -> ${destinationTable}`);
     return result.changes;
   }
 
+  /**
+   * Record a destination schema change
+   * @param {Object} change - Schema change
+   * @param {string} change.runId - Run that detected the change
+   * @param {string} change.sourceTable - Source table name
+   * @param {string} change.destinationTable - Destination table name
+   * @param {string} change.changeType - 'add-column' (column added) or 'ignore-column' (column left out)
+   * @param {string} change.columnName - Destination column name
+   * @param {string} change.columnType - Column type declaration (add-column only)
+   * @param {string} change.ddl - Statement run on the destination (add-column only)
+   */
+  addSchemaChange(change) {
+    const stmt = this.db.prepare(`
+      INSERT INTO schema_changes (
+        run_id, source_table, destination_table, change_type, column_name, column_type, ddl
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(
+      change.runId || null,
+      change.sourceTable,
+      change.destinationTable,
+      change.changeType,
+      change.columnName,
+      change.columnType || null,
+      change.ddl || null
+    );
+  }
+
+  /**
+   * Get the recorded schema changes for a source/destination pair
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @returns {Array} Schema changes, oldest first
+   */
+  getSchemaChanges(sourceTable, destinationTable) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM schema_changes
+      WHERE source_table = ? AND destination_table = ?
+      ORDER BY id ASC
+    `);
+    return stmt.all(sourceTable, destinationTable);
+  }
+
+  /**
+   * Save the schemas seen by a run
+   * @param {string} runId - Run ID
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @param {Object} schemas - { source, query, destination } normalized column lists (see utils/schemaSnapshot.js)
+   * @param {Object} hashes - { source, query, destination } hashes of the column lists
+   * @returns {number} Snapshot id
+   */
+  saveSchemaSnapshot(runId, sourceTable, destinationTable, schemas, hashes) {
+    const definitionStmt = this.db.prepare(`
+      INSERT OR IGNORE INTO schema_definitions (schema_hash, columns) VALUES (?, ?)
+    `);
+    const snapshotStmt = this.db.prepare(`
+      INSERT INTO schema_snapshots (run_id, source_table, destination_table, source_hash, query_hash, destination_hash)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const transaction = this.db.transaction(() => {
+      for (const kind of Object.keys(hashes)) {
+        definitionStmt.run(hashes[kind], JSON.stringify(schemas[kind]));
+      }
+      return snapshotStmt.run(runId, sourceTable, destinationTable, hashes.source, hashes.query, hashes.destination);
+    });
+
+    return Number(transaction().lastInsertRowid);
+  }
+
+  /**
+   * Get a schema snapshot with its column lists
+   * @param {number|string} idOrRunId - Snapshot id or the run id that took it
+   * @returns {Object|null} Snapshot row with schemas: { source, query, destination }, or null if not found
+   */
+  getSchemaSnapshot(idOrRunId) {
+    const stmt = this.db.prepare(`SELECT * FROM schema_snapshots WHERE id = ? OR run_id = ?`);
+    return this.loadSchemas(stmt.get(idOrRunId, String(idOrRunId)));
+  }
+
+  /**
+   * Get the schema snapshot of the last completed run of a source/destination pair
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @returns {Object|null} Snapshot row with schemas, or null if there is none
+   */
+  getLastSuccessfulSchemaSnapshot(sourceTable, destinationTable) {
+    const stmt = this.db.prepare(`
+      SELECT s.* FROM schema_snapshots s
+      JOIN etl_history h ON h.run_id = s.run_id
+      WHERE s.source_table = ? AND s.destination_table = ? AND h.status = 'completed'
+      ORDER BY s.id DESC
+      LIMIT 1
+    `);
+    return this.loadSchemas(stmt.get(sourceTable, destinationTable));
+  }
+
+  /**
+   * List schema snapshots of a source/destination pair with the status of their run
+   * @param {string} sourceTable - Source table name
+   * @param {string} destinationTable - Destination table name
+   * @param {number} limit - Max number of snapshots to return
+   * @returns {Array} Snapshot rows, newest first
+   */
+  getSchemaSnapshots(sourceTable, destinationTable, limit = 20) {
+    const stmt = this.db.prepare(`
+      SELECT s.*, h.status AS run_status FROM schema_snapshots s
+      LEFT JOIN etl_history h ON h.run_id = s.run_id
+      WHERE s.source_table = ? AND s.destination_table = ?
+      ORDER BY s.id DESC
+      LIMIT ?
+    `);
+    return stmt.all(sourceTable, destinationTable, limit);
+  }
+
+  /**
+   * Attach the stored column lists to a snapshot row
+   * @param {Object|undefined} snapshot - schema_snapshots row
+   * @returns {Object|null} Snapshot row with schemas, or null
+   */
+  loadSchemas(snapshot) {
+    if (!snapshot) {
+      return null;
+    }
+    const stmt = this.db.prepare(`SELECT columns FROM schema_definitions WHERE schema_hash = ?`);
+    const load = hash => {
+      const definition = hash ? stmt.get(hash) : null;
+      return definition ? JSON.parse(definition.columns) : null;
+    };
+    return {
+      ...snapshot,
+      schemas: {
+        source: load(snapshot.source_hash),
+        query: load(snapshot.query_hash),
+        destination: load(snapshot.destination_hash)
+      }
+    };
+  }
+
   /**
    * Clear incremental state for a source/destination pair
    * @param {string} sourceTable - Source table name
@@ -323,14 +1018,15 @@ class SQLiteManager {
   }
 
   /**
-   * Clear all ETL state (checkpoints + incremental state) for fresh start
+   * Clear all ETL state (checkpoints + incremental state + binlog position) for fresh start
    * @param {string} sourceTable - Source table name
    * @param {string} destinationTable - Destination table name
    */
   clearAllState(sourceTable, destinationTable) {
     const cleared = {
       checkpoints: this.clearAllCheckpoints(sourceTable, destinationTable),
-      incrementalState: this.clearIncrementalState(sourceTable, destinationTable)
+      incrementalState: this.clearIncrementalState(sourceTable, destinationTable),
+      binlogPosition: this.clearBinlogPosition(sourceTable, destinationTable)
     };
     logger.info(`Fresh start: Cleared all state for ${sourceTable} -> ${destinationTable}`);
     return cleared;
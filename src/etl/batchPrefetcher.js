@@ -0,0 +1,133 @@
+const logger = require('../logger');
+
+/**
+ * Source batches fetched ahead of the destination writes (etl.prefetchDepth, etl.prefetchMaxBytes)
+ *
+ * While the processor writes batch N, batches N+1 .. N+depth are read from the source, one query at a
+ * time and in order. Batches are handed out strictly in fetch order, so checkpoints are still saved
+ * in batch order and resume behaves as without prefetching. Prefetching pauses while the fetched,
+ * not yet written batches hold more than maxBytes (estimated), so the cap can be exceeded by at
+ * most the batch being fetched. With depth 0 every batch is fetched when it is requested.
+ */
+class BatchPrefetcher {
+  /**
+   * @param {Function} fetchBatch - async () => rows, returns the next batch ([] once all rows were read)
+   * @param {Object} options - Prefetch options
+   * @param {number} options.depth - Maximum number of batches fetched ahead
+   * @param {number} options.maxBytes - Maximum estimated size of the batches fetched ahead
+   */
+  constructor(fetchBatch, options = {}) {
+    this.fetchBatch = fetchBatch;
+    this.depth = options.depth || 0;
+    this.maxBytes = options.maxBytes || Infinity;
+    // Fetched batches in order: { rows, size } or { error }
+    this.ready = [];
+    this.bufferedBytes = 0;
+    // Promise of the fetch in progress
+    this.fetching = null;
+    // Set once the last batch was fetched, a fetch failed or the prefetcher was closed
+    this.finished = false;
+  }
+
+  /**
+   * Get the next batch
+   * @returns {Array} Rows, an empty array once all rows were read
+   */
+  async next() {
+    while (this.ready.length === 0) {
+      if (this.finished && !this.fetching) {
+        return [];
+      }
+      if (!this.fetching) {
+        this.startFetch();
+      }
+      await this.fetching;
+    }
+
+    const batch = this.ready.shift();
+    if (batch.error) {
+      throw batch.error;
+    }
+    this.bufferedBytes -= batch.size;
+    this.fill();
+    return batch.rows;
+  }
+
+  /**
+   * Start prefetching the next batch if the queue depth and memory cap allow it
+   */
+  fill() {
+    if (this.fetching || this.finished || this.ready.length >= this.depth) {
+      return;
+    }
+    if (this.bufferedBytes >= this.maxBytes) {
+      logger.debug(`Prefetch paused: ${this.ready.length} batch(es) of ~${this.bufferedBytes} bytes waiting to be written`);
+      return;
+    }
+    this.startFetch();
+  }
+
+  /**
+   * Fetch one batch into the queue
+   */
+  startFetch() {
+    this.fetching = this.fetchBatch()
+      .then(rows => {
+        const size = BatchPrefetcher.estimateSize(rows);
+        this.ready.push({ rows, size });
+        this.bufferedBytes += size;
+        if (rows.length === 0) {
+          this.finished = true;
+        }
+      }, error => {
+        // Reported when the failed batch is requested, after the batches before it
+        this.ready.push({ error });
+        this.finished = true;
+      })
+      .finally(() => {
+        this.fetching = null;
+        this.fill();
+      });
+  }
+
+  /**
+   * Stop prefetching and wait for the fetch in progress, so its connection is no longer in use
+   */
+  async close() {
+    this.finished = true;
+    while (this.fetching) {
+      await this.fetching;
+    }
+    this.ready = [];
+    this.bufferedBytes = 0;
+  }
+
+  /**
+   * Estimate the memory held by a batch of rows
+   * @param {Array} rows - Rows
+   * @returns {number} Estimated size in bytes
+   */
+  static estimateSize(rows) {
+    let size = 0;
+    for (const row of rows) {
+      size += 64;
+      for (const value of Object.values(row)) {
+        if (value === null || value === undefined) {
+          size += 8;
+        } else if (Buffer.isBuffer(value)) {
+          size += value.length + 32;
+        } else if (typeof value === 'string') {
+          // Strings are held as UTF-16
+          size += value.length * 2 + 16;
+        } else if (typeof value === 'object' && !(value instanceof Date)) {
+          size += JSON.stringify(value).length * 2 + 16;
+        } else {
+          size += 16;
+        }
+      }
+    }
+    return size;
+  }
+}
+
+module.exports = BatchPrefetcher;
@@ -0,0 +1,161 @@
+const logger = require('../logger');
+const sqliteManager = require('../database/sqlite');
+const BatchPrefetcher = require('./batchPrefetcher');
+
+// Batch size modes (etl.batchSizeMode)
+const MODES = ['fixed', 'adaptive'];
+
+/**
+ * Batch size of full, incremental and updated loads (etl.batchSize, etl.batchSizeMode)
+ *
+ * In fixed mode every batch requests etl.batchSize rows. In adaptive mode the size is tuned after
+ * every batch from the measured read and write time and the estimated size of its rows: the next
+ * size is the largest one expected to take at most batchTargetMs and to hold at most batchMaxBytes,
+ * kept between batchSizeMin and batchSizeMax. It grows at most to twice the previous size per
+ * batch and shrinks at once, so wide rows or a slow destination are backed off from immediately.
+ * Every adaptive batch is recorded in the batch_stats table.
+ *
+ * With prefetching a batch is read while the previous one is written. The read time of a batch only
+ * counts the time no write was running, so the time per row is the wall time the batch adds instead
+ * of counting the overlapping time twice.
+ */
+class BatchSizer {
+  /**
+   * @param {Object} options - Sizing options
+   * @param {string} options.mode - 'fixed' or 'adaptive'
+   * @param {number} options.size - Initial batch size
+   * @param {number} options.min - Smallest adaptive batch size
+   * @param {number} options.max - Largest adaptive batch size
+   * @param {number} options.targetMs - Target read + write time of a batch
+   * @param {number} options.maxBytes - Maximum estimated size of a batch
+   * @param {Object} context - Where batches are recorded
+   * @param {string} context.runId - ETL run id
+   * @param {string} context.sourceTable - Source table name
+   * @param {string} context.destinationTable - Destination table name
+   * @param {string} context.mode - ETL mode
+   * @param {number} context.rangeIndex - Key range of a range-partitioned full load
+   */
+  constructor(options, context = {}) {
+    this.adaptive = options.mode === 'adaptive';
+    this.min = options.min;
+    this.max = options.max;
+    this.targetMs = options.targetMs;
+    this.maxBytes = options.maxBytes;
+    this.size = this.adaptive ? this.clamp(options.size) : options.size;
+    this.context = context;
+    // Requested size and read time per fetched batch, until the batch is written
+    this.fetches = new WeakMap();
+    // [start, end] of the writes finished during the fetch in progress, and start of the running write
+    this.writes = [];
+    this.writeStarted = null;
+  }
+
+  /**
+   * Create a sizer from the ETL settings
+   * @param {Object} etl - ETL settings (config.etl)
+   * @param {Object} context - Where batches are recorded (see constructor)
+   * @returns {BatchSizer} Batch sizer
+   */
+  static fromConfig(etl, context) {
+    return new BatchSizer({
+      mode: etl.batchSizeMode,
+      size: etl.batchSize,
+      min: etl.batchSizeMin,
+      max: etl.batchSizeMax,
+      targetMs: etl.batchTargetMs,
+      maxBytes: etl.batchMaxBytes
+    }, context);
+  }
+
+  /**
+   * Read a batch of the current size and remember how long it took outside of writes
+   * @param {Function} fetchRows - async (batchSize) => rows
+   * @returns {Array} Rows
+   */
+  async fetch(fetchRows) {
+    const batchSize = this.size;
+    const started = Date.now();
+    this.writes = [];
+    const rows = await fetchRows(batchSize);
+    const ended = Date.now();
+
+    const writes = this.writeStarted === null ? this.writes : [...this.writes, [this.writeStarted, ended]];
+    const overlapMs = writes.reduce(
+      (total, [writeStart, writeEnd]) => total + Math.max(0, Math.min(ended, writeEnd) - Math.max(started, writeStart)),
+      0
+    );
+    this.fetches.set(rows, { batchSize, fetchMs: ended - started - overlapMs });
+    return rows;
+  }
+
+  /**
+   * Write a fetched batch, then record it (see record())
+   * @param {Array} rows - Rows of the batch, as returned by fetch()
+   * @param {number} batchNumber - Batch number
+   * @param {Function} writeRows - async () => batch result
+   * @returns {Object} Batch result
+   */
+  async write(rows, batchNumber, writeRows) {
+    const started = Date.now();
+    this.writeStarted = started;
+    try {
+      const batchResult = await writeRows();
+      this.record(rows, Date.now() - started, batchNumber);
+      return batchResult;
+    } finally {
+      this.writeStarted = null;
+      this.writes.push([started, Date.now()]);
+    }
+  }
+
+  /**
+   * Record a written batch and choose the size of the following batches (adaptive mode)
+   * @param {Array} rows - Rows of the batch, as returned by fetch()
+   * @param {number} writeMs - Destination write time
+   * @param {number} batchNumber - Batch number
+   */
+  record(rows, writeMs, batchNumber) {
+    if (!this.adaptive || rows.length === 0) {
+      return;
+    }
+
+    const { batchSize, fetchMs } = this.fetches.get(rows) || { batchSize: this.size, fetchMs: 0 };
+    const byteSize = BatchPrefetcher.estimateSize(rows);
+    const perRowMs = Math.max(fetchMs + writeMs, 1) / rows.length;
+    const perRowBytes = byteSize / rows.length;
+    const target = Math.min(this.targetMs / perRowMs, this.maxBytes / perRowBytes, this.size * 2);
+    const previousSize = this.size;
+    this.size = this.clamp(Math.floor(target));
+
+    sqliteManager.addBatchStat({
+      ...this.context,
+      batchNumber,
+      batchSize,
+      rowCount: rows.length,
+      byteSize,
+      fetchMs,
+      writeMs,
+      nextBatchSize: this.size
+    });
+
+    const timing = `read ${fetchMs} ms, write ${writeMs} ms, ~${byteSize} bytes`;
+    if (this.size !== previousSize) {
+      logger.info(`Batch size ${previousSize} -> ${this.size} (${rows.length} rows: ${timing})`);
+    } else {
+      logger.debug(`Batch size stays ${this.size} (${rows.length} rows: ${timing})`);
+    }
+  }
+
+  /**
+   * Keep a size within the adaptive bounds
+   * @param {number} size - Batch size
+   * @returns {number} Size between min and max
+   */
+  clamp(size) {
+    return Math.min(this.max, Math.max(this.min, size));
+  }
+}
+
+BatchSizer.MODES = MODES;
+
+module.exports = BatchSizer;
@@ -0,0 +1,430 @@
+const logger = require('../logger');
+const config = require('../config');
+const sqliteManager = require('../database/sqlite');
+const SchemaValidator = require('../utils/schemaValidator');
+const PrimaryKey = require('../utils/primaryKey');
+const RowSerializer = require('../utils/rowSerializer');
+const ErrorThreshold = require('../utils/errorThreshold');
+const ColumnMap = require('../utils/columnMap');
+const DataMasker = require('../utils/dataMasker');
+const TypeCoercer = require('../utils/typeCoercer');
+const RowTransformer = require('./rowTransformer');
+
+/**
+ * Writes batches of source rows into the destination table within a transaction.
+ * Supports row-by-row inserts and multi-row (bulk) inserts with row-by-row fallback.
+ * Rows are passed through the job's transform hooks (etl.transformModule), masking rules (etl.masking)
+ * and type coercion rules (etl.coercion) first, and source columns are written under their
+ * etl.columnMap destination names.
+ * Rows that fail are stored in the SQLite failed_rows table once the batch is committed.
+ * A batch with more failed rows than etl.maxErrorsPerBatch / etl.maxErrorRate allow is rolled back
+ * and the error is rethrown, so the caller does not advance its checkpoint.
+ */
+class BatchWriter {
+  /**
+   * @param {MariaDBPool} destPool - Destination database pool
+   * @param {string} destTable - Destination table name
+   * @param {Object} options - Writer options
+   * @param {string} options.onConflict - Conflict strategy (defaults to etl.onConflict)
+   * @param {Array} options.keyColumns - Key column names (not updated by 'upsert')
+   * @param {string} options.insertMode - 'row' or 'bulk' (defaults to etl.insertMode)
+   * @param {string} options.sourceTable - Source table name recorded with failed rows
+   * @param {string} options.destinationTable - Destination table name recorded with failed rows (defaults to destTable)
+   * @param {string} options.runId - ETL run id recorded with failed rows
+   * @param {string} options.mode - ETL mode, passed to transform hooks
+   */
+  constructor(destPool, destTable, options = {}) {
+    this.destPool = destPool;
+    this.destTable = destTable;
+    this.sourceTable = options.sourceTable || config.source.table;
+    this.failedRowsTable = options.destinationTable || destTable;
+    this.runId = options.runId || null;
+    this.mode = options.mode || null;
+    this.onConflict = options.onConflict || config.etl.onConflict;
+    this.keyColumns = options.keyColumns || [];
+    this.insertMode = options.insertMode || config.etl.insertMode;
+    this.columnMap = new ColumnMap(config.etl.columnMap);
+    this.transformer = config.etl.transformModule ? new RowTransformer(config.etl.transformModule) : null;
+    this.masker = new DataMasker(config.etl.masking);
+    this.coercer = new TypeCoercer(config.etl.coercion);
+    this.maxPacketSize = config.etl.maxPacketSize;
+    this.recordDelay = config.etl.recordDelay;
+    this.errorLimits = {
+      maxErrorRate: config.etl.maxErrorRate,
+      maxErrorsPerBatch: config.etl.maxErrorsPerBatch
+    };
+  }
+
+  /**
+   * Write a batch of rows within a transaction
+   * @param {Array} rows - Rows to write
+   * @param {Array} columns - Column names
+   * @returns {Object} Batch processing result
+   */
+  async writeBatch(rows, columns) {
+    const batchResult = this.createBatchResult();
+    const writeRows = await this.prepareRows(rows, columns, batchResult);
+    const writeColumns = this.getOutputColumns(columns);
+
+    let conn;
+    try {
+      // Begin transaction
+      conn = await this.destPool.beginTransaction();
+      logger.debug('Transaction started for batch');
+
+      await this.writeRows(conn, writeRows, writeColumns, batchResult);
+
+      // Abort instead of committing a batch with too many failed rows
+      this.checkErrorThreshold(batchResult, rows.length);
+
+      // Commit transaction
+      await this.destPool.commitTransaction(conn);
+      logger.debug(`Transaction committed: ${batchResult.inserted} rows inserted, ${batchResult.updated} updated, ${batchResult.skipped} skipped`);
+
+      this.recordFailedRows(batchResult.errors, writeColumns, columns);
+
+    } catch (error) {
+      // Rollback on error
+      if (conn) {
+        try {
+          await this.destPool.rollbackTransaction(conn);
+          logger.warn('Transaction rolled back due to error');
+        } catch (rollbackError) {
+          logger.error(`Rollback failed: ${rollbackError.message}`);
+        }
+      }
+      throw error;
+    }
+
+    return batchResult;
+  }
+
+  /**
+   * Create an empty batch result
+   * @returns {Object} Batch result counters
+   */
+  createBatchResult() {
+    return {
+      processed: 0,
+      inserted: 0,
+      updated: 0,
+      skipped: 0,
+      errors: []
+    };
+  }
+
+  /**
+   * Apply transform hooks, masking rules and coercion rules to source rows
+   * Rows dropped by a hook count as skipped; rows whose hook or coercion failed are added to the batch errors.
+   * @param {Array} rows - Source rows
+   * @param {Array} columns - Source query column names
+   * @param {Object} batchResult - Batch result to update
+   * @returns {Array} Rows to write (with getOutputColumns(columns))
+   */
+  async prepareRows(rows, columns, batchResult) {
+    let writeRows = rows;
+    if (this.transformer) {
+      const transformResult = await this.transformer.transform(rows, this.getTransformContext());
+      writeRows = transformResult.rows;
+      batchResult.skipped += transformResult.dropped;
+      batchResult.processed += transformResult.dropped + transformResult.errors.length;
+      batchResult.errors.push(...transformResult.errors);
+    }
+
+    // Mask PII columns so clear-text values never reach the destination
+    if (!this.masker.isEmpty()) {
+      writeRows = writeRows.map(row => this.masker.maskRow(row));
+    }
+
+    if (!this.coercer.isEmpty()) {
+      writeRows = this.coerceRows(writeRows, batchResult);
+    }
+    return writeRows;
+  }
+
+  /**
+   * Apply coercion rules to rows
+   * A row with a value that cannot be coerced is added to the batch errors (stored as a failed insert).
+   * @param {Array} rows - Transformed and masked rows
+   * @param {Object} batchResult - Batch result to update
+   * @returns {Array} Coerced rows
+   */
+  coerceRows(rows, batchResult) {
+    const coercedRows = [];
+    for (const row of rows) {
+      try {
+        coercedRows.push(this.coercer.coerceRow(row));
+      } catch (error) {
+        logger.error(`Error coercing row: ${error.message}`);
+        batchResult.errors.push({ row, error: error.message, code: error.code || null });
+        batchResult.processed++;
+      }
+    }
+
+    for (const [column, count] of this.coercer.takeTruncations()) {
+      logger.warn(
+        `Truncated ${count} value(s) of column '${column}' to ${this.coercer.getRule(column).maxLength} characters ` +
+        `(${this.coercer.totalTruncations.get(column)} in this run)`
+      );
+    }
+    return coercedRows;
+  }
+
+  /**
+   * Get the columns written for prepared rows
+   * @param {Array} columns - Source query column names
+   * @returns {Array} Column names (including columns added by transform hooks)
+   */
+  getOutputColumns(columns) {
+    return this.transformer ? this.transformer.getOutputColumns(columns) : columns;
+  }
+
+  /**
+   * Throw if a batch has more failed rows than etl.maxErrorsPerBatch / etl.maxErrorRate allow
+   * @param {Object} batchResult - Batch result
+   * @param {number} rowCount - Number of source rows in the batch
+   */
+  checkErrorThreshold(batchResult, rowCount) {
+    const thresholdError = ErrorThreshold.check(batchResult.errors.length, rowCount, this.errorLimits);
+    if (thresholdError) {
+      throw new Error(`Error threshold exceeded: ${thresholdError}`);
+    }
+  }
+
+  /**
+   * Write rows using a connection with an active transaction
+   * @param {Object} conn - Database connection with active transaction
+   * @param {Array} rows - Rows to write
+   * @param {Array} columns - Column names
+   * @param {Object} batchResult - Batch result to update
+   */
+  async writeRows(conn, rows, columns, batchResult) {
+    if (this.insertMode !== 'bulk') {
+      for (const row of rows) {
+        await this.writeRow(conn, row, columns, batchResult);
+      }
+      return;
+    }
+
+    for (const chunk of this.chunkRows(rows, columns)) {
+      try {
+        const counts = await this.insertChunkInTransaction(conn, chunk, columns);
+        batchResult.inserted += counts.inserted;
+        batchResult.updated += counts.updated;
+        batchResult.skipped += counts.skipped;
+        batchResult.processed += chunk.length;
+
+        // Apply delay between chunks if configured
+        if (this.recordDelay > 0) {
+          await this.sleep(this.recordDelay);
+        }
+      } catch (error) {
+        // A failed statement is rolled back on its own, so the rest of the transaction stays intact.
+        // Retry row by row to isolate the offending row(s).
+        logger.warn(`Bulk insert of ${chunk.length} rows failed: ${error.message}. Falling back to row-by-row inserts`);
+        for (const row of chunk) {
+          await this.writeRow(conn, row, columns, batchResult);
+        }
+      }
+    }
+  }
+
+  /**
+   * Write a single row, recording any error in the batch result
+   * @param {Object} conn - Database connection with active transaction
+   * @param {Object} row - Row data
+   * @param {Array} columns - Column names
+   * @param {Object} batchResult - Batch result to update
+   */
+  async writeRow(conn, row, columns, batchResult) {
+    try {
+      const affectedRows = await this.insertRowInTransaction(conn, row, columns);
+      batchResult[SchemaValidator.classifyWriteResult(affectedRows, this.onConflict)]++;
+      batchResult.processed++;
+
+      // Apply delay between records if configured
+      if (this.recordDelay > 0) {
+        await this.sleep(this.recordDelay);
+      }
+    } catch (error) {
+      // Log error but continue processing other rows
+      logger.error(`Error inserting row: ${error.message}`);
+      batchResult.errors.push({
+        row: row,
+        error: error.message,
+        code: error.code || null
+      });
+      batchResult.processed++;
+    }
+  }
+
+  /**
+   * Get the context object passed to transform hooks
+   * @returns {Object} Hook context
+   */
+  getTransformContext() {
+    return {
+      jobName: config.jobName,
+      runId: this.runId,
+      mode: this.mode,
+      sourceTable: this.sourceTable,
+      destinationTable: this.destTable
+    };
+  }
+
+  /**
+   * Store failed rows in the dead-letter table so they can be retried or discarded later
+   * Rows that failed in a transform hook are stored as read from the source, with masked columns masked
+   * so clear-text values are not kept in the state database either.
+   * @param {Array} errors - Batch errors ({ row, error, code, operation })
+   * @param {Array} columns - Column names written to the destination
+   * @param {Array} sourceColumns - Source query column names
+   */
+  recordFailedRows(errors, columns, sourceColumns = columns) {
+    for (const { row, error, code, operation = 'insert' } of errors) {
+      try {
+        let values = {};
+        for (const col of operation === 'transform' ? sourceColumns : columns) {
+          values[col] = row[col];
+        }
+        if (operation === 'transform') {
+          values = this.masker.maskRow(values);
+        }
+        const keyColumns = this.keyColumns.filter(col => col in row);
+        sqliteManager.addFailedRow({
+          runId: this.runId,
+          sourceTable: this.sourceTable,
+          destinationTable: this.failedRowsTable,
+          operation: operation,
+          primaryKey: keyColumns.length > 0 ? PrimaryKey.serialize(PrimaryKey.extract(row, keyColumns)) : null,
+          rowData: RowSerializer.serialize(values),
+          errorCode: code,
+          errorMessage: error
+        });
+      } catch (recordError) {
+        logger.error(`Failed to record failed row: ${recordError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Insert a single row within a transaction with retry logic
+   * @param {Object} conn - Database connection with active transaction
+   * @param {Object} row - Row data
+   * @param {Array} columns - Column names
+   * @returns {number} Affected rows reported by the server
+   */
+  async insertRowInTransaction(conn, row, columns) {
+    const insertSQL = SchemaValidator.buildInsertStatement(
+      this.destTable,
+      columns,
+      this.onConflict,
+      this.keyColumns,
+      1,
+      this.columnMap
+    );
+    const values = this.columnMap.getRowValues(row, columns);
+
+    // Use retry logic for transient errors
+    const result = await this.destPool.queryInTransactionWithRetry(conn, insertSQL, values);
+    logger.debug(`Inserted row with values: ${JSON.stringify(values).substring(0, 100)}...`);
+    return result.affectedRows;
+  }
+
+  /**
+   * Insert several rows with one multi-row INSERT within a transaction with retry logic
+   * @param {Object} conn - Database connection with active transaction
+   * @param {Array} rows - Rows to insert
+   * @param {Array} columns - Column names
+   * @returns {Object} { inserted, updated, skipped }
+   */
+  async insertChunkInTransaction(conn, rows, columns) {
+    const insertSQL = SchemaValidator.buildInsertStatement(
+      this.destTable,
+      columns,
+      this.onConflict,
+      this.keyColumns,
+      rows.length,
+      this.columnMap
+    );
+    const values = [];
+    for (const row of rows) {
+      values.push(...this.columnMap.getRowValues(row, columns));
+    }
+
+    const result = await this.destPool.queryInTransactionWithRetry(conn, insertSQL, values);
+    logger.debug(`Bulk inserted ${rows.length} rows (${result.affectedRows} affected)`);
+    return SchemaValidator.classifyBulkWriteResult(result.affectedRows, rows.length, this.onConflict);
+  }
+
+  /**
+   * Split rows into chunks whose estimated statement size stays under maxPacketSize
+   * @param {Array} rows - Rows to split
+   * @param {Array} columns - Column names
+   * @returns {Array} Array of row chunks
+   */
+  chunkRows(rows, columns) {
+    // Leave room for the statement text (column list, placeholders, ON DUPLICATE KEY clause)
+    const overhead = 1024 + columns.reduce((sum, col) => sum + col.length * 2 + 16, 0);
+    // Constant and expression columns added by etl.columnMap are repeated for every row
+    const addedSize = this.columnMap.getInsertColumns([])
+      .reduce((sum, col) => sum + (col.expression ? col.expression.length : String(col.value).length * 2) + 4, 0);
+    const chunks = [];
+    let current = [];
+    let currentSize = overhead;
+
+    for (const row of rows) {
+      const rowSize = this.estimateRowSize(row, columns) + addedSize;
+      if (current.length > 0 && currentSize + rowSize > this.maxPacketSize) {
+        chunks.push(current);
+        current = [];
+        currentSize = overhead;
+      }
+      current.push(row);
+      currentSize += rowSize;
+    }
+
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+    return chunks;
+  }
+
+  /**
+   * Estimate the number of bytes a row adds to an INSERT statement
+   * @param {Object} row - Row data
+   * @param {Array} columns - Column names
+   * @returns {number} Estimated size in bytes
+   */
+  estimateRowSize(row, columns) {
+    let size = 4;
+    for (const col of columns) {
+      const value = row[col];
+      if (value === null || value === undefined) {
+        size += 6;
+      } else if (Buffer.isBuffer(value)) {
+        // Binary values are sent escaped, worst case doubles the size
+        size += value.length * 2 + 4;
+      } else if (typeof value === 'string') {
+        size += Buffer.byteLength(value) * 2 + 4;
+      } else if (value instanceof Date) {
+        size += 30;
+      } else if (typeof value === 'object') {
+        size += Buffer.byteLength(JSON.stringify(value)) * 2 + 4;
+      } else {
+        size += String(value).length + 2;
+      }
+    }
+    return size;
+  }
+
+  /**
+   * Sleep helper function
+   * @param {number} ms - Milliseconds to sleep
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = BatchWriter;
@@ -0,0 +1,426 @@
+const logger = require('../logger');
+const config = require('../config');
+const sqliteManager = require('../database/sqlite');
+const BinlogReader = require('../database/binlogReader');
+const BinlogFixtureReader = require('../database/binlogFixtureReader');
+const SchemaValidator = require('../utils/schemaValidator');
+const PrimaryKey = require('../utils/primaryKey');
+const QueryTemplate = require('../utils/queryTemplate');
+const RowSerializer = require('../utils/rowSerializer');
+const BatchWriter = require('./batchWriter');
+
+/**
+ * Change data capture ETL processor (binlog-based)
+ * Reads row-based binlog events of the source table from the stored binlog position up to the
+ * server's current position and applies inserts, updates and deletes to the destination.
+ * Source transactions are applied whole, several per destination transaction (up to etl.batchSize
+ * changes); the binlog position after the last applied source transaction is stored in SQLite once
+ * the destination transaction has committed.
+ */
+class CdcLoadProcessor {
+  constructor(sourcePool, destPool, primaryKeyColumns, options = {}) {
+    this.sourcePool = sourcePool;
+    this.destPool = destPool;
+    this.sourceTable = config.source.table;
+    this.sourceDatabase = config.source.database;
+    this.destTable = config.destination.table;
+    // Source query with its template variables bound (see QueryTemplate)
+    this.sourceQuery = options.sourceQuery ||
+      QueryTemplate.render(config.etl.sqlQuery, { table: this.sourceTable, jobName: config.jobName });
+    this.batchSize = config.etl.batchSize;
+    this.primaryKeyColumns = primaryKeyColumns || config.etl.primaryKeyColumns;
+    this.runId = options.runId || null;
+    this.recordFile = config.etl.cdcRecordFile;
+    // Changes are replayed after a restart, so rows are always upserted
+    this.writer = new BatchWriter(destPool, this.destTable, {
+      runId: this.runId,
+      mode: 'cdc',
+      keyColumns: this.primaryKeyColumns,
+      onConflict: 'upsert'
+    });
+
+    if (config.etl.cdcReplayFile) {
+      this.reader = new BinlogFixtureReader(config.etl.cdcReplayFile);
+    } else {
+      this.reader = new BinlogReader(config.source, this.sourceTable, {
+        serverId: config.etl.cdcServerId,
+        useGtid: config.etl.cdcUseGtid,
+        idleTimeout: config.etl.cdcIdleTimeout
+      });
+    }
+
+    // Changes of the source transaction being read, and of committed transactions not yet applied
+    this.transaction = [];
+    this.pending = [];
+    this.pendingPosition = null;
+  }
+
+  /**
+   * Execute change data capture
+   * @returns {Object} Processing result
+   */
+  async execute() {
+    const result = {
+      rowsProcessed: 0,
+      rowsInserted: 0,
+      rowsUpdated: 0,
+      rowsSkipped: 0,
+      rowsDeleted: 0,
+      errors: []
+    };
+
+    logger.info('Starting CDC process');
+    logger.info(`Using primary key column(s): ${PrimaryKey.columnsKey(this.primaryKeyColumns)}`);
+
+    try {
+      const replaying = this.reader instanceof BinlogFixtureReader;
+      const startPosition = sqliteManager.getBinlogPosition(this.sourceTable, this.destTable);
+
+      if (!startPosition && !replaying) {
+        // Nothing to resume from: start capturing at the current position
+        const currentPosition = await this.sourcePool.getBinlogPosition();
+        sqliteManager.saveBinlogPosition(this.sourceTable, this.destTable, currentPosition);
+        logger.warn(
+          `No binlog position stored, change capture starts at ${currentPosition.file}:${currentPosition.position}. ` +
+          'Rows changed before this point are not captured: load them with a full load'
+        );
+        return result;
+      }
+
+      if (!replaying) {
+        await this.checkBinlogSettings();
+      }
+
+      const columns = await this.getChangeColumns();
+      logger.info(`Applying changes to columns: ${columns.join(', ')}`);
+
+      const stopPosition = replaying ? null : await this.sourcePool.getBinlogPosition();
+      if (startPosition && stopPosition && BinlogReader.comparePositions(startPosition, stopPosition) >= 0) {
+        logger.info('No new binlog events since the last run');
+        return result;
+      }
+
+      await this.reader.read(startPosition, stopPosition, async (event) => {
+        if (this.recordFile) {
+          BinlogFixtureReader.record(this.recordFile, event);
+        }
+        await this.handleEvent(event, columns, result);
+      });
+
+      // Apply the remaining committed transactions; changes without a commit are read again next run
+      await this.flush(columns, result);
+      if (this.transaction.length > 0) {
+        logger.debug(`${this.transaction.length} changes of an uncommitted source transaction left for the next run`);
+      }
+
+      logger.info(
+        `CDC completed: ${result.rowsInserted} inserted, ${result.rowsUpdated} updated, ` +
+        `${result.rowsDeleted} deleted, ${result.errors.length} errors`
+      );
+      return result;
+
+    } catch (error) {
+      logger.error(`CDC failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that the source writes full row images to a row-based binlog
+   */
+  async checkBinlogSettings() {
+    const settings = await this.sourcePool.getBinlogSettings();
+    const problems = [];
+    if (!settings.logBin) {
+      problems.push('log_bin is OFF');
+    }
+    if (settings.format !== 'ROW') {
+      problems.push(`binlog_format is ${settings.format} (ROW required)`);
+    }
+    if (settings.rowImage && settings.rowImage !== 'FULL') {
+      problems.push(`binlog_row_image is ${settings.rowImage} (FULL required)`);
+    }
+    if (problems.length > 0) {
+      throw new Error(`Source binlog cannot be used for change data capture: ${problems.join(', ')}`);
+    }
+  }
+
+  /**
+   * Check that sqlQuery reads the source table rows as they are: SELECT * or a column list FROM the table
+   * Binlog events carry whole table rows; a WHERE, join, grouping or computed column of sqlQuery cannot
+   * be applied to them, so CDC would write rows (or values) the full load excluded.
+   * @param {string} sql - etl.sqlQuery (before rendering)
+   * @param {string} table - Source table name
+   */
+  static checkQuery(sql, table) {
+    const { comments } = QueryTemplate.scan(sql);
+    let query = sql;
+    for (const [start, end] of comments.reverse()) {
+      query = query.substring(0, start) + ' ' + query.substring(end);
+    }
+
+    const ident = '(?:`[^`]+`|[A-Za-z0-9_$]+)';
+    const column = `${ident}(?:\\s*\\.\\s*${ident}){0,2}`;
+    const pattern = new RegExp(
+      `^\\s*SELECT\\s+(?:\\*|${column}(?:\\s*,\\s*${column})*)\\s+FROM\\s+` +
+      `(?:${ident}\\s*\\.\\s*)?(${ident}|\\{\\{\\s*table\\s*\\}\\})\\s*;?\\s*$`,
+      'i'
+    );
+    const match = pattern.exec(query);
+    const from = match && match[1].replace(/`/g, '');
+    if (!match || (!/^\{\{/.test(from) && from !== table)) {
+      throw new Error(
+        `CDC mode applies binlog rows of ${table} unfiltered, so sqlQuery must be SELECT * or a column list ` +
+        `FROM the source table (no WHERE, joins, grouping or computed columns): ${sql.trim()}`
+      );
+    }
+  }
+
+  /**
+   * Get the columns written for binlog rows: the sqlQuery columns, which must be columns of the source table
+   * @returns {Array} Column names
+   */
+  async getChangeColumns() {
+    const columns = await this.sourcePool.getQueryColumns(this.sourceQuery.sql, this.sourceQuery.params);
+    const tableColumns = (await this.sourcePool.getTableSchema(this.sourceTable)).map(col => col.COLUMN_NAME);
+
+    const missingColumns = columns.filter(col => !tableColumns.includes(col));
+    if (missingColumns.length > 0) {
+      throw new Error(
+        `CDC mode writes source table rows, but sqlQuery returns columns that are not in ${this.sourceTable}: ` +
+        missingColumns.join(', ')
+      );
+    }
+    const missingKeys = this.primaryKeyColumns.filter(col => !columns.includes(col));
+    if (missingKeys.length > 0) {
+      throw new Error(`CDC mode requires the primary key column(s) in sqlQuery: ${missingKeys.join(', ')}`);
+    }
+    return columns;
+  }
+
+  /**
+   * Handle one change event
+   * @param {Object} event - Change event
+   * @param {Array} columns - Columns to write
+   * @param {Object} result - Processing result to update
+   */
+  async handleEvent(event, columns, result) {
+    if (event.type !== 'commit') {
+      if (event.table === this.sourceTable && (!event.schema || event.schema === this.sourceDatabase)) {
+        this.transaction.push(event);
+      }
+      return;
+    }
+
+    this.pending.push(...this.transaction);
+    this.transaction = [];
+    this.pendingPosition = { file: event.file, position: event.position, gtid: event.gtid };
+
+    if (this.pending.length >= this.batchSize) {
+      await this.flush(columns, result);
+    }
+  }
+
+  /**
+   * Apply the committed changes read so far and store the binlog position after them
+   * @param {Array} columns - Columns to write
+   * @param {Object} result - Processing result to update
+   */
+  async flush(columns, result) {
+    if (!this.pendingPosition) {
+      return;
+    }
+
+    if (this.pending.length > 0) {
+      logger.info(`Applying ${this.pending.length} changes up to ${this.pendingPosition.file}:${this.pendingPosition.position}`);
+      const batchResult = await this.applyChanges(this.pending, columns);
+      result.rowsProcessed += batchResult.processed;
+      result.rowsInserted += batchResult.inserted;
+      result.rowsUpdated += batchResult.updated;
+      result.rowsSkipped += batchResult.skipped;
+      result.rowsDeleted += batchResult.deleted;
+      result.errors.push(...batchResult.errors);
+    }
+
+    // Save the position only after the changes are committed
+    sqliteManager.saveBinlogPosition(this.sourceTable, this.destTable, this.pendingPosition);
+    this.pending = [];
+    this.pendingPosition = null;
+  }
+
+  /**
+   * Apply changes in order within one destination transaction
+   * @param {Array} changes - Change events
+   * @param {Array} columns - Columns to write
+   * @returns {Object} Batch processing result
+   */
+  async applyChanges(changes, columns) {
+    const batchResult = this.writer.createBatchResult();
+    batchResult.deleted = 0;
+
+    // Transform and mask rows before the transaction starts
+    const steps = await this.buildSteps(changes, columns, batchResult);
+    const writeColumns = this.writer.getOutputColumns(columns);
+
+    let conn;
+    try {
+      // Begin transaction
+      conn = await this.destPool.beginTransaction();
+      logger.debug('Transaction started for CDC batch');
+
+      for (const step of steps) {
+        if (step.type === 'delete') {
+          for (const keyRow of step.rows) {
+            await this.deleteRow(conn, keyRow, batchResult);
+          }
+        } else {
+          await this.writer.writeRows(conn, step.rows, writeColumns, batchResult);
+        }
+      }
+
+      // Abort instead of committing a batch with too many failed rows
+      this.writer.checkErrorThreshold(batchResult, changes.length);
+
+      // Commit transaction
+      await this.destPool.commitTransaction(conn);
+      logger.debug(`Transaction committed: ${batchResult.inserted} inserted, ${batchResult.updated} updated, ${batchResult.deleted} deleted`);
+
+      this.writer.recordFailedRows(batchResult.errors.filter(e => e.operation !== 'delete'), writeColumns, columns);
+      this.recordFailedDeletes(batchResult.errors.filter(e => e.operation === 'delete'));
+
+    } catch (error) {
+      // Rollback on error
+      if (conn) {
+        try {
+          await this.destPool.rollbackTransaction(conn);
+          logger.warn('Transaction rolled back due to error');
+        } catch (rollbackError) {
+          logger.error(`Rollback failed: ${rollbackError.message}`);
+        }
+      }
+      throw error;
+    }
+
+    return batchResult;
+  }
+
+  /**
+   * Turn changes into ordered steps of upserted rows and deleted keys.
+   * An update that changes the primary key deletes the old key first.
+   * @param {Array} changes - Change events
+   * @param {Array} columns - Columns to write
+   * @param {Object} batchResult - Batch result to update (rows dropped or failed by transform hooks)
+   * @returns {Array} Steps: { type: 'upsert' | 'delete', rows }
+   */
+  async buildSteps(changes, columns, batchResult) {
+    const steps = [];
+    const addStep = (type, row) => {
+      const last = steps[steps.length - 1];
+      if (last && last.type === type) {
+        last.rows.push(row);
+      } else {
+        steps.push({ type, rows: [row] });
+      }
+    };
+
+    for (const change of changes) {
+      if (change.type === 'delete') {
+        addStep('delete', this.getKeyRow(change.row));
+        continue;
+      }
+      if (change.type === 'update' && change.before) {
+        const oldKey = PrimaryKey.extract(change.before, this.primaryKeyColumns);
+        const newKey = PrimaryKey.extract(change.row, this.primaryKeyColumns);
+        if (PrimaryKey.serialize(oldKey) !== PrimaryKey.serialize(newKey)) {
+          addStep('delete', this.getKeyRow(change.before));
+        }
+      }
+      addStep('upsert', this.projectRow(change.row, columns));
+    }
+
+    for (const step of steps) {
+      if (step.type === 'upsert') {
+        step.rows = await this.writer.prepareRows(step.rows, columns, batchResult);
+      }
+    }
+    return steps;
+  }
+
+  /**
+   * Keep the written columns of a binlog row
+   * @param {Object} row - Binlog row (all table columns)
+   * @param {Array} columns - Columns to write
+   * @returns {Object} Row data
+   */
+  projectRow(row, columns) {
+    const projected = {};
+    for (const col of columns) {
+      projected[col] = row[col];
+    }
+    return projected;
+  }
+
+  /**
+   * Get the key values of a deleted row, masked like written rows so deletes match them
+   * @param {Object} row - Binlog row
+   * @returns {Object} Key column values
+   */
+  getKeyRow(row) {
+    const keyRow = this.projectRow(row, this.primaryKeyColumns);
+    return this.writer.masker.isEmpty() ? keyRow : this.writer.masker.maskRow(keyRow);
+  }
+
+  /**
+   * Delete a single row, recording any error in the batch result
+   * @param {Object} conn - Database connection with active transaction
+   * @param {Object} keyRow - Key column values
+   * @param {Object} batchResult - Batch result to update
+   */
+  async deleteRow(conn, keyRow, batchResult) {
+    const id = PrimaryKey.extract(keyRow, this.primaryKeyColumns);
+    try {
+      const deleteSQL = SchemaValidator.buildDeleteStatement(
+        this.destTable,
+        this.primaryKeyColumns,
+        this.writer.columnMap
+      );
+      const deleteResult = await this.destPool.queryInTransactionWithRetry(conn, deleteSQL, id);
+      batchResult.deleted += deleteResult.affectedRows;
+      logger.debug(`Deleted row with PK ${PrimaryKey.format(id)}`);
+    } catch (error) {
+      logger.error(`Error deleting row with ID ${PrimaryKey.format(id)}: ${error.message}`);
+      batchResult.errors.push({
+        row: keyRow,
+        error: error.message,
+        code: error.code || null,
+        operation: 'delete'
+      });
+    }
+    batchResult.processed++;
+  }
+
+  /**
+   * Store failed deletions in the dead-letter table so they can be retried or discarded later
+   * @param {Array} errors - Batch errors ({ row, error, code })
+   */
+  recordFailedDeletes(errors) {
+    for (const { row, error, code } of errors) {
+      try {
+        sqliteManager.addFailedRow({
+          runId: this.runId,
+          sourceTable: this.sourceTable,
+          destinationTable: this.destTable,
+          operation: 'delete',
+          primaryKey: PrimaryKey.serialize(PrimaryKey.extract(row, this.primaryKeyColumns)),
+          rowData: RowSerializer.serialize(row),
+          errorCode: code,
+          errorMessage: error
+        });
+      } catch (recordError) {
+        logger.error(`Failed to record failed deletion: ${recordError.message}`);
+      }
+    }
+  }
+}
+
+module.exports = CdcLoadProcessor;
@@ -2,21 +2,27 @@ const logger = require('../logger');
 const config = require('../config');
 const SchemaValidator = require('../utils/schemaValidator');
 const sqliteManager = require('../database/sqlite');
+const PrimaryKey = require('../utils/primaryKey');
+const ErrorThreshold = require('../utils/errorThreshold');
+const ColumnMap = require('../utils/columnMap');
+const RowSerializer = require('../utils/rowSerializer');
 
 /**
  * Delta load ETL processor (handles deletions) with transaction support and retry logic
  */
 class DeltaLoadProcessor {
-  constructor(sourcePool, destPool, primaryKeyColumn) {
+  constructor(sourcePool, destPool, primaryKeyColumns, options = {}) {
     this.sourcePool = sourcePool;
     this.destPool = destPool;
     this.sourceTable = config.source.table;
     this.destTable = config.destination.table;
     this.batchSize = config.etl.batchSize;
-    this.primaryKeyColumn = primaryKeyColumn || config.etl.primaryKeyColumn;
+    this.primaryKeyColumns = primaryKeyColumns || config.etl.primaryKeyColumns;
     this.deletedFlagColumn = config.etl.deletedFlagColumn;
     this.maxRetries = config.etl.maxRetries;
     this.recordDelay = config.etl.recordDelay;
+    this.runId = options.runId || null;
+    this.columnMap = new ColumnMap(config.etl.columnMap);
   }
 
   /**
@@ -32,12 +38,12 @@ class DeltaLoadProcessor {
 
     logger.info('Starting DELTA LOAD process');
     logger.info(`Using deleted flag column: ${this.deletedFlagColumn}`);
-    logger.info(`Using primary key column: ${this.primaryKeyColumn}`);
+    logger.info(`Using primary key column(s): ${PrimaryKey.columnsKey(this.primaryKeyColumns)}`);
 
     try {
       // Find all records marked as deleted in source
       const deleteQuery = `
-        SELECT \`${this.primaryKeyColumn}\` 
+        SELECT ${this.primaryKeyColumns.map(c => `\`${c}\``).join(', ')} 
         FROM \`${this.sourceTable}\` 
         WHERE \`${this.deletedFlagColumn}\` = 1
       `;
@@ -52,18 +58,20 @@ class DeltaLoadProcessor {
 
       logger.info(`Found ${deletedRecords.length} deleted records to process`);
 
+      // Key tuples of the deleted records
+      const deletedIds = deletedRecords.map(r => PrimaryKey.extract(r, this.primaryKeyColumns));
+
       // Store deleted record IDs in SQLite for tracking
-      for (const record of deletedRecords) {
+      for (const id of deletedIds) {
         sqliteManager.addDeletedRecord(
           this.sourceTable,
           this.destTable,
-          String(record[this.primaryKeyColumn])
+          PrimaryKey.serialize(id)
         );
       }
 
       // Process deletions in batches with transactions
       let batchNumber = 1;
-      const deletedIds = deletedRecords.map(r => r[this.primaryKeyColumn]);
 
       for (let i = 0; i < deletedIds.length; i += this.batchSize) {
         const batch = deletedIds.slice(i, i + this.batchSize);
@@ -80,7 +88,7 @@ class DeltaLoadProcessor {
         sqliteManager.markDeletedRecordsProcessed(
           this.sourceTable,
           this.destTable,
-          batch.map(String)
+          batch.map(id => PrimaryKey.serialize(id))
         );
 
         logger.info(`Deletion batch ${batchNumber} completed: ${batchResult.deleted} rows deleted`);
@@ -98,7 +106,7 @@ class DeltaLoadProcessor {
 
   /**
    * Process a batch of deletions within a transaction
-   * @param {Array} ids - Primary key values to delete
+   * @param {Array} ids - Primary key tuples to delete
    * @returns {Object} Batch processing result
    */
   async processBatchWithTransaction(ids) {
@@ -126,19 +134,31 @@ class DeltaLoadProcessor {
             await this.sleep(this.recordDelay);
           }
         } catch (error) {
-          logger.error(`Error deleting row with ID ${id}: ${error.message}`);
+          logger.error(`Error deleting row with ID ${PrimaryKey.format(id)}: ${error.message}`);
           batchResult.errors.push({
             id: id,
-            error: error.message
+            error: error.message,
+            code: error.code || null
           });
           batchResult.processed++;
         }
       }
 
+      // Abort instead of committing a batch with too many failed rows
+      const thresholdError = ErrorThreshold.check(batchResult.errors.length, ids.length, {
+        maxErrorRate: config.etl.maxErrorRate,
+        maxErrorsPerBatch: config.etl.maxErrorsPerBatch
+      });
+      if (thresholdError) {
+        throw new Error(`Error threshold exceeded: ${thresholdError}`);
+      }
+
       // Commit transaction
       await this.destPool.commitTransaction(conn);
       logger.debug(`Transaction committed: ${batchResult.deleted} rows deleted`);
 
+      this.recordFailedDeletes(batchResult.errors);
+
     } catch (error) {
       // Rollback on error
       if (conn) {
@@ -155,19 +175,47 @@ class DeltaLoadProcessor {
     return batchResult;
   }
 
+  /**
+   * Store failed deletions in the dead-letter table so they can be retried or discarded later
+   * @param {Array} errors - Batch errors ({ id, error, code })
+   */
+  recordFailedDeletes(errors) {
+    for (const { id, error, code } of errors) {
+      try {
+        const keyValues = {};
+        this.primaryKeyColumns.forEach((col, index) => {
+          keyValues[col] = id[index];
+        });
+        sqliteManager.addFailedRow({
+          runId: this.runId,
+          sourceTable: this.sourceTable,
+          destinationTable: this.destTable,
+          operation: 'delete',
+          primaryKey: PrimaryKey.serialize(id),
+          rowData: RowSerializer.serialize(keyValues),
+          errorCode: code,
+          errorMessage: error
+        });
+      } catch (recordError) {
+        logger.error(`Failed to record failed deletion: ${recordError.message}`);
+      }
+    }
+  }
+
   /**
    * Delete a single row within a transaction with retry logic
    * @param {Object} conn - Database connection with active transaction
-   * @param {*} id - Primary key value
+   * @param {Array} id - Primary key tuple
    */
   async deleteRowInTransaction(conn, id) {
     const deleteSQL = SchemaValidator.buildDeleteStatement(
       this.destTable,
-      this.primaryKeyColumn
+      this.primaryKeyColumns,
+      this.columnMap
     );
 
-    await this.destPool.queryInTransactionWithRetry(conn, deleteSQL, [id]);
-    logger.debug(`Deleted row with PK ${id}`);
+    await this.destPool.queryInTransactionWithRetry(conn, deleteSQL, id);
+    logger.debug(`Deleted row with PK ${PrimaryKey.format(id)}`);
   }
 
   /**
@@ -1,13 +1,30 @@
+const crypto = require('crypto');
 const logger = require('../logger');
 const config = require('../config');
 const MariaDBPool = require('../database/mariadb');
 const sqliteManager = require('../database/sqlite');
 const ConnectionChecker = require('../utils/connectionChecker');
 const SchemaValidator = require('../utils/schemaValidator');
+const ErrorThreshold = require('../utils/errorThreshold');
+const TableOrder = require('../utils/tableOrder');
+const DdlBuilder = require('../utils/ddlBuilder');
+const SchemaSnapshot = require('../utils/schemaSnapshot');
+const ColumnMap = require('../utils/columnMap');
+const PrimaryKey = require('../utils/primaryKey');
+const QueryTemplate = require('../utils/queryTemplate');
+const KeyRanges = require('../utils/keyRanges');
+const DataMasker = require('../utils/dataMasker');
+const TypeCoercer = require('../utils/typeCoercer');
 const ModeDetector = require('./modeDetector');
+const RowTransformer = require('./rowTransformer');
+const BatchSizer = require('./batchSizer');
 const FullLoadProcessor = require('./fullLoad');
 const IncrementalLoadProcessor = require('./incrementalLoad');
+const UpdatedLoadProcessor = require('./updatedLoad');
 const DeltaLoadProcessor = require('./deltaLoad');
+const ReconcileLoadProcessor = require('./reconcileLoad');
+const ReloadLoadProcessor = require('./reloadLoad');
+const CdcLoadProcessor = require('./cdcLoad');
 
 /**
  * Main ETL runner class
@@ -46,8 +63,11 @@ class ETLRunner {
   }
 
   /**
-   * Run the ETL process
-   * @param {string} forceMode - Optional mode to force ('full', 'incremental', 'delta')
+   * Run the ETL process for every table of the job
+   * Tables are processed parents first (children first for reconcile runs, which delete rows);
+   * a table is skipped when a table it references failed in the same run.
+   * @param {string} forceMode - Optional mode to force ('full', 'reload', 'incremental', 'updated', 'delta', 'reconcile', 'cdc')
+   * @returns {Array} Run results, one per table
    */
   async run(forceMode = null) {
     if (this.isRunning) {
@@ -56,13 +76,110 @@ class ETLRunner {
     }
 
     this.isRunning = true;
+    const results = [];
+
+    try {
+      const { tables, dependencies } = await this.getTableOrder();
+      const deleting = forceMode === 'reconcile';
+      const failedTables = new Set();
+
+      for (const table of deleting ? tables.slice().reverse() : tables) {
+        config.useTable(table);
+
+        const failedParents = deleting ? [] : [...dependencies.get(table)].filter(parent => failedTables.has(parent));
+        if (failedParents.length > 0) {
+          const reason = `Skipped because referenced table(s) failed: ${failedParents.map(TableOrder.describe).join(', ')}`;
+          logger.warn(`${TableOrder.describe(table)}: ${reason}`);
+          results.push(this.logSkippedRun(forceMode, reason));
+          failedTables.add(table);
+          continue;
+        }
+
+        const runResult = await this.runTable(forceMode);
+        results.push(runResult);
+        if (runResult.status === 'failed') {
+          failedTables.add(table);
+        }
+      }
+    } catch (error) {
+      logger.error(`ETL Process Failed: ${error.message}`);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the job's tables in processing order
+   * @returns {Object} { tables, dependencies } - dependencies maps a table to its parent tables
+   */
+  async getTableOrder() {
+    const tables = config.tables;
+    if (tables.length === 1) {
+      return { tables, dependencies: new Map([[tables[0], new Set()]]) };
+    }
+
+    const dependencies = TableOrder.buildDependencies(
+      tables,
+      await this.sourcePool.getForeignKeys(),
+      await this.destPool.getForeignKeys()
+    );
+    const ordered = TableOrder.sort(tables, dependencies);
+    logger.info(`Processing ${ordered.length} tables: ${ordered.map(TableOrder.describe).join(', ')}`);
+    return { tables: ordered, dependencies };
+  }
+
+  /**
+   * Log a table that was not processed to the run history
+   * @param {string} forceMode - Mode forced for the run, if any
+   * @param {string} reason - Reason the table was skipped
+   * @returns {Object} Run result
+   */
+  logSkippedRun(forceMode, reason) {
+    const now = new Date().toISOString();
+    const runResult = {
+      runId: crypto.randomUUID(),
+      sourceTable: config.source.table,
+      destinationTable: config.destination.table,
+      mode: forceMode || config.etl.mode || 'none',
+      rowsProcessed: 0,
+      rowsInserted: 0,
+      rowsUpdated: 0,
+      rowsSkipped: 0,
+      rowsDeleted: 0,
+      status: 'skipped',
+      errorMessage: reason,
+      startTime: now,
+      endTime: now,
+      durationSeconds: 0
+    };
+
+    try {
+      sqliteManager.logETLRun(runResult);
+    } catch (logError) {
+      logger.error(`Failed to log ETL run to history: ${logError.message}`);
+    }
+    return runResult;
+  }
+
+  /**
+   * Run the ETL process for the current table (see config.useTable)
+   * @param {string} forceMode - Optional mode to force
+   * @returns {Object} Run result
+   */
+  async runTable(forceMode = null) {
     const startTime = new Date();
+    const runId = crypto.randomUUID();
     let runResult = {
+      runId,
       sourceTable: config.source.table,
       destinationTable: config.destination.table,
       mode: null,
       rowsProcessed: 0,
       rowsInserted: 0,
+      rowsUpdated: 0,
+      rowsSkipped: 0,
       rowsDeleted: 0,
       status: 'started',
       errorMessage: null,
@@ -74,8 +191,18 @@ class ETLRunner {
     try {
       logger.info('========================================');
       logger.info('Starting ETL Process');
+      logger.info(`Table: ${config.source.table} -> ${config.destination.table}`);
+      logger.info(`Run ID: ${runId}`);
       logger.info('========================================');
 
+      // Settings are checked before anything changes the destination
+      this.validateSettings(forceMode);
+
+      // Create a missing destination table before the pre-flight checks require it
+      if (config.etl.createDestinationIfMissing) {
+        await this.createDestinationTable(this.renderSourceQuery(startTime));
+      }
+
       // Pre-flight checks
       const preFlightResult = await ConnectionChecker.preFlightChecks(
         this.sourcePool,
@@ -91,10 +218,15 @@ class ETLRunner {
       // Check fresh start conditions (forceFullRefresh or empty destination)
       await this.checkFreshStartConditions();
 
+      // Template variables are bound after the fresh start check, which may clear {{lastValue}}
+      const sourceQuery = this.renderSourceQuery(startTime);
+      if (sourceQuery.params.length > 0) {
+        logger.info(`Query template values: ${sourceQuery.params.map(value => JSON.stringify(value)).join(', ')}`);
+      }
+
       // SQL Query syntax validation
-      const selectQuery = config.etl.sqlQuery.replace('{{table}}', config.source.table);
       logger.info('Validating SQL query syntax...');
-      const queryValidation = await this.sourcePool.validateQuerySyntax(selectQuery);
+      const queryValidation = await this.sourcePool.validateQuerySyntax(sourceQuery.sql, sourceQuery.params);
       if (!queryValidation.isValid) {
         throw new Error(`SQL query syntax error: ${queryValidation.error}`);
       }
@@ -104,23 +236,62 @@ class ETLRunner {
       // Use query column metadata for source (supports JOINs and custom columns)
       logger.info('Validating schema compatibility...');
       logger.info('Detecting columns from SQL query result...');
-      const sourceSchema = await this.sourcePool.getQueryColumnMetadata(selectQuery);
-      const destSchema = await this.destPool.getTableSchema(config.destination.table);
+      const sourceSchema = await this.sourcePool.getQueryColumnMetadata(sourceQuery.sql, sourceQuery.params);
+      let destSchema = await this.destPool.getTableSchema(config.destination.table);
       
       logger.info(`Source query returns ${sourceSchema.length} columns: ${sourceSchema.map(c => c.COLUMN_NAME).join(', ')}`);
+
+      // Source columns missing in the destination are added or left out (etl.schemaEvolution)
+      destSchema = await this.applySchemaEvolution(sourceSchema, destSchema, sourceQuery, runId);
+
+      // Schema snapshot of this run (compared by the schema:diff CLI)
+      await this.saveSchemaSnapshot(sourceQuery, runId);
       
-      // Validate schema compatibility including primary key check
+      // Validate schema compatibility including primary key check (honoring etl.columnMap;
+      // type differences of columns with a coercion rule are reported with the coercions)
+      const columnMap = new ColumnMap(config.etl.columnMap);
+      const coercer = new TypeCoercer(config.etl.coercion);
       const schemaValidation = SchemaValidator.validateSchemaCompatibility(
         sourceSchema, 
         destSchema, 
-        config.etl.primaryKeyColumn
+        config.etl.primaryKeyColumns,
+        columnMap,
+        coercer.getCoercedColumns()
       );
       if (!schemaValidation.isCompatible) {
         throw new Error('Schema validation failed: ' + schemaValidation.errors.join(', '));
       }
 
-      // Detect or force mode
+      // Transform hooks check (columns added by the hooks must exist in destination)
+      let writtenColumns = sourceSchema.map(col => col.COLUMN_NAME);
+      if (config.etl.transformModule) {
+        const transformer = new RowTransformer(config.etl.transformModule);
+        writtenColumns = transformer.getOutputColumns(writtenColumns);
+        const destColumnNames = destSchema.map(col => col.COLUMN_NAME);
+        const missingColumns = transformer.addedColumns
+          .map(col => columnMap.getDestinationColumn(col))
+          .filter(col => col !== null && !destColumnNames.includes(col));
+        if (missingColumns.length > 0) {
+          throw new Error(`Columns added by transform module do not exist in destination: ${missingColumns.join(', ')}`);
+        }
+        logger.info(`Using transform module: ${transformer.modulePath}`);
+      }
+
+      // Masking rules check (warns when masked values would not fit the destination columns)
+      const masker = new DataMasker(config.etl.masking);
+      if (!masker.isEmpty()) {
+        logger.info(`Masking columns: ${masker.getMaskedColumns().join(', ')}`);
+        SchemaValidator.validateMasking(writtenColumns, destSchema, masker, columnMap, config.etl.primaryKeyColumns);
+      }
+
+      // Coercion rules check (reports the coercions that will apply before insert)
+      if (!coercer.isEmpty()) {
+        SchemaValidator.validateCoercion(writtenColumns, destSchema, coercer, columnMap, config.etl.primaryKeyColumns);
+      }
+
+      // Detect or force mode (etl.mode pins the mode for every scheduled run)
       let modeResult;
+      forceMode = forceMode || config.etl.mode;
       if (forceMode) {
         modeResult = ModeDetector.forceMode(forceMode);
       } else {
@@ -140,34 +311,92 @@ class ETLRunner {
       
       switch (modeResult.mode) {
         case 'full':
-          const fullProcessor = new FullLoadProcessor(this.sourcePool, this.destPool);
+          const fullProcessor = new FullLoadProcessor(this.sourcePool, this.destPool, { runId, sourceQuery });
           processorResult = await fullProcessor.execute();
           runResult.rowsProcessed = processorResult.rowsProcessed;
           runResult.rowsInserted = processorResult.rowsInserted;
+          runResult.rowsUpdated = processorResult.rowsUpdated;
+          runResult.rowsSkipped = processorResult.rowsSkipped;
+          break;
+
+        case 'reload':
+          const reloadProcessor = new ReloadLoadProcessor(this.sourcePool, this.destPool, { runId, sourceQuery });
+          processorResult = await reloadProcessor.execute();
+          runResult.rowsProcessed = processorResult.rowsProcessed;
+          runResult.rowsInserted = processorResult.rowsInserted;
+          runResult.rowsUpdated = processorResult.rowsUpdated;
+          runResult.rowsSkipped = processorResult.rowsSkipped;
+          runResult.rowsDeleted = processorResult.rowsDeleted;
           break;
 
         case 'incremental':
           const incrementalProcessor = new IncrementalLoadProcessor(
             this.sourcePool,
             this.destPool,
-            modeResult.details.primaryKeyColumn
+            modeResult.details.primaryKeyColumns,
+            { runId, sourceQuery }
           );
           processorResult = await incrementalProcessor.execute();
           runResult.rowsProcessed = processorResult.rowsProcessed;
           runResult.rowsInserted = processorResult.rowsInserted;
+          runResult.rowsUpdated = processorResult.rowsUpdated;
+          runResult.rowsSkipped = processorResult.rowsSkipped;
+          break;
+
+        case 'updated':
+          const updatedProcessor = new UpdatedLoadProcessor(
+            this.sourcePool,
+            this.destPool,
+            modeResult.details.primaryKeyColumns,
+            modeResult.details.updatedAtColumn,
+            { runId, sourceQuery }
+          );
+          processorResult = await updatedProcessor.execute();
+          runResult.rowsProcessed = processorResult.rowsProcessed;
+          runResult.rowsInserted = processorResult.rowsInserted;
+          runResult.rowsUpdated = processorResult.rowsUpdated;
+          runResult.rowsSkipped = processorResult.rowsSkipped;
           break;
 
         case 'delta':
           const deltaProcessor = new DeltaLoadProcessor(
             this.sourcePool,
             this.destPool,
-            modeResult.details.primaryKeyColumn
+            modeResult.details.primaryKeyColumns,
+            { runId }
           );
           processorResult = await deltaProcessor.execute();
           runResult.rowsProcessed = processorResult.rowsProcessed;
           runResult.rowsDeleted = processorResult.rowsDeleted;
           break;
 
+        case 'reconcile':
+          const reconcileProcessor = new ReconcileLoadProcessor(
+            this.sourcePool,
+            this.destPool,
+            modeResult.details.primaryKeyColumns,
+            { runId, sourceQuery }
+          );
+          processorResult = await reconcileProcessor.execute();
+          runResult.rowsProcessed = processorResult.rowsProcessed;
+          runResult.rowsDeleted = processorResult.rowsDeleted;
+          break;
+
+        case 'cdc':
+          const cdcProcessor = new CdcLoadProcessor(
+            this.sourcePool,
+            this.destPool,
+            modeResult.details.primaryKeyColumns,
+            { runId, sourceQuery }
+          );
+          processorResult = await cdcProcessor.execute();
+          runResult.rowsProcessed = processorResult.rowsProcessed;
+          runResult.rowsInserted = processorResult.rowsInserted;
+          runResult.rowsUpdated = processorResult.rowsUpdated;
+          runResult.rowsSkipped = processorResult.rowsSkipped;
+          runResult.rowsDeleted = processorResult.rowsDeleted;
+          break;
+
         default:
           throw new Error(`Unknown mode: ${modeResult.mode}`);
       }
@@ -195,12 +424,110 @@ class ETLRunner {
       }
 
       logger.info(`ETL run duration: ${runResult.durationSeconds.toFixed(2)} seconds`);
-      this.isRunning = false;
     }
 
     return runResult;
   }
 
+  /**
+   * Check the current table's settings that need no database access
+   * Runs before the destination table is created or evolved, so an invalid job fails without side effects.
+   * @param {string} forceMode - Mode forced for this run, if any
+   */
+  validateSettings(forceMode) {
+    // Mode check
+    const mode = forceMode || config.etl.mode;
+    if (mode && !ModeDetector.MODES.includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Valid modes are: ${ModeDetector.MODES.join(', ')}`);
+    }
+
+    // Column map, transform hooks, masking and coercion rules (invalid rules are rejected when loaded)
+    new ColumnMap(config.etl.columnMap);
+    if (config.etl.transformModule) {
+      new RowTransformer(config.etl.transformModule);
+    }
+    new DataMasker(config.etl.masking);
+    new TypeCoercer(config.etl.coercion);
+
+    // Schema evolution policy check
+    if (!SchemaValidator.SCHEMA_EVOLUTION_POLICIES.includes(config.etl.schemaEvolution)) {
+      throw new Error(
+        `Invalid schemaEvolution policy: ${config.etl.schemaEvolution}. ` +
+        `Valid policies are: ${SchemaValidator.SCHEMA_EVOLUTION_POLICIES.join(', ')}`
+      );
+    }
+
+    // Conflict strategy check (an invalid strategy would fail every row)
+    if (!SchemaValidator.CONFLICT_STRATEGIES.includes(config.etl.onConflict)) {
+      throw new Error(
+        `Invalid onConflict strategy: ${config.etl.onConflict}. ` +
+        `Valid strategies are: ${SchemaValidator.CONFLICT_STRATEGIES.join(', ')}`
+      );
+    }
+
+    // Full load strategy check
+    if (!['direct', 'swap'].includes(config.etl.fullLoadStrategy)) {
+      throw new Error(`Invalid fullLoadStrategy: ${config.etl.fullLoadStrategy}. Valid strategies are: direct, swap`);
+    }
+
+    // Extract strategy check
+    if (!['batch', 'stream'].includes(config.etl.extractStrategy)) {
+      throw new Error(`Invalid extractStrategy: ${config.etl.extractStrategy}. Valid strategies are: batch, stream`);
+    }
+
+    // Prefetch settings check
+    if (!Number.isInteger(config.etl.prefetchDepth) || config.etl.prefetchDepth < 0) {
+      throw new Error(`Invalid prefetchDepth: ${config.etl.prefetchDepth}. Must be a non-negative integer`);
+    }
+    if (!(config.etl.prefetchMaxBytes > 0)) {
+      throw new Error(`Invalid prefetchMaxBytes: ${config.etl.prefetchMaxBytes}. Must be a positive number`);
+    }
+
+    // Batch size settings check
+    if (!BatchSizer.MODES.includes(config.etl.batchSizeMode)) {
+      throw new Error(`Invalid batchSizeMode: ${config.etl.batchSizeMode}. Valid modes are: ${BatchSizer.MODES.join(', ')}`);
+    }
+    if (config.etl.batchSizeMode === 'adaptive') {
+      const { batchSizeMin, batchSizeMax } = config.etl;
+      if (!Number.isInteger(batchSizeMin) || !Number.isInteger(batchSizeMax) || batchSizeMin < 1 || batchSizeMin > batchSizeMax) {
+        throw new Error(`Invalid batch size bounds: ${batchSizeMin}..${batchSizeMax}. Must be positive integers with batchSizeMin <= batchSizeMax`);
+      }
+      if (!(config.etl.batchTargetMs > 0) || !(config.etl.batchMaxBytes > 0)) {
+        throw new Error('batchTargetMs and batchMaxBytes must be positive numbers');
+      }
+    }
+
+    // Range-partitioned full load check
+    if (!Number.isInteger(config.etl.fullLoadRanges) || config.etl.fullLoadRanges < 1) {
+      throw new Error(`Invalid fullLoadRanges: ${config.etl.fullLoadRanges}. Must be a positive integer`);
+    }
+    if (!KeyRanges.SPLIT_METHODS.includes(config.etl.fullLoadRangeSplit)) {
+      throw new Error(
+        `Invalid fullLoadRangeSplit: ${config.etl.fullLoadRangeSplit}. ` +
+        `Valid methods are: ${KeyRanges.SPLIT_METHODS.join(', ')}`
+      );
+    }
+    if (config.etl.fullLoadRanges > 1 && config.etl.consistentSnapshot) {
+      throw new Error('fullLoadRanges cannot be combined with consistentSnapshot: a snapshot is read on one connection');
+    }
+
+    // Updated-row sync check (a forced updated mode has no column detected for it)
+    if (mode === 'updated' && !config.etl.updatedAtColumn) {
+      throw new Error('Mode "updated" requires etl.updatedAtColumn (the source modification timestamp column)');
+    }
+
+    // Change data capture check (binlog rows cannot be filtered by sqlQuery)
+    if (mode === 'cdc') {
+      CdcLoadProcessor.checkQuery(config.etl.sqlQuery, config.source.table);
+    }
+
+    // Error threshold settings check
+    const thresholdErrors = ErrorThreshold.validate(config.etl);
+    if (thresholdErrors.length > 0) {
+      throw new Error(thresholdErrors.join(', '));
+    }
+  }
+
   /**
    * Check and handle fresh start conditions
    * Clears checkpoints if:
@@ -218,6 +545,8 @@ class ETLRunner {
       logger.info('Clearing all checkpoints and state...');
       logger.info('========================================');
       sqliteManager.clearAllState(sourceTable, destTable);
+      // An interrupted shadow-table load is started over as well
+      sqliteManager.clearAllCheckpoints(sourceTable, FullLoadProcessor.getStagingTable(destTable));
       return true;
     }
 
@@ -225,7 +554,7 @@ class ETLRunner {
     const destRowCount = await this.destPool.getRowCount(destTable);
     if (destRowCount === 0) {
       const checkpoint = sqliteManager.getCheckpoint(sourceTable, destTable, 'full');
-      if (checkpoint) {
+      if (checkpoint || sqliteManager.hasRangeCheckpoints(sourceTable, destTable)) {
         logger.info('========================================');
         logger.info('DESTINATION TABLE IS EMPTY');
         logger.info('Clearing stale checkpoints for fresh start...');
@@ -238,6 +567,187 @@ class ETLRunner {
     return false;
   }
 
+  /**
+   * Create the destination table from the source when it does not exist (etl.createDestinationIfMissing)
+   * A plain table copy reuses the source table's DDL; a custom sqlQuery, columnMap or transform module
+   * gets a table built from the query's column metadata.
+   * @param {Object} sourceQuery - Rendered source query: { sql, params }
+   * @returns {boolean} True if the table was created
+   */
+  async createDestinationTable(sourceQuery) {
+    const sourceTable = config.source.table;
+    const destTable = config.destination.table;
+
+    // A missing source table is reported by the pre-flight checks
+    if (await this.destPool.tableExists(destTable) || !await this.sourcePool.tableExists(sourceTable)) {
+      return false;
+    }
+
+    const columnMap = new ColumnMap(config.etl.columnMap);
+    let ddl;
+
+    if (config.etl.sqlQuery === 'SELECT * FROM {{table}}' && columnMap.isEmpty() && !config.etl.transformModule) {
+      logger.info(`Creating destination table '${destTable}' from the DDL of source table '${sourceTable}'`);
+      const tableNames = Object.fromEntries(config.tables.map(table => [table.sourceTable, table.destinationTable]));
+      ddl = DdlBuilder.fromCreateStatement(await this.sourcePool.getCreateTableStatement(sourceTable), destTable, {
+        primaryKeyColumns: config.etl.primaryKeyColumns,
+        stripForeignKeys: config.etl.createDestinationStripForeignKeys,
+        tableNames
+      });
+    } else {
+      logger.info(`Creating destination table '${destTable}' from the source query's column metadata`);
+      const sourceColumns = await this.sourcePool.getQueryColumnDefinitions(sourceQuery.sql, sourceQuery.params);
+
+      const columns = sourceColumns
+        .filter(col => columnMap.getDestinationColumn(col.COLUMN_NAME) !== null)
+        .map(col => ({ ...col, COLUMN_NAME: columnMap.getDestinationColumn(col.COLUMN_NAME) }));
+
+      // Types of added columns are not known before the first row
+      const addedColumns = columnMap.added.map(col => col.name);
+      if (config.etl.transformModule) {
+        const transformer = new RowTransformer(config.etl.transformModule);
+        addedColumns.push(...transformer.addedColumns
+          .map(col => columnMap.getDestinationColumn(col))
+          .filter(col => col !== null && !columns.some(existing => existing.COLUMN_NAME === col)));
+      }
+      for (const name of addedColumns.filter(col => !columns.some(existing => existing.COLUMN_NAME === col))) {
+        logger.warn(`Column '${name}' is not returned by the source query and is created as TEXT`);
+        columns.push({ COLUMN_NAME: name, COLUMN_TYPE: 'text', IS_NULLABLE: 'YES' });
+      }
+
+      ddl = DdlBuilder.fromColumns(destTable, columns, columnMap.getDestinationKeyColumns(config.etl.primaryKeyColumns));
+    }
+
+    logger.debug(ddl);
+    await this.destPool.query(ddl);
+    logger.info(`Destination table '${destTable}' created`);
+    return true;
+  }
+
+  /**
+   * Handle source columns that have no destination column according to etl.schemaEvolution
+   *   fail         leave them to schema validation, which fails the run
+   *   ignore-new   leave them out of the writes of this run (the column is dropped as in columnMap)
+   *   add-columns  add them to the destination table as nullable columns
+   * Added and ignored columns are recorded in the schema_changes table.
+   * @param {Array} sourceSchema - Source query schema
+   * @param {Array} destSchema - Destination table schema
+   * @param {Object} sourceQuery - Rendered source query: { sql, params }
+   * @param {string} runId - Run ID
+   * @returns {Array} Destination table schema after the changes
+   */
+  async applySchemaEvolution(sourceSchema, destSchema, sourceQuery, runId) {
+    // The policy was checked by validateSettings()
+    const policy = config.etl.schemaEvolution;
+
+    const sourceTable = config.source.table;
+    const destTable = config.destination.table;
+    const newColumns = SchemaValidator.findNewColumns(
+      sourceSchema,
+      destSchema,
+      config.etl.primaryKeyColumns,
+      new ColumnMap(config.etl.columnMap)
+    );
+    if (newColumns.length === 0 || policy === 'fail') {
+      return destSchema;
+    }
+
+    if (policy === 'ignore-new') {
+      const recorded = sqliteManager.getSchemaChanges(sourceTable, destTable)
+        .filter(change => change.change_type === 'ignore-column')
+        .map(change => change.column_name);
+      const columnMap = { ...config.etl.columnMap };
+      for (const { source, destination } of newColumns) {
+        columnMap[source] = null;
+        if (!recorded.includes(destination)) {
+          const label = destination === source ? `'${source}'` : `'${source}' (mapped to '${destination}')`;
+          logger.warn(`Source column ${label} does not exist in destination: leaving it out`);
+          sqliteManager.addSchemaChange({ runId, sourceTable, destinationTable: destTable, changeType: 'ignore-column', columnName: destination });
+        }
+      }
+      // Per-run settings: useTable() restores the configured settings for the next run
+      config.etl = { ...config.etl, columnMap };
+      return destSchema;
+    }
+
+    const definitions = await this.sourcePool.getQueryColumnDefinitions(sourceQuery.sql, sourceQuery.params);
+    const columns = newColumns.map(({ source, destination }) => ({
+      COLUMN_NAME: destination,
+      COLUMN_TYPE: definitions.find(col => col.COLUMN_NAME === source).COLUMN_TYPE
+    }));
+    const ddl = DdlBuilder.buildAddColumns(destTable, columns);
+
+    logger.info(`Adding ${columns.length} new column(s) to destination table '${destTable}': ${ddl}`);
+    await this.destPool.query(ddl);
+
+    for (const col of columns) {
+      sqliteManager.addSchemaChange({
+        runId,
+        sourceTable,
+        destinationTable: destTable,
+        changeType: 'add-column',
+        columnName: col.COLUMN_NAME,
+        columnType: col.COLUMN_TYPE,
+        ddl
+      });
+    }
+
+    return await this.destPool.getTableSchema(destTable);
+  }
+
+  /**
+   * Store the current source, query and destination schemas for this run
+   * A snapshot that cannot be taken is logged and does not fail the run.
+   * @param {Object} sourceQuery - Rendered source query: { sql, params }
+   * @param {string} runId - Run ID
+   */
+  async saveSchemaSnapshot(sourceQuery, runId) {
+    try {
+      const schemas = await SchemaSnapshot.capture(
+        this.sourcePool,
+        this.destPool,
+        config.source.table,
+        config.destination.table,
+        sourceQuery
+      );
+      const hashes = {
+        source: SchemaSnapshot.hash(schemas.source),
+        query: SchemaSnapshot.hash(schemas.query),
+        destination: SchemaSnapshot.hash(schemas.destination)
+      };
+      const snapshotId = sqliteManager.saveSchemaSnapshot(runId, config.source.table, config.destination.table, schemas, hashes);
+      logger.debug(`Schema snapshot #${snapshotId} saved`);
+    } catch (error) {
+      logger.warn(`Failed to save schema snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render etl.sqlQuery for the current table (see QueryTemplate)
+   * {{lastValue}} is read from the incremental state only when the query uses it.
+   * @param {Date} runStartedAt - Start time of the run
+   * @returns {Object} { sql, params }
+   */
+  renderSourceQuery(runStartedAt) {
+    const keyColumns = PrimaryKey.normalize(config.etl.primaryKeyColumns);
+    return QueryTemplate.render(config.etl.sqlQuery, {
+      table: config.source.table,
+      jobName: config.jobName,
+      runStartedAt,
+      lastValue: () => {
+        if (keyColumns.length > 1) {
+          throw new Error(`{{lastValue}} requires a single-column primary key, got ${PrimaryKey.columnsKey(keyColumns)}`);
+        }
+        const lastValue = PrimaryKey.parse(sqliteManager.getLastProcessedValue(
+          config.source.table,
+          config.destination.table,
+          PrimaryKey.columnsKey(keyColumns)
+        ));
+        return lastValue ? lastValue[0] : null;
+      }
+    });
+  }
+
   /**
    * Shutdown the ETL runner and close all connections
    */
@@ -267,10 +777,10 @@ class ETLRunner {
     const config = require('../config');
     
     sqliteManager.initialize();
-    const result = sqliteManager.clearAllState(
-      config.source.table,
-      config.destination.table
-    );
+    const result = config.tables.map(table => sqliteManager.clearAllState(
+      table.sourceTable,
+      table.destinationTable
+    ));
     sqliteManager.close();
     
     return result;
@@ -1,22 +1,94 @@
 const logger = require('../logger');
 const config = require('../config');
-const SchemaValidator = require('../utils/schemaValidator');
 const sqliteManager = require('../database/sqlite');
+const PrimaryKey = require('../utils/primaryKey');
+const QueryBuilder = require('../utils/queryBuilder');
+const QueryTemplate = require('../utils/queryTemplate');
+const KeyRanges = require('../utils/keyRanges');
+const BatchWriter = require('./batchWriter');
+const BatchPrefetcher = require('./batchPrefetcher');
+const BatchSizer = require('./batchSizer');
+const UpdatedLoadProcessor = require('./updatedLoad');
 
 /**
  * Full load ETL processor with transaction support, retry logic, and checkpoint/resume
+ *
+ * With etl.fullLoadStrategy "swap" the load goes into a shadow table (<dest>_staging, created with
+ * CREATE TABLE ... LIKE) which replaces the live table with one atomic RENAME TABLE once its row
+ * count is validated. Replaced tables are kept as <dest>_old_1 .. <dest>_old_N (etl.swapGenerations).
+ *
+ * With etl.consistentSnapshot all source rows are read through one connection holding a
+ * START TRANSACTION WITH CONSISTENT SNAPSHOT transaction, so the load sees the source as of a single
+ * point in time. The binlog position of that snapshot is stored as the CDC start position once the
+ * load completes, so change capture continues exactly where the load's data ends.
+ *
+ * With etl.fullLoadRanges > 1 the key space is split into ranges (see KeyRanges) that are loaded
+ * concurrently, each on its own source and destination connections and with its own checkpoint
+ * (range_checkpoint table), so an interrupted load resumes every range where it stopped.
  */
 class FullLoadProcessor {
-  constructor(sourcePool, destPool) {
+  constructor(sourcePool, destPool, options = {}) {
     this.sourcePool = sourcePool;
     this.destPool = destPool;
     this.sourceTable = config.source.table;
     this.destTable = config.destination.table;
-    this.batchSize = config.etl.batchSize;
-    this.primaryKeyColumn = config.etl.primaryKeyColumn;
+    // Source query with its template variables bound (see QueryTemplate)
+    this.sourceQuery = options.sourceQuery ||
+      QueryTemplate.render(config.etl.sqlQuery, { table: this.sourceTable, jobName: config.jobName });
+    this.primaryKeyColumns = config.etl.primaryKeyColumns;
     this.maxRetries = config.etl.maxRetries;
     this.retryDelay = config.etl.retryDelay;
-    this.recordDelay = config.etl.recordDelay;
+    this.strategy = config.etl.fullLoadStrategy;
+    this.swapGenerations = config.etl.swapGenerations;
+    this.consistentSnapshot = config.etl.consistentSnapshot;
+    this.extractStrategy = config.etl.extractStrategy;
+    this.prefetchDepth = config.etl.prefetchDepth;
+    this.prefetchMaxBytes = config.etl.prefetchMaxBytes;
+    this.rangeCount = config.etl.fullLoadRanges;
+    this.rangeSplit = config.etl.fullLoadRangeSplit;
+    this.runId = options.runId;
+    // { conn, position } of the consistent snapshot while the load runs
+    this.snapshot = null;
+    // BatchStream of the source rows while a streamed load runs
+    this.stream = null;
+    // BatchPrefetcher reading batches ahead of the writes while the load runs
+    this.prefetcher = null;
+    // Updated-row sync watermark stored once the load completes (see UpdatedLoadProcessor.readWatermarkSeed)
+    this.watermarkSeed = null;
+    // Table the rows are written to (and checkpoints are kept for)
+    this.targetTable = this.strategy === 'swap'
+      ? FullLoadProcessor.getStagingTable(this.destTable)
+      : this.destTable;
+    this.writer = this.createWriter();
+    this.sizer = this.createSizer(null);
+  }
+
+  /**
+   * Create a writer for the target table (each concurrently loaded range has its own)
+   * @returns {BatchWriter} Batch writer
+   */
+  createWriter() {
+    return new BatchWriter(this.destPool, this.targetTable, {
+      runId: this.runId,
+      mode: 'full',
+      keyColumns: this.primaryKeyColumns,
+      destinationTable: this.destTable
+    });
+  }
+
+  /**
+   * Create a batch sizer (one per key range, so each range adapts to its own connections)
+   * @param {number|null} rangeIndex - Key range, null for a single-range load
+   * @returns {BatchSizer} Batch sizer
+   */
+  createSizer(rangeIndex) {
+    return BatchSizer.fromConfig(config.etl, {
+      runId: this.runId,
+      sourceTable: this.sourceTable,
+      destinationTable: this.targetTable,
+      mode: 'full',
+      rangeIndex
+    });
   }
 
   /**
@@ -27,6 +99,8 @@ class FullLoadProcessor {
     const result = {
       rowsProcessed: 0,
       rowsInserted: 0,
+      rowsUpdated: 0,
+      rowsSkipped: 0,
       errors: [],
       resumed: false
     };
@@ -35,33 +109,70 @@ class FullLoadProcessor {
 
     try {
       // Build SQL query
-      const baseSelectQuery = config.etl.sqlQuery.replace('{{table}}', this.sourceTable);
+      const { sql: baseSelectQuery, params: templateParams } = this.sourceQuery;
+
+      if (this.consistentSnapshot) {
+        this.snapshot = await this.sourcePool.beginConsistentSnapshot();
+        logger.info(`Reading from a consistent snapshot at binlog position ${FullLoadProcessor.formatPosition(this.snapshot.position)}`);
+      }
       
       // Get columns from the actual query result (supports JOINs and custom columns)
-      const columns = await this.sourcePool.getQueryColumns(baseSelectQuery);
+      const columns = await this.sourcePool.getQueryColumns(baseSelectQuery, templateParams);
       logger.info(`Query columns detected: ${columns.join(', ')}`);
       
-      // Check if primary key column exists in query result for seek pagination
-      const hasPrimaryKey = columns.includes(this.primaryKeyColumn);
+      // Check if all primary key columns exist in query result for seek pagination
+      const keyName = PrimaryKey.columnsKey(this.primaryKeyColumns);
+      const hasPrimaryKey = this.primaryKeyColumns.every(col => columns.includes(col));
       
-      if (!hasPrimaryKey) {
-        logger.warn(`Primary key column '${this.primaryKeyColumn}' not found in query. Falling back to OFFSET pagination (slower for large datasets).`);
+      if (!hasPrimaryKey && this.extractStrategy === 'stream') {
+        logger.warn(`Primary key column(s) '${keyName}' not found in query. Rows are streamed unordered.`);
+        logger.warn('Checkpoint/Resume will NOT work without a primary key column!');
+      } else if (!hasPrimaryKey) {
+        logger.warn(`Primary key column(s) '${keyName}' not found in query. Falling back to OFFSET pagination (slower for large datasets).`);
         logger.warn('Checkpoint/Resume will NOT work without a primary key column!');
       } else {
-        logger.info(`Using seek/keyset pagination on '${this.primaryKeyColumn}' for optimal performance`);
+        logger.info(`Using seek/keyset pagination on '${keyName}' for optimal performance`);
       }
       
       // Get total row count for progress tracking
       const totalRows = await this.sourcePool.getRowCount(this.sourceTable);
       logger.info(`Total rows to process: ${totalRows}`);
 
+      // Rows the staging table must hold, counted before reading (inside the snapshot when one is open),
+      // so rows inserted into the source while the load runs cannot fail the row count check
+      const expectedRows = this.strategy === 'swap' ? await this.countSourceRows() : null;
+      if (this.strategy === 'swap') {
+        await this.checkReferencingTables();
+      }
+
+      // Where an updated-row sync continues after this load, read before any row is loaded
+      this.watermarkSeed = await UpdatedLoadProcessor.readWatermarkSeed(
+        (sql, params) => this.querySource(sql, params), this.sourceQuery, columns
+      );
+
+      // Range-partitioned load: the key ranges are loaded concurrently, each with its own checkpoint
+      if (this.rangeCount > 1) {
+        if (hasPrimaryKey) {
+          return await this.executeRanges(baseSelectQuery, templateParams, columns, keyName, totalRows, expectedRows, result);
+        }
+        logger.warn('fullLoadRanges requires the primary key column(s) in the query: loading as a single range');
+      }
+
+      // Shadow-table load: resume into the existing staging table or start a new one
+      if (this.strategy === 'swap') {
+        await this.prepareStagingTable(
+          hasPrimaryKey && sqliteManager.getCheckpoint(this.sourceTable, this.targetTable, 'full') !== null
+        );
+      }
+
       // Check for existing checkpoint (resume capability)
       let checkpoint = null;
       let batchNumber = 1;
       let lastPrimaryKeyValue = null;
+      let snapshotPosition = this.snapshot ? this.snapshot.position : null;
 
       if (hasPrimaryKey) {
-        checkpoint = sqliteManager.getCheckpoint(this.sourceTable, this.destTable, 'full');
+        checkpoint = sqliteManager.getCheckpoint(this.sourceTable, this.targetTable, 'full');
         if (checkpoint) {
           logger.info('========================================');
           logger.info('RESUMING FROM CHECKPOINT');
@@ -71,37 +182,58 @@ class FullLoadProcessor {
           logger.info(`Rows already inserted: ${checkpoint.rows_inserted}`);
           logger.info('========================================');
           
-          lastPrimaryKeyValue = checkpoint.last_processed_pk;
+          lastPrimaryKeyValue = PrimaryKey.parse(checkpoint.last_processed_pk);
           batchNumber = checkpoint.batch_number + 1;
           result.rowsProcessed = checkpoint.rows_processed;
           result.rowsInserted = checkpoint.rows_inserted;
           result.resumed = true;
+
+          // Changes between the first snapshot and this one are replayed by change capture
+          if (this.snapshot && checkpoint.snapshot_position) {
+            snapshotPosition = JSON.parse(checkpoint.snapshot_position);
+            logger.warn(
+              'Rows loaded before the interruption were read from an earlier snapshot: keeping its binlog position ' +
+              `${FullLoadProcessor.formatPosition(snapshotPosition)} as the change capture start position`
+            );
+          }
         }
       }
 
-      // Process in batches using seek/keyset pagination (much faster than OFFSET)
-      while (true) {
-        let batchQuery;
-        let queryParams = [];
+      // Streamed extraction: the query runs once (from the checkpoint on) and rows are
+      // grouped into batches as they arrive
+      if (this.extractStrategy === 'stream') {
+        const seek = hasPrimaryKey && lastPrimaryKeyValue !== null;
+        this.stream = await this.sourcePool.streamQuery(
+          QueryBuilder.build(baseSelectQuery, {
+            where: seek ? [PrimaryKey.seekPredicate(this.primaryKeyColumns)] : [],
+            orderBy: hasPrimaryKey ? PrimaryKey.orderBy(this.primaryKeyColumns) : null
+          }),
+          [...templateParams, ...(seek ? lastPrimaryKeyValue : [])],
+          this.sizer.size,
+          this.snapshot ? this.snapshot.conn : null
+        );
+        logger.info('Streaming source rows from a single query');
+      }
 
-        if (hasPrimaryKey) {
-          // Seek/keyset pagination - O(log n) performance
-          if (lastPrimaryKeyValue !== null) {
-            batchQuery = `${baseSelectQuery} WHERE \`${this.primaryKeyColumn}\` > ? ORDER BY \`${this.primaryKeyColumn}\` ASC LIMIT ${this.batchSize}`;
-            queryParams = [lastPrimaryKeyValue];
-          } else {
-            batchQuery = `${baseSelectQuery} ORDER BY \`${this.primaryKeyColumn}\` ASC LIMIT ${this.batchSize}`;
-          }
-        } else {
-          // Fallback to OFFSET pagination (slower for large datasets)
-          const offset = (batchNumber - 1) * this.batchSize;
-          batchQuery = `${baseSelectQuery} LIMIT ${this.batchSize} OFFSET ${offset}`;
+      // Batches are fetched ahead of the writes (etl.prefetchDepth), tracking their own position
+      let fetchKey = lastPrimaryKeyValue;
+      let fetchNumber = batchNumber;
+      let fetchOffset = 0;
+      this.prefetcher = new BatchPrefetcher(async () => {
+        const rows = await this.sizer.fetch(batchSize => this.stream
+          ? this.stream.next(batchSize)
+          : this.fetchBatch(baseSelectQuery, templateParams, hasPrimaryKey, fetchKey, fetchNumber, batchSize, fetchOffset));
+        if (hasPrimaryKey && rows.length > 0) {
+          fetchKey = PrimaryKey.extract(rows[rows.length - 1], this.primaryKeyColumns);
         }
+        fetchNumber++;
+        fetchOffset += rows.length;
+        return rows;
+      }, { depth: this.prefetchDepth, maxBytes: this.prefetchMaxBytes });
 
-        logger.debug(`Executing batch ${batchNumber}`);
-
-        // Fetch rows with retry
-        const rows = await this.sourcePool.queryWithRetry(batchQuery, queryParams);
+      // Process in batches using seek/keyset pagination (much faster than OFFSET)
+      while (true) {
+        const rows = await this.prefetcher.next();
 
         if (rows.length === 0) {
           logger.info('No more rows to process');
@@ -110,29 +242,33 @@ class FullLoadProcessor {
 
         logger.info(`Processing batch ${batchNumber}: ${rows.length} rows`);
 
-        // Process batch with transaction
-        const batchResult = await this.processBatchWithTransaction(rows, columns, hasPrimaryKey);
+        // Write batch with transaction
+        const batchResult = await this.sizer.write(rows, batchNumber, () => this.writer.writeBatch(rows, columns));
         
         result.rowsInserted += batchResult.inserted;
+        result.rowsUpdated += batchResult.updated;
+        result.rowsSkipped += batchResult.skipped;
         result.rowsProcessed += batchResult.processed;
         result.errors.push(...batchResult.errors);
 
         // Update last primary key value for seek pagination
-        if (hasPrimaryKey && batchResult.lastPk !== null) {
-          lastPrimaryKeyValue = batchResult.lastPk;
+        // (failed rows are skipped too, so continue after the last row of the batch)
+        if (hasPrimaryKey) {
+          lastPrimaryKeyValue = PrimaryKey.extract(rows[rows.length - 1], this.primaryKeyColumns);
         }
 
         // Save checkpoint after each successful batch
         if (hasPrimaryKey) {
           sqliteManager.saveCheckpoint({
             sourceTable: this.sourceTable,
-            destinationTable: this.destTable,
+            destinationTable: this.targetTable,
             mode: 'full',
-            primaryKeyColumn: this.primaryKeyColumn,
-            lastProcessedPk: String(lastPrimaryKeyValue),
+            primaryKeyColumn: keyName,
+            lastProcessedPk: PrimaryKey.serialize(lastPrimaryKeyValue),
             batchNumber: batchNumber,
             rowsProcessed: result.rowsProcessed,
-            rowsInserted: result.rowsInserted
+            rowsInserted: result.rowsInserted,
+            snapshotPosition: snapshotPosition ? JSON.stringify(snapshotPosition) : null
           });
         }
 
@@ -143,114 +279,505 @@ class FullLoadProcessor {
         batchNumber++;
       }
 
+      // Validate and swap the staging table into place
+      if (this.strategy === 'swap') {
+        await this.validateStagingRowCount(result, expectedRows);
+        await this.swapStagingTable();
+      }
+
       // Mark checkpoint as completed
       if (hasPrimaryKey) {
-        sqliteManager.completeCheckpoint(this.sourceTable, this.destTable, 'full');
+        sqliteManager.completeCheckpoint(this.sourceTable, this.targetTable, 'full');
+      }
+
+      // Change capture continues from the snapshot the rows were read from
+      if (snapshotPosition) {
+        sqliteManager.saveBinlogPosition(this.sourceTable, this.destTable, snapshotPosition);
+        logger.info(`CDC start position set to the snapshot position ${FullLoadProcessor.formatPosition(snapshotPosition)}`);
+        result.snapshotPosition = snapshotPosition;
+      } else if (this.snapshot) {
+        logger.warn('Source binary logging is disabled: no binlog position recorded for the snapshot');
       }
+      this.saveWatermarkSeed(result);
 
-      logger.info(`FULL LOAD completed: ${result.rowsInserted} rows inserted`);
+      logger.info(`FULL LOAD completed: ${result.rowsInserted} rows inserted, ${result.rowsUpdated} updated, ${result.rowsSkipped} skipped`);
       return result;
 
     } catch (error) {
       logger.error(`FULL LOAD failed: ${error.message}`);
       throw error;
+    } finally {
+      if (this.prefetcher) {
+        await this.prefetcher.close();
+        this.prefetcher = null;
+      }
+      if (this.stream) {
+        await this.stream.close();
+        this.stream = null;
+      }
+      await this.endSnapshot();
     }
   }
 
   /**
-   * Process a batch of rows within a transaction
-   * @param {Array} rows - Rows to process
-   * @param {Array} columns - Column names
-   * @param {boolean} hasPrimaryKey - Whether primary key exists
-   * @returns {Object} Batch processing result
+   * Fetch the next batch with its own query (etl.extractStrategy "batch")
+   * @param {string} baseSelectQuery - Source query
+   * @param {Array} templateParams - Values bound to the source query's template variables
+   * @param {boolean} hasPrimaryKey - Whether seek pagination is used
+   * @param {Array|null} lastPrimaryKeyValue - Key of the last processed row (seek pagination)
+   * @param {number} batchNumber - Batch number
+   * @param {number} batchSize - Rows to fetch
+   * @param {number} offset - Rows read so far (OFFSET pagination)
+   * @returns {Array} Rows
    */
-  async processBatchWithTransaction(rows, columns, hasPrimaryKey) {
-    const batchResult = {
-      processed: 0,
-      inserted: 0,
-      errors: [],
-      lastPk: null
-    };
+  async fetchBatch(baseSelectQuery, templateParams, hasPrimaryKey, lastPrimaryKeyValue, batchNumber, batchSize, offset) {
+    let batchQuery;
+    let queryParams = [];
+
+    if (hasPrimaryKey) {
+      // Seek/keyset pagination - O(log n) performance
+      const seek = lastPrimaryKeyValue !== null;
+      batchQuery = QueryBuilder.build(baseSelectQuery, {
+        where: seek ? [PrimaryKey.seekPredicate(this.primaryKeyColumns)] : [],
+        orderBy: PrimaryKey.orderBy(this.primaryKeyColumns),
+        limit: batchSize
+      });
+      queryParams = seek ? lastPrimaryKeyValue : [];
+    } else {
+      // Fallback to OFFSET pagination (slower for large datasets)
+      batchQuery = QueryBuilder.build(baseSelectQuery, {
+        limit: batchSize,
+        offset
+      });
+    }
+
+    logger.debug(`Executing batch ${batchNumber}`);
+
+    // Fetch rows with retry
+    return await this.querySource(batchQuery, [...templateParams, ...queryParams]);
+  }
+
+  /**
+   * Store the updated-row sync watermark read at the start of the load
+   * A resumed load read part of its rows in an earlier run, before this watermark: the next updated
+   * run then syncs every row.
+   * @param {Object} result - Processing result
+   */
+  saveWatermarkSeed(result) {
+    if (!this.watermarkSeed) {
+      return;
+    }
+    if (result.resumed) {
+      logger.warn('Resumed full load: no updated-row sync watermark set, the next updated run syncs every row');
+      return;
+    }
+    UpdatedLoadProcessor.saveWatermarkSeed(this.sourceTable, this.destTable, this.watermarkSeed);
+  }
 
-    let conn;
+  /**
+   * Run a source query, on the consistent snapshot when one is open
+   * Snapshot reads are not retried: a retry on another connection would no longer see the snapshot.
+   * @param {string} sql - SQL query
+   * @param {Array} params - Query parameters
+   * @returns {Array} Rows
+   */
+  async querySource(sql, params = []) {
+    if (this.snapshot) {
+      return await this.sourcePool.queryInTransaction(this.snapshot.conn, sql, params);
+    }
+    return await this.sourcePool.queryWithRetry(sql, params);
+  }
+
+  /**
+   * End the consistent snapshot transaction, if open
+   */
+  async endSnapshot() {
+    if (!this.snapshot) {
+      return;
+    }
+    const { conn } = this.snapshot;
+    this.snapshot = null;
     try {
-      // Begin transaction
-      conn = await this.destPool.beginTransaction();
-      logger.debug('Transaction started for batch');
+      await this.sourcePool.commitTransaction(conn);
+    } catch (error) {
+      logger.warn(`Failed to end the consistent snapshot: ${error.message}`);
+    }
+  }
 
-      // Process each row within the transaction
-      for (const row of rows) {
-        try {
-          await this.insertRowInTransaction(conn, row, columns);
-          batchResult.inserted++;
-          batchResult.processed++;
-          
-          // Track last primary key value
-          if (hasPrimaryKey) {
-            batchResult.lastPk = row[this.primaryKeyColumn];
-          }
+  /**
+   * Run a range-partitioned full load
+   * Ranges planned by an interrupted load are resumed as they were planned; otherwise the key space
+   * is split anew. Ranges are loaded by up to min(ranges, source and destination pool size) workers.
+   * @param {string} baseSelectQuery - Source query
+   * @param {Array} templateParams - Values bound to the source query's template variables
+   * @param {Array} columns - Query columns
+   * @param {string} keyName - Key column name(s), comma-separated
+   * @param {number} totalRows - Source row count (progress)
+   * @param {number|null} expectedRows - Source query row count at the start of the load (swap strategy)
+   * @param {Object} result - Processing result
+   * @returns {Object} Processing result
+   */
+  async executeRanges(baseSelectQuery, templateParams, columns, keyName, totalRows, expectedRows, result) {
+    let ranges = sqliteManager.getRangeCheckpoints(this.sourceTable, this.targetTable);
+    const resuming = ranges.length > 0 &&
+      ranges.every(range => range.primary_key_column === keyName);
 
-          // Apply delay between records if configured
-          if (this.recordDelay > 0) {
-            await this.sleep(this.recordDelay);
-          }
+    if (this.strategy === 'swap') {
+      await this.prepareStagingTable(resuming);
+    }
+
+    if (resuming) {
+      logger.info('========================================');
+      logger.info(`RESUMING ${ranges.length} KEY RANGES FROM CHECKPOINTS`);
+      logger.info('========================================');
+      result.resumed = true;
+    } else {
+      const planned = KeyRanges.fromBoundaries(await this.planRangeBoundaries(baseSelectQuery, templateParams));
+      sqliteManager.createRangeCheckpoints(this.sourceTable, this.targetTable, keyName, planned.map(range => ({
+        start: range.start ? PrimaryKey.serialize(range.start) : null,
+        end: range.end ? PrimaryKey.serialize(range.end) : null
+      })));
+      ranges = sqliteManager.getRangeCheckpoints(this.sourceTable, this.targetTable);
+      logger.info(`Key ranges (${this.rangeSplit}): ${planned.map(KeyRanges.describe).join(', ')}`);
+    }
+
+    for (const range of ranges) {
+      result.rowsProcessed += range.rows_processed;
+      result.rowsInserted += range.rows_inserted;
+    }
+
+    const pending = ranges.filter(range => range.status === 'in_progress');
+    const workerCount = Math.min(
+      pending.length,
+      config.source.connectionPoolSize || 1,
+      config.destination.connectionPoolSize || 1
+    );
+    logger.info(`Loading ${pending.length} of ${ranges.length} key range(s) with ${workerCount} concurrent worker(s)`);
+
+    // A failed range stops the other workers after their current batch; finished batches keep their checkpoints
+    let failure = null;
+    const worker = async () => {
+      while (pending.length > 0 && !failure) {
+        const range = pending.shift();
+        try {
+          await this.loadRange(range, baseSelectQuery, templateParams, columns, totalRows, result, () => failure !== null);
         } catch (error) {
-          // Log error but continue processing other rows
-          logger.error(`Error inserting row: ${error.message}`);
-          batchResult.errors.push({
-            row: row,
-            error: error.message
-          });
-          batchResult.processed++;
-          
-          // Still track primary key to continue from correct position
-          if (hasPrimaryKey) {
-            batchResult.lastPk = row[this.primaryKeyColumn];
-          }
+          failure = failure || error;
         }
       }
+    };
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    if (failure) {
+      throw failure;
+    }
 
-      // Commit transaction
-      await this.destPool.commitTransaction(conn);
-      logger.debug(`Transaction committed: ${batchResult.inserted} rows inserted`);
+    // Validate and swap the staging table into place
+    if (this.strategy === 'swap') {
+      await this.validateStagingRowCount(result, expectedRows);
+      await this.swapStagingTable();
+    }
 
-    } catch (error) {
-      // Rollback on error
-      if (conn) {
-        try {
-          await this.destPool.rollbackTransaction(conn);
-          logger.warn('Transaction rolled back due to error');
-        } catch (rollbackError) {
-          logger.error(`Rollback failed: ${rollbackError.message}`);
+    // The load is complete: the next full load plans new ranges
+    sqliteManager.clearRangeCheckpoints(this.sourceTable, this.targetTable);
+    this.saveWatermarkSeed(result);
+
+    logger.info(`FULL LOAD completed: ${result.rowsInserted} rows inserted, ${result.rowsUpdated} updated, ${result.rowsSkipped} skipped`);
+    return result;
+  }
+
+  /**
+   * Choose the boundaries of the key ranges (etl.fullLoadRangeSplit)
+   *   minmax  equal-width ranges between the smallest and largest key (single numeric key column);
+   *           other keys fall back to sample
+   *   sample  keys at evenly spaced positions of the key order, so ranges hold about the same number of rows
+   * @param {string} baseSelectQuery - Source query
+   * @param {Array} templateParams - Values bound to the source query's template variables
+   * @returns {Array} Boundary tuples in key order
+   */
+  async planRangeBoundaries(baseSelectQuery, templateParams) {
+    if (this.rangeSplit === 'minmax') {
+      if (this.primaryKeyColumns.length > 1) {
+        logger.warn('fullLoadRangeSplit "minmax" needs a single key column, using "sample" boundaries for the composite key');
+      } else {
+        const keyColumn = `\`${this.primaryKeyColumns[0]}\``;
+        const rows = await this.sourcePool.queryWithRetry(
+          QueryBuilder.build(baseSelectQuery, { select: `MIN(${keyColumn}) AS min_key, MAX(${keyColumn}) AS max_key` }),
+          templateParams
+        );
+        if (rows[0].min_key === null) {
+          return [];
         }
+        if (typeof rows[0].min_key === 'number' && typeof rows[0].max_key === 'number') {
+          return KeyRanges.splitNumeric(rows[0].min_key, rows[0].max_key, this.rangeCount);
+        }
+        logger.warn(`fullLoadRangeSplit "minmax" needs a numeric key, using "sample" boundaries for ${keyColumn}`);
       }
-      throw error;
+    }
+    return await this.sampleRangeBoundaries(baseSelectQuery, templateParams);
+  }
+
+  /**
+   * Choose boundaries at evenly spaced positions of the key order
+   * When the source table has an index on the key columns, only that index is read: the row count
+   * is the table's estimate and each boundary is found by seeking past the previous one and skipping
+   * rowCount / rangeCount keys, so the index is walked once and the source query is not run. Rows the
+   * query filters out are counted too, which only affects how evenly the rows are spread. Otherwise
+   * (e.g. the key columns are aliases of a JOIN query) the positions are read from the source query.
+   * @param {string} baseSelectQuery - Source query
+   * @param {Array} templateParams - Values bound to the source query's template variables
+   * @returns {Array} Boundary tuples in key order
+   */
+  async sampleRangeBoundaries(baseSelectQuery, templateParams) {
+    const keyList = this.primaryKeyColumns.map(col => `\`${col}\``).join(', ');
+    const orderBy = PrimaryKey.orderBy(this.primaryKeyColumns);
+    let rowCount;
+    let readKey;
+
+    if (await this.sourcePool.hasIndexOn(this.sourceTable, this.primaryKeyColumns)) {
+      rowCount = await this.sourcePool.getEstimatedRowCount(this.sourceTable) ||
+        await this.sourcePool.getRowCount(this.sourceTable);
+      readKey = (where, params, offset) => this.sourcePool.queryWithRetry(
+        `SELECT ${keyList} FROM \`${this.sourceTable}\`${where ? ` WHERE ${where}` : ''} ` +
+        `ORDER BY ${orderBy} LIMIT 1 OFFSET ${offset}`,
+        params
+      );
+    } else {
+      logger.warn(`No index on ${keyList} in source table ${this.sourceTable}: sampling range boundaries from the source query`);
+      const countRows = await this.sourcePool.queryWithRetry(QueryBuilder.buildCountQuery(baseSelectQuery), templateParams);
+      rowCount = Number(countRows[0].count);
+      readKey = (where, params, offset) => this.sourcePool.queryWithRetry(
+        QueryBuilder.build(baseSelectQuery, { select: keyList, where: [where], orderBy, limit: 1, offset }),
+        [...templateParams, ...params]
+      );
     }
 
-    return batchResult;
+    // Last key of each range but the last, rangeSize keys after the previous boundary
+    const rangeSize = Math.floor(rowCount / this.rangeCount);
+    const boundaries = [];
+    let previous = null;
+    for (let i = 1; i < this.rangeCount && rangeSize > 0; i++) {
+      const rows = await readKey(
+        previous ? PrimaryKey.seekPredicate(this.primaryKeyColumns) : null,
+        previous || [],
+        rangeSize - 1
+      );
+      if (rows.length === 0) {
+        break;
+      }
+      previous = PrimaryKey.extract(rows[0], this.primaryKeyColumns);
+      boundaries.push(previous);
+    }
+    return boundaries;
   }
 
   /**
-   * Insert a single row within a transaction with retry logic
-   * @param {Object} conn - Database connection with active transaction
-   * @param {Object} row - Row data
-   * @param {Array} columns - Column names
+   * Load one key range from its checkpoint to its end
+   * @param {Object} checkpoint - Range checkpoint row
+   * @param {string} baseSelectQuery - Source query
+   * @param {Array} templateParams - Values bound to the source query's template variables
+   * @param {Array} columns - Query columns
+   * @param {number} totalRows - Source row count (progress)
+   * @param {Object} result - Processing result, shared by all ranges
+   * @param {Function} stopped - () => boolean, true once another range failed
    */
-  async insertRowInTransaction(conn, row, columns) {
-    const insertSQL = SchemaValidator.buildInsertStatement(this.destTable, columns);
-    const values = columns.map(col => row[col]);
-    
-    // Use retry logic for transient errors
-    await this.destPool.queryInTransactionWithRetry(conn, insertSQL, values);
-    logger.debug(`Inserted row with values: ${JSON.stringify(values).substring(0, 100)}...`);
+  async loadRange(checkpoint, baseSelectQuery, templateParams, columns, totalRows, result, stopped) {
+    const range = { start: PrimaryKey.parse(checkpoint.range_start), end: PrimaryKey.parse(checkpoint.range_end) };
+    const label = `Range ${checkpoint.range_index + 1}/${checkpoint.range_count} ${KeyRanges.describe(range)}`;
+    const orderBy = PrimaryKey.orderBy(this.primaryKeyColumns);
+    const writer = this.createWriter();
+    const sizer = this.createSizer(checkpoint.range_index);
+
+    let lastKey = PrimaryKey.parse(checkpoint.last_processed_pk);
+    let batchNumber = checkpoint.batch_number + 1;
+    let rowsProcessed = checkpoint.rows_processed;
+    let rowsInserted = checkpoint.rows_inserted;
+    logger.info(`${label}: ${lastKey ? `resuming after ${PrimaryKey.format(lastKey)}` : 'starting'}`);
+
+    let stream = null;
+    if (this.extractStrategy === 'stream') {
+      const { where, params } = KeyRanges.predicates(this.primaryKeyColumns, range, lastKey);
+      stream = await this.sourcePool.streamQuery(
+        QueryBuilder.build(baseSelectQuery, { where, orderBy }),
+        [...templateParams, ...params],
+        sizer.size
+      );
+    }
+
+    let fetchKey = lastKey;
+    const prefetcher = new BatchPrefetcher(async () => {
+      const rows = await sizer.fetch(batchSize => {
+        if (stream) {
+          return stream.next(batchSize);
+        }
+        const { where, params } = KeyRanges.predicates(this.primaryKeyColumns, range, fetchKey);
+        return this.sourcePool.queryWithRetry(
+          QueryBuilder.build(baseSelectQuery, { where, orderBy, limit: batchSize }),
+          [...templateParams, ...params]
+        );
+      });
+      if (rows.length > 0) {
+        fetchKey = PrimaryKey.extract(rows[rows.length - 1], this.primaryKeyColumns);
+      }
+      return rows;
+    }, { depth: this.prefetchDepth, maxBytes: this.prefetchMaxBytes });
+
+    try {
+      while (!stopped()) {
+        const rows = await prefetcher.next();
+        if (rows.length === 0) {
+          sqliteManager.completeRangeCheckpoint(this.sourceTable, this.targetTable, checkpoint.range_index);
+          logger.info(`${label}: completed, ${rowsProcessed} rows`);
+          return;
+        }
+
+        const batchResult = await sizer.write(rows, batchNumber, () => writer.writeBatch(rows, columns));
+        result.rowsInserted += batchResult.inserted;
+        result.rowsUpdated += batchResult.updated;
+        result.rowsSkipped += batchResult.skipped;
+        result.rowsProcessed += batchResult.processed;
+        result.errors.push(...batchResult.errors);
+        rowsProcessed += batchResult.processed;
+        rowsInserted += batchResult.inserted;
+
+        // Failed rows are skipped too, so continue after the last row of the batch
+        lastKey = PrimaryKey.extract(rows[rows.length - 1], this.primaryKeyColumns);
+        sqliteManager.saveRangeCheckpoint({
+          sourceTable: this.sourceTable,
+          destinationTable: this.targetTable,
+          rangeIndex: checkpoint.range_index,
+          lastProcessedPk: PrimaryKey.serialize(lastKey),
+          batchNumber,
+          rowsProcessed,
+          rowsInserted
+        });
+
+        const progress = ((result.rowsProcessed / totalRows) * 100).toFixed(2);
+        logger.info(`${label}: batch ${batchNumber} (${rows.length} rows). Progress: ${result.rowsProcessed}/${totalRows} (${progress}%)`);
+        batchNumber++;
+      }
+    } finally {
+      await prefetcher.close();
+      if (stream) {
+        await stream.close();
+      }
+    }
+  }
+
+  /**
+   * Create an empty staging table, unless an interrupted load into it can be resumed
+   * @param {boolean} hasCheckpoint - Whether an interrupted load into the staging table left a checkpoint
+   */
+  async prepareStagingTable(hasCheckpoint) {
+    if (hasCheckpoint && await this.destPool.tableExists(this.targetTable)) {
+      logger.info(`Resuming shadow-table load into '${this.targetTable}'`);
+      return;
+    }
+
+    logger.info(`Creating staging table '${this.targetTable}' like '${this.destTable}'`);
+    await this.destPool.queryWithRetry(`DROP TABLE IF EXISTS \`${this.targetTable}\``);
+    await this.destPool.queryWithRetry(`CREATE TABLE \`${this.targetTable}\` LIKE \`${this.destTable}\``);
+    sqliteManager.clearCheckpoint(this.sourceTable, this.targetTable, 'full');
+    sqliteManager.clearRangeCheckpoints(this.sourceTable, this.targetTable);
+  }
+
+  /**
+   * Refuse a shadow-table load into a table other tables reference
+   * RENAME TABLE moves the foreign keys of child tables along with the renamed table, so after the
+   * swap they would reference '<dest>_old_1' instead of the new table.
+   */
+  async checkReferencingTables() {
+    const children = (await this.destPool.getForeignKeys())
+      .filter(fk => fk.REFERENCED_TABLE_NAME === this.destTable && fk.TABLE_NAME !== this.destTable)
+      .map(fk => fk.TABLE_NAME);
+    if (children.length > 0) {
+      throw new Error(
+        `fullLoadStrategy "swap" cannot replace '${this.destTable}': foreign keys of ${children.join(', ')} reference it ` +
+        'and would follow the previous table on RENAME. Use fullLoadStrategy "direct" for this table'
+      );
+    }
+  }
+
+  /**
+   * Count the rows of the source query
+   * @returns {number} Row count
+   */
+  async countSourceRows() {
+    const countRows = await this.querySource(QueryBuilder.buildCountQuery(this.sourceQuery.sql), this.sourceQuery.params);
+    return Number(countRows[0].count);
+  }
+
+  /**
+   * Check that the staging table holds every source row that was not reported as failed or skipped
+   * The source rows are counted when the load starts; rows inserted later may or may not have been
+   * read, rows deleted later only lower the expected count. On failure the checkpoints are kept, so
+   * the next run does not start over; the live table is left untouched.
+   * @param {Object} result - Processing result
+   * @param {number} sourceCount - Source query row count at the start of the load
+   */
+  async validateStagingRowCount(result, sourceCount) {
+    const stagingCount = await this.destPool.getRowCount(this.targetTable);
+    const notWritten = Math.max(0, result.rowsProcessed - result.rowsInserted - result.rowsUpdated);
+
+    logger.info(`Row count check: source query ${sourceCount} (at load start), staging ${stagingCount}, failed or skipped ${notWritten}`);
+
+    if (stagingCount < sourceCount - notWritten) {
+      throw new Error(
+        `Row count check failed: staging table '${this.targetTable}' has ${stagingCount} rows, ` +
+        `expected at least ${sourceCount - notWritten} (source query returned ${sourceCount} at load start). ` +
+        'Live table was not swapped; the next run checks again. To rebuild the staging table, run with ' +
+        '"mode": "full" and "forceFullRefresh": true'
+      );
+    }
+  }
+
+  /**
+   * Swap the staging table into place with one atomic RENAME TABLE, rotating older copies
+   */
+  async swapStagingTable() {
+    const keep = this.swapGenerations;
+    const oldTable = n => `${this.destTable}_old_${n}`;
+
+    // Make room: the oldest kept copy falls off (with keep = 0, _old_1 is only used during the swap)
+    await this.destPool.queryWithRetry(`DROP TABLE IF EXISTS \`${oldTable(Math.max(keep, 1))}\``);
+
+    const renames = [];
+    for (let n = keep - 1; n >= 1; n--) {
+      if (await this.destPool.tableExists(oldTable(n))) {
+        renames.push(`\`${oldTable(n)}\` TO \`${oldTable(n + 1)}\``);
+      }
+    }
+    renames.push(`\`${this.destTable}\` TO \`${oldTable(1)}\``);
+    renames.push(`\`${this.targetTable}\` TO \`${this.destTable}\``);
+
+    await this.destPool.queryWithRetry(`RENAME TABLE ${renames.join(', ')}`);
+    logger.info(`Swapped '${this.targetTable}' into '${this.destTable}'`);
+
+    if (keep === 0) {
+      await this.destPool.queryWithRetry(`DROP TABLE IF EXISTS \`${oldTable(1)}\``);
+    } else {
+      logger.info(`Previous table kept as '${oldTable(1)}' (${keep} generation(s) kept)`);
+    }
+  }
+
+  /**
+   * Format a binlog position for log messages
+   * @param {Object|null} position - { file, position, gtid }
+   * @returns {string} e.g. "mysql-bin.000003:1234 (GTID 0-1-42)", or "none"
+   */
+  static formatPosition(position) {
+    if (!position) {
+      return 'none';
+    }
+    return `${position.file}:${position.position}${position.gtid ? ` (GTID ${position.gtid})` : ''}`;
   }
 
   /**
-   * Sleep helper function
-   * @param {number} ms - Milliseconds to sleep
+   * Get the staging table name used by the "swap" full load strategy
+   * @param {string} destTable - Destination table name
+   * @returns {string} Staging table name
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  static getStagingTable(destTable) {
+    return `${destTable}_staging`;
   }
 }
 
@@ -1,21 +1,45 @@
 const logger = require('../logger');
 const config = require('../config');
-const SchemaValidator = require('../utils/schemaValidator');
 const sqliteManager = require('../database/sqlite');
+const PrimaryKey = require('../utils/primaryKey');
+const QueryBuilder = require('../utils/queryBuilder');
+const QueryTemplate = require('../utils/queryTemplate');
+const BatchWriter = require('./batchWriter');
+const BatchPrefetcher = require('./batchPrefetcher');
+const BatchSizer = require('./batchSizer');
 
 /**
  * Incremental load ETL processor with transaction support and retry logic
  */
 class IncrementalLoadProcessor {
-  constructor(sourcePool, destPool, primaryKeyColumn) {
+  constructor(sourcePool, destPool, primaryKeyColumns, options = {}) {
     this.sourcePool = sourcePool;
     this.destPool = destPool;
     this.sourceTable = config.source.table;
     this.destTable = config.destination.table;
-    this.batchSize = config.etl.batchSize;
-    this.primaryKeyColumn = primaryKeyColumn || config.etl.primaryKeyColumn;
+    // Source query with its template variables bound (see QueryTemplate)
+    this.sourceQuery = options.sourceQuery ||
+      QueryTemplate.render(config.etl.sqlQuery, { table: this.sourceTable, jobName: config.jobName });
+    this.sizer = BatchSizer.fromConfig(config.etl, {
+      runId: options.runId,
+      sourceTable: this.sourceTable,
+      destinationTable: this.destTable,
+      mode: 'incremental'
+    });
+    this.primaryKeyColumns = primaryKeyColumns || config.etl.primaryKeyColumns;
     this.maxRetries = config.etl.maxRetries;
-    this.recordDelay = config.etl.recordDelay;
+    this.extractStrategy = config.etl.extractStrategy;
+    this.prefetchDepth = config.etl.prefetchDepth;
+    this.prefetchMaxBytes = config.etl.prefetchMaxBytes;
+    // BatchStream of the source rows while a streamed load runs
+    this.stream = null;
+    // BatchPrefetcher reading batches ahead of the writes while the load runs
+    this.prefetcher = null;
+    this.writer = new BatchWriter(destPool, this.destTable, {
+      runId: options.runId,
+      mode: 'incremental',
+      keyColumns: this.primaryKeyColumns
+    });
   }
 
   /**
@@ -26,61 +50,67 @@ class IncrementalLoadProcessor {
     const result = {
       rowsProcessed: 0,
       rowsInserted: 0,
+      rowsUpdated: 0,
+      rowsSkipped: 0,
       errors: [],
       lastProcessedValue: null
     };
 
     logger.info('Starting INCREMENTAL LOAD process');
-    logger.info(`Using primary key column: ${this.primaryKeyColumn}`);
+    const keyName = PrimaryKey.columnsKey(this.primaryKeyColumns);
+    logger.info(`Using primary key column(s): ${keyName}`);
 
     try {
       // Build base query
-      const baseSelectQuery = config.etl.sqlQuery.replace('{{table}}', this.sourceTable);
+      const { sql: baseSelectQuery, params: templateParams } = this.sourceQuery;
       
       // Get columns from the actual query result (supports JOINs and custom columns)
-      const columns = await this.sourcePool.getQueryColumns(baseSelectQuery);
+      const columns = await this.sourcePool.getQueryColumns(baseSelectQuery, templateParams);
       logger.info(`Query columns detected: ${columns.join(', ')}`);
 
-      // Get last processed value from SQLite
-      const lastValue = sqliteManager.getLastProcessedValue(
+      // Get last processed key tuple from SQLite
+      const lastValue = PrimaryKey.parse(sqliteManager.getLastProcessedValue(
         this.sourceTable,
         this.destTable,
-        this.primaryKeyColumn
-      );
+        keyName
+      ));
 
-      logger.info(`Last processed value: ${lastValue || 'None (first run)'}`);
-
-      // Build query with WHERE clause for incremental
-      let baseQuery = baseSelectQuery;
-      
-      // Add ORDER BY to ensure consistent processing
-      baseQuery += ` ORDER BY \`${this.primaryKeyColumn}\` ASC`;
+      logger.info(`Last processed value: ${lastValue ? PrimaryKey.format(lastValue) : 'None (first run)'}`);
 
       // Process in batches using cursor-based pagination (more efficient than OFFSET)
       let batchNumber = 1;
       let currentLastValue = lastValue;
 
-      while (true) {
-        let batchQuery;
-        let queryParams = [];
-
-        if (currentLastValue !== null) {
-          // Add WHERE clause for incremental processing
-          if (baseQuery.toLowerCase().includes('where')) {
-            batchQuery = baseQuery.replace(/ORDER BY/i, `AND \`${this.primaryKeyColumn}\` > ? ORDER BY`);
-          } else {
-            batchQuery = baseQuery.replace(/ORDER BY/i, `WHERE \`${this.primaryKeyColumn}\` > ? ORDER BY`);
-          }
-          batchQuery += ` LIMIT ${this.batchSize}`;
-          queryParams = [currentLastValue];
-        } else {
-          batchQuery = `${baseQuery} LIMIT ${this.batchSize}`;
-        }
+      // Streamed extraction: the query runs once and rows are grouped into batches as they arrive
+      if (this.extractStrategy === 'stream') {
+        const seek = lastValue !== null;
+        this.stream = await this.sourcePool.streamQuery(
+          QueryBuilder.build(baseSelectQuery, {
+            where: seek ? [PrimaryKey.seekPredicate(this.primaryKeyColumns)] : [],
+            orderBy: PrimaryKey.orderBy(this.primaryKeyColumns)
+          }),
+          [...templateParams, ...(seek ? lastValue : [])],
+          this.sizer.size
+        );
+        logger.info('Streaming source rows from a single query');
+      }
 
-        logger.debug(`Executing batch ${batchNumber}`);
+      // Batches are fetched ahead of the writes (etl.prefetchDepth), tracking their own position
+      let fetchValue = lastValue;
+      let fetchNumber = batchNumber;
+      this.prefetcher = new BatchPrefetcher(async () => {
+        const rows = await this.sizer.fetch(batchSize => this.stream
+          ? this.stream.next(batchSize)
+          : this.fetchBatch(baseSelectQuery, templateParams, fetchValue, fetchNumber, batchSize));
+        if (rows.length > 0) {
+          fetchValue = PrimaryKey.extract(rows[rows.length - 1], this.primaryKeyColumns);
+        }
+        fetchNumber++;
+        return rows;
+      }, { depth: this.prefetchDepth, maxBytes: this.prefetchMaxBytes });
 
-        // Fetch rows with retry
-        const rows = await this.sourcePool.queryWithRetry(batchQuery, queryParams);
+      while (true) {
+        const rows = await this.prefetcher.next();
 
         if (rows.length === 0) {
           logger.info('No more new rows to process');
@@ -89,27 +119,25 @@ class IncrementalLoadProcessor {
 
         logger.info(`Processing batch ${batchNumber}: ${rows.length} rows`);
 
-        // Process batch with transaction
-        const batchResult = await this.processBatchWithTransaction(rows, columns);
+        // Write batch with transaction
+        const batchResult = await this.sizer.write(rows, batchNumber, () => this.writer.writeBatch(rows, columns));
         
         result.rowsInserted += batchResult.inserted;
+        result.rowsUpdated += batchResult.updated;
+        result.rowsSkipped += batchResult.skipped;
         result.rowsProcessed += batchResult.processed;
         result.errors.push(...batchResult.errors);
 
-        // Update current last value
-        if (batchResult.lastPk !== null) {
-          currentLastValue = batchResult.lastPk;
-        }
+        // Update current last value (failed rows are skipped too)
+        currentLastValue = PrimaryKey.extract(rows[rows.length - 1], this.primaryKeyColumns);
 
         // Update last processed value after each batch (checkpoint)
-        if (currentLastValue !== null) {
-          sqliteManager.updateLastProcessedValue(
-            this.sourceTable,
-            this.destTable,
-            this.primaryKeyColumn,
-            String(currentLastValue)
-          );
-        }
+        sqliteManager.updateLastProcessedValue(
+          this.sourceTable,
+          this.destTable,
+          keyName,
+          PrimaryKey.serialize(currentLastValue)
+        );
 
         logger.info(`Batch ${batchNumber} completed: ${batchResult.inserted} rows inserted`);
 
@@ -117,102 +145,47 @@ class IncrementalLoadProcessor {
       }
 
       result.lastProcessedValue = currentLastValue;
-      logger.info(`INCREMENTAL LOAD completed: ${result.rowsInserted} rows inserted`);
+      logger.info(`INCREMENTAL LOAD completed: ${result.rowsInserted} rows inserted, ${result.rowsUpdated} updated, ${result.rowsSkipped} skipped`);
       return result;
 
     } catch (error) {
       logger.error(`INCREMENTAL LOAD failed: ${error.message}`);
       throw error;
-    }
-  }
-
-  /**
-   * Process a batch of rows within a transaction
-   * @param {Array} rows - Rows to process
-   * @param {Array} columns - Column names
-   * @returns {Object} Batch processing result
-   */
-  async processBatchWithTransaction(rows, columns) {
-    const batchResult = {
-      processed: 0,
-      inserted: 0,
-      errors: [],
-      lastPk: null
-    };
-
-    let conn;
-    try {
-      // Begin transaction
-      conn = await this.destPool.beginTransaction();
-      logger.debug('Transaction started for batch');
-
-      // Process each row within the transaction
-      for (const row of rows) {
-        try {
-          await this.insertRowInTransaction(conn, row, columns);
-          batchResult.inserted++;
-          batchResult.processed++;
-
-          // Track the last processed primary key value
-          batchResult.lastPk = row[this.primaryKeyColumn];
-
-          // Apply delay between records if configured
-          if (this.recordDelay > 0) {
-            await this.sleep(this.recordDelay);
-          }
-        } catch (error) {
-          logger.error(`Error inserting row: ${error.message}`);
-          batchResult.errors.push({
-            row: row,
-            error: error.message
-          });
-          batchResult.processed++;
-          
-          // Still track primary key to continue
-          batchResult.lastPk = row[this.primaryKeyColumn];
-        }
+    } finally {
+      if (this.prefetcher) {
+        await this.prefetcher.close();
+        this.prefetcher = null;
       }
-
-      // Commit transaction
-      await this.destPool.commitTransaction(conn);
-      logger.debug(`Transaction committed: ${batchResult.inserted} rows inserted`);
-
-    } catch (error) {
-      // Rollback on error
-      if (conn) {
-        try {
-          await this.destPool.rollbackTransaction(conn);
-          logger.warn('Transaction rolled back due to error');
-        } catch (rollbackError) {
-          logger.error(`Rollback failed: ${rollbackError.message}`);
-        }
+      if (this.stream) {
+        await this.stream.close();
+        this.stream = null;
       }
-      throw error;
     }
-
-    return batchResult;
-  }
-
-  /**
-   * Insert a single row within a transaction with retry logic
-   * @param {Object} conn - Database connection with active transaction
-   * @param {Object} row - Row data
-   * @param {Array} columns - Column names
-   */
-  async insertRowInTransaction(conn, row, columns) {
-    const insertSQL = SchemaValidator.buildInsertStatement(this.destTable, columns);
-    const values = columns.map(col => row[col]);
-
-    await this.destPool.queryInTransactionWithRetry(conn, insertSQL, values);
-    logger.debug(`Inserted row with PK ${row[this.primaryKeyColumn]}`);
   }
 
   /**
-   * Sleep helper function
-   * @param {number} ms - Milliseconds to sleep
+   * Fetch the next batch with its own query (etl.extractStrategy "batch")
+   * @param {string} baseSelectQuery - Source query
+   * @param {Array} templateParams - Values bound to the source query's template variables
+   * @param {Array|null} lastValue - Key of the last processed row
+   * @param {number} batchNumber - Batch number
+   * @param {number} batchSize - Rows to fetch
+   * @returns {Array} Rows
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async fetchBatch(baseSelectQuery, templateParams, lastValue, batchNumber, batchSize) {
+    // Only rows after the last processed key, in key order for consistent processing
+    const seek = lastValue !== null;
+    const batchQuery = QueryBuilder.build(baseSelectQuery, {
+      where: seek ? [PrimaryKey.seekPredicate(this.primaryKeyColumns)] : [],
+      orderBy: PrimaryKey.orderBy(this.primaryKeyColumns),
+      limit: batchSize
+    });
+    const queryParams = seek ? lastValue : [];
+
+    logger.debug(`Executing batch ${batchNumber}`);
+
+    // Fetch rows with retry
+    return await this.sourcePool.queryWithRetry(batchQuery, [...templateParams, ...queryParams]);
   }
 }
 
@@ -1,5 +1,11 @@
 const logger = require('../logger');
 const config = require('../config');
+const sqliteManager = require('../database/sqlite');
+const PrimaryKey = require('../utils/primaryKey');
+const FullLoadProcessor = require('./fullLoad');
+
+// Modes that can be forced (etl.mode or the --mode option)
+const MODES = ['full', 'reload', 'incremental', 'updated', 'delta', 'reconcile', 'cdc'];
 
 /**
  * ETL mode detection
@@ -33,6 +39,25 @@ class ModeDetector {
         return result;
       }
 
+      // Resume an interrupted shadow-table full load (the live table is not empty in that case)
+      if (config.etl.fullLoadStrategy === 'swap' &&
+          sqliteManager.getCheckpoint(sourceTable, FullLoadProcessor.getStagingTable(destTable), 'full')) {
+        result.mode = 'full';
+        result.reason = 'Resuming interrupted shadow-table full load';
+        logger.info(`Mode detected: FULL LOAD - ${result.reason}`);
+        return result;
+      }
+
+      // Resume an interrupted range-partitioned full load: a single seek from the largest loaded key
+      // would skip the unfinished parts of the lower ranges
+      if (sqliteManager.hasRangeCheckpoints(sourceTable, destTable) ||
+          sqliteManager.hasRangeCheckpoints(sourceTable, FullLoadProcessor.getStagingTable(destTable))) {
+        result.mode = 'full';
+        result.reason = 'Resuming interrupted range-partitioned full load';
+        logger.info(`Mode detected: FULL LOAD - ${result.reason}`);
+        return result;
+      }
+
       // Check for deleted flag column in source table
       const hasDeletedFlag = await sourcePool.columnExists(
         sourceTable,
@@ -40,12 +65,15 @@ class ModeDetector {
       );
 
       // Get primary key columns first (needed for both delta and incremental)
+      // Use the configured key when the source table's key covers it, otherwise the full source key
       const primaryKeyColumns = await sourcePool.getPrimaryKeyColumns(sourceTable);
-      const pkColumn = primaryKeyColumns.length > 0
-        ? (primaryKeyColumns.includes(config.etl.primaryKeyColumn)
-          ? config.etl.primaryKeyColumn
-          : primaryKeyColumns[0])
-        : config.etl.primaryKeyColumn;
+      const configuredColumns = config.etl.primaryKeyColumns;
+      const pkColumns = primaryKeyColumns.length > 0
+        ? (configuredColumns.every(col => primaryKeyColumns.includes(col))
+          ? configuredColumns
+          : primaryKeyColumns)
+        : configuredColumns;
+      const pkName = PrimaryKey.columnsKey(pkColumns);
 
       if (hasDeletedFlag) {
         // Check if there are deleted records
@@ -58,17 +86,34 @@ class ModeDetector {
           result.mode = 'delta';
           result.reason = `Found ${deletedCount} deleted records in source`;
           result.details.deletedCount = deletedCount;
-          result.details.primaryKeyColumn = pkColumn;
+          result.details.primaryKeyColumns = pkColumns;
           logger.info(`Mode detected: DELTA LOAD - ${result.reason}`);
           return result;
         }
       }
 
+      // Check for modification timestamp column for updated-row sync
+      if (primaryKeyColumns.length > 0 && config.etl.updatedAtColumn) {
+        const hasUpdatedAt = await sourcePool.columnExists(
+          sourceTable,
+          config.etl.updatedAtColumn
+        );
+
+        if (hasUpdatedAt) {
+          result.mode = 'updated';
+          result.reason = `Modification column '${config.etl.updatedAtColumn}' found`;
+          result.details.primaryKeyColumns = pkColumns;
+          result.details.updatedAtColumn = config.etl.updatedAtColumn;
+          logger.info(`Mode detected: UPDATED LOAD - ${result.reason}`);
+          return result;
+        }
+      }
+
       // Check for primary key column for incremental load
       if (primaryKeyColumns.length > 0) {
         result.mode = 'incremental';
-        result.reason = `Primary key column '${pkColumn}' found`;
-        result.details.primaryKeyColumn = pkColumn;
+        result.reason = `Primary key column(s) '${pkName}' found`;
+        result.details.primaryKeyColumns = pkColumns;
         logger.info(`Mode detected: INCREMENTAL LOAD - ${result.reason}`);
         return result;
       }
@@ -99,22 +144,25 @@ class ModeDetector {
 
   /**
    * Force a specific mode (for manual override)
-   * @param {string} mode - Mode to force ('full', 'incremental', 'delta')
+   * @param {string} mode - Mode to force ('full', 'reload', 'incremental', 'updated', 'delta', 'reconcile', 'cdc')
    * @returns {Object} Mode result
    */
   static forceMode(mode) {
-    const validModes = ['full', 'incremental', 'delta'];
-    if (!validModes.includes(mode)) {
-      throw new Error(`Invalid mode: ${mode}. Valid modes are: ${validModes.join(', ')}`);
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Valid modes are: ${MODES.join(', ')}`);
     }
 
     logger.info(`Mode forced: ${mode.toUpperCase()} LOAD`);
     return {
       mode,
       reason: 'Manually forced',
-      details: {}
+      details: {
+        primaryKeyColumns: config.etl.primaryKeyColumns
+      }
     };
   }
 }
 
+ModeDetector.MODES = MODES;
+
 module.exports = ModeDetector;
@@ -0,0 +1,257 @@
+const logger = require('../logger');
+const config = require('../config');
+const sqliteManager = require('../database/sqlite');
+const PrimaryKey = require('../utils/primaryKey');
+const QueryBuilder = require('../utils/queryBuilder');
+const QueryTemplate = require('../utils/queryTemplate');
+const DeltaLoadProcessor = require('./deltaLoad');
+
+/**
+ * Reconciliation ETL processor (handles hard deletes).
+ * Walks the destination table in primary key order, compares each chunk's key range with the
+ * source by count and key hash, and only fetches source keys for ranges that differ.
+ * Destination keys missing from the source are deleted with the delta processor's batching.
+ * The source side is the source query (etl.sqlQuery), so destination rows the query no longer
+ * returns are deleted too. Destination key columns are addressed under their etl.columnMap names.
+ */
+class ReconcileLoadProcessor extends DeltaLoadProcessor {
+  constructor(sourcePool, destPool, primaryKeyColumns, options = {}) {
+    super(sourcePool, destPool, primaryKeyColumns, options);
+    // Source query with its template variables bound (see QueryTemplate)
+    this.sourceQuery = options.sourceQuery ||
+      QueryTemplate.render(config.etl.sqlQuery, { table: this.sourceTable, jobName: config.jobName });
+  }
+
+  /**
+   * Execute reconciliation process with transaction support
+   * @returns {Object} Processing result
+   */
+  async execute() {
+    const result = {
+      rowsProcessed: 0,
+      rowsDeleted: 0,
+      rangesChecked: 0,
+      rangesDiffering: 0,
+      errors: []
+    };
+
+    logger.info('Starting RECONCILE LOAD process');
+    logger.info(`Using primary key column(s): ${PrimaryKey.columnsKey(this.primaryKeyColumns)}`);
+
+    try {
+      const destKeyColumns = this.columnMap.getDestinationKeyColumns(this.primaryKeyColumns);
+      let lastKey = null;
+      let pendingIds = [];
+      let batchNumber = 1;
+
+      while (true) {
+        // Next chunk of destination keys
+        const destKeys = await this.fetchDestinationKeys(destKeyColumns, lastKey);
+        if (destKeys.length === 0) {
+          break;
+        }
+
+        const firstKey = destKeys[0];
+        lastKey = destKeys[destKeys.length - 1];
+        result.rangesChecked++;
+
+        // Compare the range summary before fetching individual source keys
+        const [sourceSummary, destSummary] = await Promise.all([
+          this.getSourceRangeSummary(firstKey, lastKey),
+          this.getRangeSummary(this.destPool, this.destTable, destKeyColumns, firstKey, lastKey)
+        ]);
+
+        if (sourceSummary.rowCount === destSummary.rowCount && sourceSummary.keyHash === destSummary.keyHash) {
+          logger.debug(`Range ${PrimaryKey.format(firstKey)} - ${PrimaryKey.format(lastKey)} matches`);
+          continue;
+        }
+
+        // Drill down: find destination keys in this range that no longer exist in source
+        result.rangesDiffering++;
+        const missing = await this.findKeysMissingInSource(destKeys, firstKey, lastKey);
+
+        if (missing.length > 0) {
+          logger.info(`Range ${PrimaryKey.format(firstKey)} - ${PrimaryKey.format(lastKey)}: ${missing.length} rows deleted in source`);
+          pendingIds.push(...missing);
+        }
+
+        // Delete in batches of batchSize
+        while (pendingIds.length >= this.batchSize) {
+          await this.deleteBatch(pendingIds.splice(0, this.batchSize), batchNumber++, result);
+        }
+      }
+
+      if (pendingIds.length > 0) {
+        await this.deleteBatch(pendingIds, batchNumber, result);
+      }
+
+      logger.info(`RECONCILE LOAD completed: ${result.rangesChecked} ranges checked, ${result.rangesDiffering} differing, ${result.rowsDeleted} rows deleted`);
+      return result;
+
+    } catch (error) {
+      logger.error(`RECONCILE LOAD failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a batch of hard-deleted keys and track them in SQLite
+   * @param {Array} ids - Primary key tuples to delete
+   * @param {number} batchNumber - Batch number for logging
+   * @param {Object} result - Processing result to update
+   */
+  async deleteBatch(ids, batchNumber, result) {
+    logger.info(`Processing deletion batch ${batchNumber}: ${ids.length} records`);
+
+    const serializedIds = ids.map(id => PrimaryKey.serialize(id));
+    for (const id of serializedIds) {
+      sqliteManager.addDeletedRecord(this.sourceTable, this.destTable, id);
+    }
+
+    const batchResult = await this.processBatchWithTransaction(ids);
+
+    result.rowsDeleted += batchResult.deleted;
+    result.rowsProcessed += batchResult.processed;
+    result.errors.push(...batchResult.errors);
+
+    sqliteManager.markDeletedRecordsProcessed(this.sourceTable, this.destTable, serializedIds);
+
+    logger.info(`Deletion batch ${batchNumber} completed: ${batchResult.deleted} rows deleted`);
+  }
+
+  /**
+   * Fetch the next chunk of destination keys after a key tuple
+   * @param {Array} destKeyColumns - Key column names in the destination table
+   * @param {Array|null} afterKey - Last key of the previous chunk
+   * @returns {Array} Key tuples in primary key order
+   */
+  async fetchDestinationKeys(destKeyColumns, afterKey) {
+    let sql = `SELECT ${this.keyColumnList(destKeyColumns)} FROM \`${this.destTable}\``;
+    let params = [];
+    if (afterKey !== null) {
+      sql += ` WHERE ${PrimaryKey.seekPredicate(destKeyColumns)}`;
+      params = afterKey;
+    }
+    sql += ` ORDER BY ${PrimaryKey.orderBy(destKeyColumns)} LIMIT ${this.batchSize}`;
+
+    const rows = await this.destPool.queryWithRetry(sql, params);
+    return rows.map(row => PrimaryKey.extract(row, destKeyColumns));
+  }
+
+  /**
+   * Find the destination keys of a chunk that the source query does not return
+   * The source keys of the chunk's range are read in pages of batchSize keys (seeking past the last
+   * key of the previous page), so a dense source range is never loaded at once.
+   * @param {Array} destKeys - Destination key tuples of the chunk, in key order
+   * @param {Array} firstKey - First key tuple of the range
+   * @param {Array} lastKey - Last key tuple of the range
+   * @returns {Array} Destination key tuples missing in the source
+   */
+  async findKeysMissingInSource(destKeys, firstKey, lastKey) {
+    const { sql: baseSelectQuery, params: templateParams } = this.sourceQuery;
+    const missing = new Set(destKeys.map(key => PrimaryKey.serialize(key)));
+    let afterKey = null;
+
+    while (missing.size > 0) {
+      const where = afterKey
+        ? [PrimaryKey.seekPredicate(this.primaryKeyColumns), PrimaryKey.upToPredicate(this.primaryKeyColumns)]
+        : [this.rangePredicate(this.primaryKeyColumns)];
+      const rows = await this.sourcePool.queryWithRetry(
+        QueryBuilder.build(baseSelectQuery, {
+          select: this.keyColumnList(this.primaryKeyColumns),
+          where,
+          orderBy: PrimaryKey.orderBy(this.primaryKeyColumns),
+          limit: this.batchSize
+        }),
+        [...templateParams, ...(afterKey || firstKey), ...lastKey]
+      );
+
+      for (const row of rows) {
+        missing.delete(PrimaryKey.serialize(PrimaryKey.extract(row, this.primaryKeyColumns)));
+      }
+      if (rows.length < this.batchSize) {
+        break;
+      }
+      afterKey = PrimaryKey.extract(rows[rows.length - 1], this.primaryKeyColumns);
+    }
+
+    return destKeys.filter(key => missing.has(PrimaryKey.serialize(key)));
+  }
+
+  /**
+   * Get row count and key hash of the source query's rows within an inclusive key range
+   * @param {Array} firstKey - First key tuple of the range
+   * @param {Array} lastKey - Last key tuple of the range
+   * @returns {Object} { rowCount, keyHash }
+   */
+  async getSourceRangeSummary(firstKey, lastKey) {
+    const { sql: baseSelectQuery, params: templateParams } = this.sourceQuery;
+    const rows = await this.sourcePool.queryWithRetry(
+      QueryBuilder.build(baseSelectQuery, {
+        select: this.summarySelect(this.primaryKeyColumns),
+        where: [this.rangePredicate(this.primaryKeyColumns)]
+      }),
+      [...templateParams, ...firstKey, ...lastKey]
+    );
+    return {
+      rowCount: Number(rows[0].row_count),
+      keyHash: String(rows[0].key_hash)
+    };
+  }
+
+  /**
+   * Get row count and an order-independent hash of the keys within an inclusive key range
+   * @param {MariaDBPool} pool - Database pool
+   * @param {string} tableName - Table name
+   * @param {Array} keyColumns - Key column names in that table
+   * @param {Array} firstKey - First key tuple of the range
+   * @param {Array} lastKey - Last key tuple of the range
+   * @returns {Object} { rowCount, keyHash }
+   */
+  async getRangeSummary(pool, tableName, keyColumns, firstKey, lastKey) {
+    const sql = `
+      SELECT ${this.summarySelect(keyColumns)}
+      FROM \`${tableName}\`
+      WHERE ${this.rangePredicate(keyColumns)}
+    `;
+    const rows = await pool.queryWithRetry(sql, [...firstKey, ...lastKey]);
+    return {
+      rowCount: Number(rows[0].row_count),
+      keyHash: String(rows[0].key_hash)
+    };
+  }
+
+  /**
+   * Build the select list of a range summary: row count and an order-independent hash of the keys
+   * @param {Array} keyColumns - Key column names
+   * @returns {string} Select list
+   */
+  summarySelect(keyColumns) {
+    return `COUNT(*) AS row_count, BIT_XOR(CRC32(CONCAT_WS('#', ${this.keyColumnList(keyColumns)}))) AS key_hash`;
+  }
+
+  /**
+   * Build an inclusive key range predicate with placeholders for the first and last key
+   * @param {Array} keyColumns - Key column names
+   * @returns {string} SQL predicate
+   */
+  rangePredicate(keyColumns) {
+    if (keyColumns.length === 1) {
+      return `\`${keyColumns[0]}\` BETWEEN ? AND ?`;
+    }
+    const tuple = `(${this.keyColumnList(keyColumns)})`;
+    const placeholders = `(${keyColumns.map(() => '?').join(', ')})`;
+    return `${tuple} >= ${placeholders} AND ${tuple} <= ${placeholders}`;
+  }
+
+  /**
+   * Get the quoted, comma-separated key column list
+   * @param {Array} keyColumns - Key column names
+   * @returns {string} Column list
+   */
+  keyColumnList(keyColumns) {
+    return keyColumns.map(c => `\`${c}\``).join(', ');
+  }
+}
+
+module.exports = ReconcileLoadProcessor;
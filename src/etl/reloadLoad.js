@@ -0,0 +1,146 @@
+const logger = require('../logger');
+const config = require('../config');
+const PrimaryKey = require('../utils/primaryKey');
+const QueryBuilder = require('../utils/queryBuilder');
+const QueryTemplate = require('../utils/queryTemplate');
+const BatchWriter = require('./batchWriter');
+const UpdatedLoadProcessor = require('./updatedLoad');
+
+/**
+ * Reload ETL processor for small reference tables.
+ * Deletes every destination row and reloads the source query inside a single transaction,
+ * so readers see either the old or the new contents. Refuses to run when the source query
+ * returns more than etl.reloadMaxRows rows.
+ */
+class ReloadLoadProcessor {
+  constructor(sourcePool, destPool, options = {}) {
+    this.sourcePool = sourcePool;
+    this.destPool = destPool;
+    this.sourceTable = config.source.table;
+    this.destTable = config.destination.table;
+    // Source query with its template variables bound (see QueryTemplate)
+    this.sourceQuery = options.sourceQuery ||
+      QueryTemplate.render(config.etl.sqlQuery, { table: this.sourceTable, jobName: config.jobName });
+    this.primaryKeyColumns = config.etl.primaryKeyColumns;
+    this.maxRows = config.etl.reloadMaxRows;
+    this.writer = new BatchWriter(destPool, this.destTable, {
+      runId: options.runId,
+      mode: 'reload',
+      keyColumns: this.primaryKeyColumns
+    });
+  }
+
+  /**
+   * Execute reload process within one transaction
+   * @returns {Object} Processing result
+   */
+  async execute() {
+    const result = {
+      rowsProcessed: 0,
+      rowsInserted: 0,
+      rowsUpdated: 0,
+      rowsSkipped: 0,
+      rowsDeleted: 0,
+      errors: []
+    };
+
+    logger.info('Starting RELOAD process');
+
+    try {
+      // Build base query
+      const { sql: baseSelectQuery, params: templateParams } = this.sourceQuery;
+
+      // Get columns from the actual query result (supports JOINs and custom columns)
+      const columns = await this.sourcePool.getQueryColumns(baseSelectQuery, templateParams);
+      logger.info(`Query columns detected: ${columns.join(', ')}`);
+
+      // Size guard
+      const countRows = await this.sourcePool.queryWithRetry(QueryBuilder.buildCountQuery(baseSelectQuery), templateParams);
+      const sourceCount = Number(countRows[0].count);
+      this.checkSize(sourceCount);
+      logger.info(`Rows to reload: ${sourceCount}`);
+
+      // Where an updated-row sync continues after this reload, read before the rows are loaded
+      const watermarkSeed = await UpdatedLoadProcessor.readWatermarkSeed(
+        (sql, params) => this.sourcePool.queryWithRetry(sql, params), this.sourceQuery, columns
+      );
+
+      // Fetch all rows (one more than the limit, in case rows were added since counting)
+      const hasPrimaryKey = this.primaryKeyColumns.every(col => columns.includes(col));
+      const rows = await this.sourcePool.queryWithRetry(QueryBuilder.build(baseSelectQuery, {
+        orderBy: hasPrimaryKey ? PrimaryKey.orderBy(this.primaryKeyColumns) : null,
+        limit: this.maxRows + 1
+      }), templateParams);
+      this.checkSize(rows.length);
+
+      const batchResult = this.writer.createBatchResult();
+      const writeRows = await this.writer.prepareRows(rows, columns, batchResult);
+      const writeColumns = this.writer.getOutputColumns(columns);
+
+      let conn;
+      try {
+        // Begin transaction
+        conn = await this.destPool.beginTransaction();
+        logger.debug('Transaction started for reload');
+
+        // DELETE rather than TRUNCATE: TRUNCATE commits implicitly and cannot be rolled back
+        const deleteResult = await this.destPool.queryInTransactionWithRetry(conn, `DELETE FROM \`${this.destTable}\``);
+        result.rowsDeleted = deleteResult.affectedRows;
+        logger.info(`Deleted ${result.rowsDeleted} destination rows`);
+
+        await this.writer.writeRows(conn, writeRows, writeColumns, batchResult);
+
+        // Abort instead of committing a reload with too many failed rows
+        this.writer.checkErrorThreshold(batchResult, rows.length);
+
+        // Commit transaction
+        await this.destPool.commitTransaction(conn);
+        logger.debug('Reload transaction committed');
+
+        this.writer.recordFailedRows(batchResult.errors, writeColumns, columns);
+
+      } catch (error) {
+        // Rollback on error: the destination keeps its previous contents
+        if (conn) {
+          try {
+            await this.destPool.rollbackTransaction(conn);
+            logger.warn('Reload transaction rolled back due to error');
+          } catch (rollbackError) {
+            logger.error(`Rollback failed: ${rollbackError.message}`);
+          }
+        }
+        throw error;
+      }
+
+      UpdatedLoadProcessor.saveWatermarkSeed(this.sourceTable, this.destTable, watermarkSeed);
+
+      result.rowsProcessed = batchResult.processed;
+      result.rowsInserted = batchResult.inserted;
+      result.rowsUpdated = batchResult.updated;
+      result.rowsSkipped = batchResult.skipped;
+      result.errors = batchResult.errors;
+
+      logger.info(`RELOAD completed: ${result.rowsDeleted} rows deleted, ${result.rowsInserted} rows inserted`);
+      return result;
+
+    } catch (error) {
+      logger.error(`RELOAD failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Refuse to reload more rows than etl.reloadMaxRows
+   * @param {number} rowCount - Number of source rows
+   */
+  checkSize(rowCount) {
+    if (rowCount > this.maxRows) {
+      throw new Error(
+        `Reload refused: source query returns ${rowCount} rows, more than reloadMaxRows (${this.maxRows}). ` +
+        `Use another mode for large tables or raise etl.reloadMaxRows`
+      );
+    }
+  }
+}
+
+module.exports = ReloadLoadProcessor;
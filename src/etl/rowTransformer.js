@@ -0,0 +1,117 @@
+const path = require('path');
+const logger = require('../logger');
+
+/**
+ * Runs the JavaScript transform hooks of a job (etl.transformModule) on source rows before they are written.
+ *
+ * The module may export:
+ *   transformRow(row, context)    Return the row to write (or a new object), or null to drop the row
+ *   transformBatch(rows, context) Return the rows to write (called after transformRow)
+ *   columns                       Names of columns the hooks add to rows, written after the query columns
+ *
+ * Hooks may be async. A row whose transformRow throws is reported as a failed row; if transformBatch
+ * throws, every row of the batch is.
+ */
+class RowTransformer {
+  /**
+   * @param {string} modulePath - Path of the transform module (relative paths resolve from the working directory)
+   */
+  constructor(modulePath) {
+    this.modulePath = path.resolve(modulePath);
+
+    const hooks = require(this.modulePath);
+    if (typeof hooks.transformRow !== 'function' && typeof hooks.transformBatch !== 'function') {
+      throw new Error(`Transform module ${this.modulePath} must export transformRow and/or transformBatch`);
+    }
+    if (hooks.columns !== undefined && !Array.isArray(hooks.columns)) {
+      throw new Error(`Transform module ${this.modulePath}: 'columns' must be an array of column names`);
+    }
+
+    this.transformRowHook = hooks.transformRow || null;
+    this.transformBatchHook = hooks.transformBatch || null;
+    this.addedColumns = hooks.columns || [];
+  }
+
+  /**
+   * Get the columns written for transformed rows
+   * @param {Array} columns - Source query column names
+   * @returns {Array} Query columns followed by the columns added by the hooks
+   */
+  getOutputColumns(columns) {
+    return columns.concat(this.addedColumns.filter(col => !columns.includes(col)));
+  }
+
+  /**
+   * Transform a batch of rows
+   * @param {Array} rows - Source rows
+   * @param {Object} context - Hook context (jobName, runId, mode, sourceTable, destinationTable)
+   * @returns {Object} { rows, dropped, errors } - errors are { row, error, code, operation: 'transform' }
+   */
+  async transform(rows, context) {
+    const result = {
+      rows: [],
+      dropped: 0,
+      errors: []
+    };
+
+    // Rows handed to transformBatch, with the source row each came from
+    const sourceRows = [];
+
+    for (const row of rows) {
+      if (!this.transformRowHook) {
+        result.rows.push(row);
+        sourceRows.push(row);
+        continue;
+      }
+
+      try {
+        const transformed = await this.transformRowHook({ ...row }, context);
+        if (transformed === null || transformed === undefined) {
+          result.dropped++;
+          continue;
+        }
+        result.rows.push(transformed);
+        sourceRows.push(row);
+      } catch (error) {
+        logger.error(`Error transforming row: ${error.message}`);
+        result.errors.push({
+          row: row,
+          error: error.message,
+          code: error.code || 'TRANSFORM_ERROR',
+          operation: 'transform'
+        });
+      }
+    }
+
+    if (!this.transformBatchHook || result.rows.length === 0) {
+      return result;
+    }
+
+    try {
+      const transformed = await this.transformBatchHook(result.rows, context);
+      if (transformed !== undefined) {
+        if (!Array.isArray(transformed)) {
+          throw new Error('transformBatch must return an array of rows');
+        }
+        const kept = transformed.filter(row => row !== null && row !== undefined);
+        result.dropped += Math.max(0, result.rows.length - kept.length);
+        result.rows = kept;
+      }
+    } catch (error) {
+      logger.error(`Error transforming batch: ${error.message}`);
+      for (const row of sourceRows) {
+        result.errors.push({
+          row: row,
+          error: error.message,
+          code: error.code || 'TRANSFORM_ERROR',
+          operation: 'transform'
+        });
+      }
+      result.rows = [];
+    }
+
+    return result;
+  }
+}
+
+module.exports = RowTransformer;
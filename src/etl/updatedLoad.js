@@ -0,0 +1,299 @@
+const logger = require('../logger');
+const config = require('../config');
+const sqliteManager = require('../database/sqlite');
+const PrimaryKey = require('../utils/primaryKey');
+const QueryBuilder = require('../utils/queryBuilder');
+const QueryTemplate = require('../utils/queryTemplate');
+const BatchWriter = require('./batchWriter');
+const BatchSizer = require('./batchSizer');
+
+/**
+ * Updated-row sync ETL processor driven by a modification timestamp watermark.
+ * Picks up new and edited rows and upserts them into the destination.
+ * Rows with a NULL timestamp cannot be ordered by it (MariaDB sorts NULL first) and are never newer
+ * than a watermark: they are synced in a second pass by primary key, each new key once.
+ */
+class UpdatedLoadProcessor {
+  constructor(sourcePool, destPool, primaryKeyColumns, updatedAtColumn, options = {}) {
+    this.sourcePool = sourcePool;
+    this.destPool = destPool;
+    this.sourceTable = config.source.table;
+    this.destTable = config.destination.table;
+    // Source query with its template variables bound (see QueryTemplate)
+    this.sourceQuery = options.sourceQuery ||
+      QueryTemplate.render(config.etl.sqlQuery, { table: this.sourceTable, jobName: config.jobName });
+    this.sizer = BatchSizer.fromConfig(config.etl, {
+      runId: options.runId,
+      sourceTable: this.sourceTable,
+      destinationTable: this.destTable,
+      mode: 'updated'
+    });
+    this.primaryKeyColumns = primaryKeyColumns || config.etl.primaryKeyColumns;
+    this.updatedAtColumn = updatedAtColumn || config.etl.updatedAtColumn;
+    this.maxRetries = config.etl.maxRetries;
+    this.writer = new BatchWriter(destPool, this.destTable, {
+      runId: options.runId,
+      mode: 'updated',
+      onConflict: 'upsert',
+      keyColumns: this.primaryKeyColumns
+    });
+  }
+
+  /**
+   * Execute updated-row sync process with transaction support
+   * @returns {Object} Processing result
+   */
+  async execute() {
+    const result = {
+      rowsProcessed: 0,
+      rowsInserted: 0,
+      rowsUpdated: 0,
+      rowsSkipped: 0,
+      errors: [],
+      lastUpdatedValue: null
+    };
+
+    logger.info('Starting UPDATED LOAD process');
+    logger.info(`Using modification column: ${this.updatedAtColumn}`);
+    const keyName = PrimaryKey.columnsKey(this.primaryKeyColumns);
+    logger.info(`Using primary key column(s): ${keyName}`);
+
+    try {
+      // Build base query
+      const { sql: baseSelectQuery, params: templateParams } = this.sourceQuery;
+
+      // Get columns from the actual query result (supports JOINs and custom columns)
+      const columns = await this.sourcePool.getQueryColumns(baseSelectQuery, templateParams);
+      logger.info(`Query columns detected: ${columns.join(', ')}`);
+
+      for (const column of [this.updatedAtColumn, ...this.primaryKeyColumns]) {
+        if (!columns.includes(column)) {
+          throw new Error(`Column '${column}' must be included in the SQL query for updated-row sync`);
+        }
+      }
+
+      // Get timestamp watermark from SQLite
+      const watermark = sqliteManager.getUpdatedWatermark(
+        this.sourceTable,
+        this.destTable,
+        keyName
+      );
+
+      if (watermark) {
+        logger.info(`Last ${this.updatedAtColumn} watermark: ${watermark.lastUpdatedValue} (pk ${PrimaryKey.format(PrimaryKey.parse(watermark.lastUpdatedPk))})`);
+      } else {
+        logger.info(`Last ${this.updatedAtColumn} watermark: None (first run, all rows will be upserted)`);
+      }
+
+      // Order by timestamp, then primary key to break ties between rows with equal timestamps
+      const orderBy = `\`${this.updatedAtColumn}\` ASC, ${PrimaryKey.orderBy(this.primaryKeyColumns)}`;
+
+      let batchNumber = 1;
+      let currentUpdatedValue = watermark ? watermark.lastUpdatedValue : null;
+      let currentPkValue = watermark ? PrimaryKey.parse(watermark.lastUpdatedPk) : null;
+
+      while (true) {
+        let where = [`\`${this.updatedAtColumn}\` IS NOT NULL`];
+        let queryParams = [];
+
+        if (currentUpdatedValue !== null) {
+          where = [
+            `\`${this.updatedAtColumn}\` > ? ` +
+            `OR (\`${this.updatedAtColumn}\` = ? AND ${PrimaryKey.seekPredicate(this.primaryKeyColumns)})`
+          ];
+          queryParams = [currentUpdatedValue, currentUpdatedValue, ...currentPkValue];
+        }
+
+        logger.debug(`Executing batch ${batchNumber}`);
+
+        // Fetch rows with retry
+        const rows = await this.sizer.fetch(batchSize => this.sourcePool.queryWithRetry(
+          QueryBuilder.build(baseSelectQuery, { where, orderBy, limit: batchSize }),
+          [...templateParams, ...queryParams]
+        ));
+
+        if (rows.length === 0) {
+          logger.info('No more changed rows to process');
+          break;
+        }
+
+        logger.info(`Processing batch ${batchNumber}: ${rows.length} rows`);
+
+        // Upsert batch with transaction
+        const batchResult = await this.writeRows(rows, columns, result, batchNumber);
+
+        const lastRow = rows[rows.length - 1];
+        currentUpdatedValue = this.formatWatermark(lastRow[this.updatedAtColumn]);
+        currentPkValue = PrimaryKey.extract(lastRow, this.primaryKeyColumns);
+
+        // Update watermark after each batch (checkpoint)
+        sqliteManager.updateUpdatedWatermark(
+          this.sourceTable,
+          this.destTable,
+          keyName,
+          this.updatedAtColumn,
+          currentUpdatedValue,
+          PrimaryKey.serialize(currentPkValue)
+        );
+
+        logger.info(`Batch ${batchNumber} completed: ${batchResult.inserted} rows inserted, ${batchResult.updated} rows updated`);
+
+        batchNumber++;
+      }
+
+      await this.syncNullTimestampRows(baseSelectQuery, templateParams, columns, keyName, batchNumber, result);
+
+      result.lastUpdatedValue = currentUpdatedValue;
+      logger.info(`UPDATED LOAD completed: ${result.rowsInserted} rows inserted, ${result.rowsUpdated} updated, ${result.rowsSkipped} skipped`);
+      return result;
+
+    } catch (error) {
+      logger.error(`UPDATED LOAD failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Upsert the rows with a NULL modification timestamp whose key is above the last one synced
+   * Such rows carry no change information, so an edit that keeps the timestamp NULL is not picked up;
+   * once the timestamp is set, the row is synced by the watermark pass.
+   * @param {string} baseSelectQuery - Source query
+   * @param {Array} templateParams - Values bound to the source query's template variables
+   * @param {Array} columns - Query columns
+   * @param {string} keyName - Key column name(s), comma-separated
+   * @param {number} batchNumber - Number of the first batch of this pass
+   * @param {Object} result - Processing result
+   */
+  async syncNullTimestampRows(baseSelectQuery, templateParams, columns, keyName, batchNumber, result) {
+    let lastPk = PrimaryKey.parse(sqliteManager.getNullUpdatedPk(this.sourceTable, this.destTable, keyName));
+    let synced = 0;
+
+    while (true) {
+      const where = [`\`${this.updatedAtColumn}\` IS NULL`];
+      if (lastPk) {
+        where.push(PrimaryKey.seekPredicate(this.primaryKeyColumns));
+      }
+      const rows = await this.sizer.fetch(batchSize => this.sourcePool.queryWithRetry(
+        QueryBuilder.build(baseSelectQuery, {
+          where,
+          orderBy: PrimaryKey.orderBy(this.primaryKeyColumns),
+          limit: batchSize
+        }),
+        [...templateParams, ...(lastPk || [])]
+      ));
+      if (rows.length === 0) {
+        break;
+      }
+
+      await this.writeRows(rows, columns, result, batchNumber++);
+      synced += rows.length;
+
+      lastPk = PrimaryKey.extract(rows[rows.length - 1], this.primaryKeyColumns);
+      sqliteManager.updateNullUpdatedPk(this.sourceTable, this.destTable, keyName, PrimaryKey.serialize(lastPk));
+    }
+
+    if (synced > 0) {
+      logger.info(`Synced ${synced} new row(s) with NULL '${this.updatedAtColumn}'`);
+    }
+  }
+
+  /**
+   * Upsert a batch and add its counts to the result
+   * @param {Array} rows - Rows
+   * @param {Array} columns - Query columns
+   * @param {Object} result - Processing result
+   * @param {number} batchNumber - Batch number
+   * @returns {Object} Batch result
+   */
+  async writeRows(rows, columns, result, batchNumber) {
+    const batchResult = await this.sizer.write(rows, batchNumber, () => this.writer.writeBatch(rows, columns));
+    result.rowsInserted += batchResult.inserted;
+    result.rowsUpdated += batchResult.updated;
+    result.rowsSkipped += batchResult.skipped;
+    result.rowsProcessed += batchResult.processed;
+    result.errors.push(...batchResult.errors);
+    return batchResult;
+  }
+
+  /**
+   * Read the watermark an updated-row sync can continue from once a full or reload run has loaded
+   * every source row. Read before the rows are: the watermark is the last row (in timestamp, key
+   * order) older than the newest timestamp, so rows changed while the load runs and the rows sharing
+   * the newest timestamp are synced again by the next run, instead of every row.
+   * @param {Function} query - async (sql, params) => rows, reading the source
+   * @param {Object} sourceQuery - Source query with its template values: { sql, params }
+   * @param {Array} columns - Query columns
+   * @returns {Object|null} { updatedValue, pk, nullPk } (null when etl.updatedAtColumn is not in the query)
+   */
+  static async readWatermarkSeed(query, sourceQuery, columns) {
+    const updatedAtColumn = config.etl.updatedAtColumn;
+    const keyColumns = config.etl.primaryKeyColumns;
+    if (!updatedAtColumn || ![updatedAtColumn, ...keyColumns].every(col => columns.includes(col))) {
+      return null;
+    }
+
+    const { sql, params } = sourceQuery;
+    const column = `\`${updatedAtColumn}\``;
+    const keyList = keyColumns.map(col => `\`${col}\``).join(', ');
+    const seed = { updatedValue: null, pk: null, nullPk: null };
+
+    const [newest] = await query(QueryBuilder.build(sql, { select: `MAX(${column}) AS newest` }), params);
+    if (newest.newest !== null) {
+      const rows = await query(QueryBuilder.build(sql, {
+        select: `${column}, ${keyList}`,
+        where: [`${column} < ?`],
+        orderBy: `${column} DESC, ${keyColumns.map(col => `\`${col}\` DESC`).join(', ')}`,
+        limit: 1
+      }), [...params, newest.newest]);
+      if (rows.length > 0) {
+        seed.updatedValue = String(PrimaryKey.formatValue(rows[0][updatedAtColumn]));
+        seed.pk = PrimaryKey.serialize(PrimaryKey.extract(rows[0], keyColumns));
+      }
+    }
+
+    const nullRows = await query(QueryBuilder.build(sql, {
+      select: keyList,
+      where: [`${column} IS NULL`],
+      orderBy: keyColumns.map(col => `\`${col}\` DESC`).join(', '),
+      limit: 1
+    }), params);
+    if (nullRows.length > 0) {
+      seed.nullPk = PrimaryKey.serialize(PrimaryKey.extract(nullRows[0], keyColumns));
+    }
+    return seed;
+  }
+
+  /**
+   * Store a watermark read by readWatermarkSeed() after the load completed
+   * @param {string} sourceTable - Source table name
+   * @param {string} destTable - Destination table name
+   * @param {Object|null} seed - Watermark seed
+   */
+  static saveWatermarkSeed(sourceTable, destTable, seed) {
+    if (!seed) {
+      return;
+    }
+    const keyName = PrimaryKey.columnsKey(config.etl.primaryKeyColumns);
+    if (seed.updatedValue !== null) {
+      sqliteManager.updateUpdatedWatermark(sourceTable, destTable, keyName, config.etl.updatedAtColumn, seed.updatedValue, seed.pk);
+    }
+    if (seed.nullPk !== null) {
+      sqliteManager.updateNullUpdatedPk(sourceTable, destTable, keyName, seed.nullPk);
+    }
+    logger.info(
+      `Updated-row sync watermark set to ${seed.updatedValue === null ? 'none' : seed.updatedValue}: ` +
+      'the next updated run only syncs rows changed since this load'
+    );
+  }
+
+  /**
+   * Convert a timestamp value into a string usable as a query parameter
+   * @param {*} value - Timestamp value from the source row
+   * @returns {string} Watermark value
+   */
+  formatWatermark(value) {
+    return String(PrimaryKey.formatValue(value));
+  }
+}
+
+module.exports = UpdatedLoadProcessor;
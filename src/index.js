@@ -10,6 +10,7 @@ class Application {
   constructor() {
     this.etlRunner = null;
     this.cronJob = null;
+    this.reconcileCronJob = null;
     this.isShuttingDown = false;
   }
 
@@ -37,6 +38,7 @@ class Application {
 
       // Setup cron schedule
       this.setupCronJob();
+      this.setupReconcileCronJob();
 
       logger.info('Application started successfully');
       logger.info(`Cron schedule: ${config.etl.cronSchedule}`);
@@ -82,6 +84,43 @@ class Application {
     logger.info(`Cron job scheduled with expression: ${cronExpression}`);
   }
 
+  /**
+   * Setup optional cron job for hard-delete reconciliation runs
+   */
+  setupReconcileCronJob() {
+    const cronExpression = config.etl.reconcileSchedule;
+    if (!cronExpression) {
+      return;
+    }
+
+    if (!cron.validate(cronExpression)) {
+      logger.error(`Invalid reconcile cron expression: ${cronExpression}`);
+      throw new Error(`Invalid reconcile cron expression: ${cronExpression}`);
+    }
+
+    this.reconcileCronJob = cron.schedule(cronExpression, async () => {
+      if (this.isShuttingDown) {
+        logger.info('Shutdown in progress, skipping scheduled reconcile run');
+        return;
+      }
+
+      logger.info('========================================');
+      logger.info('Scheduled Reconcile Job Triggered');
+      logger.info('========================================');
+
+      try {
+        await this.etlRunner.run('reconcile');
+      } catch (error) {
+        logger.error(`Scheduled reconcile job failed: ${error.message}`);
+      }
+    }, {
+      scheduled: true,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    });
+
+    logger.info(`Reconcile job scheduled with expression: ${cronExpression}`);
+  }
+
   /**
    * Setup graceful shutdown handlers
    */
@@ -130,11 +169,15 @@ class Application {
     logger.info('========================================');
 
     try {
-      // Stop cron job
+      // Stop cron jobs
       if (this.cronJob) {
         this.cronJob.stop();
         logger.info('Cron job stopped');
       }
+      if (this.reconcileCronJob) {
+        this.reconcileCronJob.stop();
+        logger.info('Reconcile cron job stopped');
+      }
 
       // Wait for current ETL run to complete if running
       if (this.etlRunner && this.etlRunner.isRunning) {
@@ -0,0 +1,121 @@
+/**
+ * Column mapping between the source query and the destination table (etl.columnMap)
+ *
+ * Entries are keyed by column name:
+ *   "source_col": "dest_col"                 Rename a source column
+ *   "source_col": null                       Drop a source column
+ *   "dest_col": { "value": <constant> }      Add a destination column with a constant value
+ *   "dest_col": { "expression": "<sql>" }    Add a destination column computed by the destination server
+ *
+ * Source columns without an entry keep their name.
+ */
+class ColumnMap {
+  /**
+   * @param {Object|null} mapConfig - etl.columnMap setting
+   */
+  constructor(mapConfig = null) {
+    this.renamed = new Map();
+    this.dropped = new Set();
+    this.added = [];
+
+    const errors = [];
+    for (const [column, target] of Object.entries(mapConfig || {})) {
+      if (target === null || target === false) {
+        this.dropped.add(column);
+      } else if (typeof target === 'string' && target.length > 0) {
+        this.renamed.set(column, target);
+      } else if (target && typeof target === 'object' && 'value' in target) {
+        this.added.push({ name: column, value: target.value });
+      } else if (target && typeof target === 'object' && typeof target.expression === 'string') {
+        this.added.push({ name: column, expression: target.expression });
+      } else {
+        errors.push(`'${column}' must be a column name, null, { "value": ... } or { "expression": "..." }`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid columnMap: ${errors.join(', ')}`);
+    }
+  }
+
+  /**
+   * Check whether the mapping changes anything
+   * @returns {boolean} True if there are no entries
+   */
+  isEmpty() {
+    return this.renamed.size === 0 && this.dropped.size === 0 && this.added.length === 0;
+  }
+
+  /**
+   * Get the source column names the mapping renames or drops
+   * @returns {Array} Source column names
+   */
+  getMappedSourceColumns() {
+    return [...this.renamed.keys(), ...this.dropped];
+  }
+
+  /**
+   * Get the destination column name for a source column
+   * @param {string} sourceColumn - Source column name
+   * @returns {string|null} Destination column name, or null if the column is dropped
+   */
+  getDestinationColumn(sourceColumn) {
+    if (this.dropped.has(sourceColumn)) {
+      return null;
+    }
+    return this.renamed.get(sourceColumn) || sourceColumn;
+  }
+
+  /**
+   * Get the destination names of key columns
+   * @param {Array} keyColumns - Key column names in the source query
+   * @returns {Array} Key column names in the destination table
+   */
+  getDestinationKeyColumns(keyColumns) {
+    return keyColumns.map(column => {
+      const destColumn = this.getDestinationColumn(column);
+      if (destColumn === null) {
+        throw new Error(`Primary key column '${column}' cannot be dropped by columnMap`);
+      }
+      return destColumn;
+    });
+  }
+
+  /**
+   * Get the destination columns written for a source column list, in statement order.
+   * Source-derived columns come first so expressions can refer to them.
+   * @param {Array} sourceColumns - Source query column names
+   * @returns {Array} Column descriptors: { name, source } | { name, value } | { name, expression }
+   */
+  getInsertColumns(sourceColumns) {
+    const columns = [];
+    for (const sourceColumn of sourceColumns) {
+      const destColumn = this.getDestinationColumn(sourceColumn);
+      if (destColumn !== null) {
+        columns.push({ name: destColumn, source: sourceColumn });
+      }
+    }
+    return columns.concat(this.added);
+  }
+
+  /**
+   * Get the parameter values of a row for an INSERT built from getInsertColumns()
+   * (expression columns are inlined in the statement and have no parameter)
+   * @param {Object} row - Source row
+   * @param {Array} sourceColumns - Source query column names
+   * @returns {Array} Parameter values
+   */
+  getRowValues(row, sourceColumns) {
+    const values = [];
+    for (const column of this.getInsertColumns(sourceColumns)) {
+      if ('source' in column) {
+        values.push(row[column.source]);
+      } else if ('value' in column) {
+        values.push(column.value);
+      }
+    }
+    return values;
+  }
+}
+
+module.exports = ColumnMap;
@@ -1,4 +1,5 @@
 const logger = require('../logger');
+const SchemaValidator = require('./schemaValidator');
 
 /**
  * Connection health check utilities
@@ -102,6 +103,52 @@ class ConnectionChecker {
     return result;
   }
 
+  /**
+   * Check that the destination reports an identical re-upsert as unchanged
+   * Runs the same row twice through INSERT ... ON DUPLICATE KEY UPDATE on a temporary table; the
+   * inserted/updated/skipped counts rely on the second write affecting 0 rows (foundRows off).
+   * @param {MariaDBPool} destPool - Destination database pool
+   * @returns {Object} { passed, error }
+   */
+  static async checkUnchangedUpsert(destPool) {
+    const result = {
+      passed: true,
+      error: null
+    };
+
+    let conn;
+    try {
+      conn = await destPool.getConnection();
+      await conn.query('CREATE TEMPORARY TABLE `etl_upsert_check` (`id` INT PRIMARY KEY, `value` INT)');
+      const upsert = 'INSERT INTO `etl_upsert_check` (`id`, `value`) VALUES (1, 1) ON DUPLICATE KEY UPDATE `value` = VALUES(`value`)';
+      await conn.query(upsert);
+      const repeated = await conn.query(upsert);
+      const outcome = SchemaValidator.classifyWriteResult(repeated.affectedRows, 'upsert');
+      if (outcome !== 'skipped') {
+        result.passed = false;
+        result.error = `An identical re-upsert is reported as ${outcome} (${repeated.affectedRows} affected rows): ` +
+          'the destination connection must not use the found rows flag';
+        logger.error(result.error);
+      } else {
+        logger.info('Unchanged upserts are reported as skipped');
+      }
+    } catch (error) {
+      // Needs the CREATE TEMPORARY TABLES privilege; the counts are only reported, so do not fail the run
+      logger.warn(`Could not check how unchanged upserts are reported: ${error.message}`);
+    } finally {
+      if (conn) {
+        try {
+          await conn.query('DROP TEMPORARY TABLE IF EXISTS `etl_upsert_check`');
+        } catch (error) {
+          logger.warn(`Could not drop the upsert check table: ${error.message}`);
+        }
+        conn.release();
+      }
+    }
+
+    return result;
+  }
+
   /**
    * Perform comprehensive pre-flight checks
    * @param {MariaDBPool} sourcePool - Source database pool
@@ -117,6 +164,7 @@ class ConnectionChecker {
       passed: true,
       connectionCheck: null,
       tableCheck: null,
+      upsertCheck: null,
       errors: []
     };
 
@@ -136,6 +184,14 @@ class ConnectionChecker {
       return result;
     }
 
+    // Check how unchanged upserts are counted
+    result.upsertCheck = await this.checkUnchangedUpsert(destPool);
+    if (!result.upsertCheck.passed) {
+      result.passed = false;
+      result.errors.push(result.upsertCheck.error);
+      return result;
+    }
+
     logger.info('All pre-flight checks passed');
     return result;
   }
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+
+const FAKE_FIRST_NAMES = ['Alex', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Avery', 'Quinn', 'Robin'];
+const FAKE_LAST_NAMES = ['Smith', 'Johnson', 'Brown', 'Garcia', 'Miller', 'Davis', 'Wilson', 'Moore', 'Clark', 'Lewis'];
+
+/**
+ * PII masking rules applied to source rows before they are written (etl.masking)
+ *
+ * Rules are keyed by source query column:
+ *   { "strategy": "hash", "salt": "...", "algorithm": "sha256", "length": 64 }  Salted HMAC, hex encoded
+ *   { "strategy": "redact", "value": "[REDACTED]" }                          Fixed replacement (may be null)
+ *   { "strategy": "partial", "keepFirst": 0, "keepLast": 4, "maskChar": "*" } Keep the ends, mask the middle
+ *   { "strategy": "fake", "type": "email", "salt": "..." }                   Deterministic fake value
+ *
+ * hash and fake require a salt: fake values carry part of an HMAC of the original value, which
+ * without a secret key could be matched against a dictionary of likely values (emails, phone numbers).
+ * NULL values stay NULL. Hash and fake values are deterministic, so joins on masked columns still work.
+ */
+class DataMasker {
+  /**
+   * @param {Object|null} maskingConfig - etl.masking setting
+   */
+  constructor(maskingConfig = null) {
+    this.rules = new Map();
+
+    const errors = [];
+    for (const [column, rule] of Object.entries(maskingConfig || {})) {
+      const error = this.validateRule(rule);
+      if (error) {
+        errors.push(`'${column}' ${error}`);
+      } else {
+        this.rules.set(column, rule);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid masking rules: ${errors.join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate a single masking rule
+   * @param {Object} rule - Masking rule
+   * @returns {string|null} Error message or null if the rule is valid
+   */
+  validateRule(rule) {
+    if (!rule || typeof rule !== 'object' || !DataMasker.STRATEGIES.includes(rule.strategy)) {
+      return `must have a strategy: ${DataMasker.STRATEGIES.join(', ')}`;
+    }
+    if ((rule.strategy === 'hash' || rule.strategy === 'fake') && !rule.salt) {
+      return 'requires a salt';
+    }
+    if (rule.strategy === 'hash' && rule.algorithm && !crypto.getHashes().includes(rule.algorithm)) {
+      return `uses an unsupported hash algorithm '${rule.algorithm}'`;
+    }
+    if (rule.strategy === 'fake' && rule.type && !DataMasker.FAKE_TYPES.includes(rule.type)) {
+      return `has an invalid fake type '${rule.type}'. Valid types are: ${DataMasker.FAKE_TYPES.join(', ')}`;
+    }
+    if (rule.strategy === 'partial' && rule.maskChar !== undefined &&
+        (typeof rule.maskChar !== 'string' || rule.maskChar.length !== 1)) {
+      return 'maskChar must be a single character';
+    }
+    return null;
+  }
+
+  /**
+   * Check whether any column is masked
+   * @returns {boolean} True if there are no rules
+   */
+  isEmpty() {
+    return this.rules.size === 0;
+  }
+
+  /**
+   * Get the masked column names
+   * @returns {Array} Source column names
+   */
+  getMaskedColumns() {
+    return [...this.rules.keys()];
+  }
+
+  /**
+   * Get the masking rule of a column
+   * @param {string} column - Source column name
+   * @returns {Object|null} Masking rule
+   */
+  getRule(column) {
+    return this.rules.get(column) || null;
+  }
+
+  /**
+   * Mask a row
+   * @param {Object} row - Row data
+   * @returns {Object} Copy of the row with masked values
+   */
+  maskRow(row) {
+    const masked = { ...row };
+    for (const [column, rule] of this.rules) {
+      if (column in masked) {
+        masked[column] = this.maskValue(masked[column], rule);
+      }
+    }
+    return masked;
+  }
+
+  /**
+   * Mask the values of a row that differ from an already masked row
+   * Used when a stored row, whose masked columns are masked already, passes the transform hooks
+   * again: values the hooks left alone must not be masked twice.
+   * @param {Object} row - Transformed row
+   * @param {Object} maskedRow - Row the hooks were given (masked)
+   * @returns {Object} Copy of the row with masked values
+   */
+  maskChangedValues(row, maskedRow) {
+    const masked = { ...row };
+    for (const [column, rule] of this.rules) {
+      if (column in masked && !(column in maskedRow && DataMasker.sameValue(masked[column], maskedRow[column]))) {
+        masked[column] = this.maskValue(masked[column], rule);
+      }
+    }
+    return masked;
+  }
+
+  /**
+   * Compare two column values
+   * @param {*} a - Value
+   * @param {*} b - Value
+   * @returns {boolean} True if the values are equal
+   */
+  static sameValue(a, b) {
+    if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) {
+      return a.equals(b);
+    }
+    if (a instanceof Date && b instanceof Date) {
+      return a.getTime() === b.getTime();
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+      return JSON.stringify(a) === JSON.stringify(b);
+    }
+    return a === b;
+  }
+
+  /**
+   * Mask a single value
+   * @param {*} value - Original value
+   * @param {Object} rule - Masking rule
+   * @returns {*} Masked value
+   */
+  maskValue(value, rule) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    const text = Buffer.isBuffer(value) ? value.toString('hex') : String(value);
+
+    switch (rule.strategy) {
+      case 'hash': {
+        const digest = this.hmac(text, rule.salt, rule.algorithm);
+        return rule.length ? digest.substring(0, rule.length) : digest;
+      }
+
+      case 'redact':
+        return rule.value !== undefined ? rule.value : '[REDACTED]';
+
+      case 'partial': {
+        const chars = Array.from(text);
+        const keepFirst = rule.keepFirst || 0;
+        const keepLast = rule.keepLast !== undefined ? rule.keepLast : 4;
+        const maskChar = rule.maskChar || '*';
+        return chars
+          .map((ch, i) => (i < keepFirst || i >= chars.length - keepLast ? ch : maskChar))
+          .join('');
+      }
+
+      case 'fake':
+        return this.fakeValue(this.hmac(text, rule.salt, 'sha256'), rule.type || 'text');
+
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Build a deterministic fake value from a hex digest
+   * @param {string} digest - Hex digest of the original value
+   * @param {string} type - Fake type
+   * @returns {string} Fake value
+   */
+  fakeValue(digest, type) {
+    const number = parseInt(digest.substring(0, 12), 16);
+
+    switch (type) {
+      case 'email':
+        return `user_${digest.substring(0, 10)}@example.com`;
+
+      case 'name':
+        return `${FAKE_FIRST_NAMES[number % FAKE_FIRST_NAMES.length]} ` +
+          `${FAKE_LAST_NAMES[Math.floor(number / FAKE_FIRST_NAMES.length) % FAKE_LAST_NAMES.length]}`;
+
+      case 'phone': {
+        const digits = String(number % 10000000).padStart(7, '0');
+        return `555-${digits.substring(0, 3)}-${digits.substring(3)}`;
+      }
+
+      default:
+        return `fake_${digest.substring(0, 12)}`;
+    }
+  }
+
+  /**
+   * Get the maximum length of a masked value, when it does not depend on the input
+   * @param {Object} rule - Masking rule
+   * @returns {number|null} Maximum length, or null if it follows the input length
+   */
+  getOutputLength(rule) {
+    switch (rule.strategy) {
+      case 'hash': {
+        const digestLength = this.hmac('', rule.salt, rule.algorithm).length;
+        return rule.length ? Math.min(rule.length, digestLength) : digestLength;
+      }
+
+      case 'redact':
+        return rule.value !== undefined && rule.value !== null ? String(rule.value).length : '[REDACTED]'.length;
+
+      case 'fake':
+        if (rule.type === 'name') {
+          const longest = list => Math.max(...list.map(name => name.length));
+          return longest(FAKE_FIRST_NAMES) + 1 + longest(FAKE_LAST_NAMES);
+        }
+        return this.fakeValue('0'.repeat(64), rule.type || 'text').length;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check whether a rule always produces text (as opposed to e.g. a numeric redaction value)
+   * @param {Object} rule - Masking rule
+   * @returns {boolean} True if masked values are strings
+   */
+  producesText(rule) {
+    if (rule.strategy === 'redact') {
+      return rule.value === undefined || typeof rule.value === 'string';
+    }
+    return true;
+  }
+
+  /**
+   * Compute a salted HMAC of a value
+   * @param {string} text - Value
+   * @param {string} salt - Salt (HMAC key)
+   * @param {string} algorithm - Hash algorithm
+   * @returns {string} Hex digest
+   */
+  hmac(text, salt, algorithm = 'sha256') {
+    return crypto.createHmac(algorithm || 'sha256', String(salt || '')).update(text).digest('hex');
+  }
+}
+
+/**
+ * Supported masking strategies and fake value types
+ */
+DataMasker.STRATEGIES = ['hash', 'redact', 'partial', 'fake'];
+DataMasker.FAKE_TYPES = ['email', 'name', 'phone', 'text'];
+
+module.exports = DataMasker;
@@ -0,0 +1,142 @@
+const PrimaryKey = require('./primaryKey');
+
+/**
+ * DDL for destination tables managed by the ETL: tables created when missing (etl.createDestinationIfMissing)
+ * and columns added by schema evolution (etl.schemaEvolution).
+ *
+ * Table DDL is derived either from the source table's SHOW CREATE TABLE output, or from column
+ * definitions built from the source query's result metadata. Destination tables never get an
+ * AUTO_INCREMENT column, since key values are always copied from the source.
+ */
+class DdlBuilder {
+  /**
+   * Rewrite a source table's CREATE TABLE statement for the destination table
+   * @param {string} createStatement - SHOW CREATE TABLE output of the source table
+   * @param {string} tableName - Destination table name
+   * @param {Object} options - Rewrite options
+   * @param {Array} options.primaryKeyColumns - Key columns, declared as PRIMARY KEY if the source has none
+   * @param {boolean} options.stripForeignKeys - Remove FOREIGN KEY constraints
+   * @param {Object} options.tableNames - Source -> destination names for tables referenced by foreign keys
+   * @returns {string} CREATE TABLE statement
+   */
+  static fromCreateStatement(createStatement, tableName, options = {}) {
+    const tableNames = options.tableNames || {};
+    const headerMatch = createStatement.match(/^CREATE TABLE `(?:[^`]|``)+` \(/);
+    if (!headerMatch) {
+      throw new Error('Unexpected SHOW CREATE TABLE output: no column list found');
+    }
+    const header = `CREATE TABLE ${DdlBuilder.quote(tableName)} (`;
+
+    // Table options and partitioning follow the column list; PARTITION BY clauses span several lines
+    const listEnd = DdlBuilder.findClosingParenthesis(createStatement, headerMatch[0].length - 1);
+    const footer = createStatement.slice(listEnd).replace(/\s+AUTO_INCREMENT=\d+/, '');
+
+    let definitions = createStatement.slice(headerMatch[0].length, listEnd)
+      .split('\n')
+      .map(line => line.trim().replace(/,$/, ''))
+      .filter(line => line.length > 0);
+    if (options.stripForeignKeys) {
+      definitions = definitions.filter(line => !/^CONSTRAINT .* FOREIGN KEY /.test(line) && !/^FOREIGN KEY /.test(line));
+    } else {
+      definitions = definitions.map(line => line.replace(/ REFERENCES `((?:[^`]|``)+)`/, (match, table) => {
+        const referenced = table.replace(/``/g, '`');
+        return ` REFERENCES ${DdlBuilder.quote(tableNames[referenced] || referenced)}`;
+      }));
+    }
+
+    // Column attributes come before COMMENT, so the first match is the attribute, not comment text
+    definitions = definitions.map(line => line.startsWith('`') ? line.replace(/ AUTO_INCREMENT(?= |$)/, '') : line);
+
+    if (!definitions.some(line => line.startsWith('PRIMARY KEY'))) {
+      definitions.push(DdlBuilder.buildPrimaryKey(options.primaryKeyColumns));
+    }
+
+    return [header, definitions.map(line => `  ${line}`).join(',\n'), footer].join('\n');
+  }
+
+  /**
+   * Build a CREATE TABLE statement from column definitions
+   * @param {string} tableName - Destination table name
+   * @param {Array} columns - Column definitions: { COLUMN_NAME, COLUMN_TYPE, IS_NULLABLE }
+   * @param {Array} primaryKeyColumns - Key column names
+   * @returns {string} CREATE TABLE statement
+   */
+  static fromColumns(tableName, columns, primaryKeyColumns) {
+    const keyColumns = PrimaryKey.normalize(primaryKeyColumns);
+    const definitions = columns.map(col => {
+      const nullable = col.IS_NULLABLE === 'YES' && !keyColumns.includes(col.COLUMN_NAME);
+      return `${DdlBuilder.quote(col.COLUMN_NAME)} ${col.COLUMN_TYPE} ${nullable ? 'NULL' : 'NOT NULL'}`;
+    });
+    definitions.push(DdlBuilder.buildPrimaryKey(keyColumns));
+
+    return `CREATE TABLE ${DdlBuilder.quote(tableName)} (\n${definitions.map(line => `  ${line}`).join(',\n')}\n)`;
+  }
+
+  /**
+   * Build an ALTER TABLE statement adding nullable columns
+   * @param {string} tableName - Destination table name
+   * @param {Array} columns - Column definitions: { COLUMN_NAME, COLUMN_TYPE }
+   * @returns {string} ALTER TABLE statement
+   */
+  static buildAddColumns(tableName, columns) {
+    const clauses = columns.map(col => `ADD COLUMN ${DdlBuilder.quote(col.COLUMN_NAME)} ${col.COLUMN_TYPE} NULL`);
+    return `ALTER TABLE ${DdlBuilder.quote(tableName)} ${clauses.join(', ')}`;
+  }
+
+  /**
+   * Build a PRIMARY KEY clause
+   * @param {string|Array} primaryKeyColumns - Key column name(s)
+   * @returns {string} PRIMARY KEY clause
+   */
+  static buildPrimaryKey(primaryKeyColumns) {
+    const keyColumns = PrimaryKey.normalize(primaryKeyColumns);
+    return `PRIMARY KEY (${keyColumns.map(DdlBuilder.quote).join(', ')})`;
+  }
+
+  /**
+   * Find the parenthesis closing an opening one, skipping quoted strings and identifiers
+   * @param {string} sql - SQL statement
+   * @param {number} openIndex - Index of the opening parenthesis
+   * @returns {number} Index of the closing parenthesis
+   */
+  static findClosingParenthesis(sql, openIndex) {
+    let depth = 0;
+    let quote = null;
+    for (let i = openIndex; i < sql.length; i++) {
+      const char = sql[i];
+      if (quote) {
+        if (char === '\\' && quote !== '`') {
+          i++;
+        } else if (char === quote) {
+          // A doubled quote is an escaped quote
+          if (sql[i + 1] === quote) {
+            i++;
+          } else {
+            quote = null;
+          }
+        }
+      } else if (char === '\'' || char === '"' || char === '`') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+    throw new Error('Unexpected SHOW CREATE TABLE output: column list is not closed');
+  }
+
+  /**
+   * Quote an identifier
+   * @param {string} name - Table or column name
+   * @returns {string} Backtick-quoted identifier
+   */
+  static quote(name) {
+    return `\`${String(name).replace(/`/g, '``')}\``;
+  }
+}
+
+module.exports = DdlBuilder;
@@ -0,0 +1,58 @@
+/**
+ * Error threshold checks for write batches
+ * A batch that crosses a threshold is rolled back instead of committed,
+ * so the checkpoint is not moved past rows that were never written.
+ */
+class ErrorThreshold {
+  /**
+   * Check a batch's error count against the configured thresholds
+   * @param {number} errorCount - Number of rows that failed in the batch
+   * @param {number} rowCount - Number of rows in the batch
+   * @param {Object} limits - Thresholds
+   * @param {number|null} limits.maxErrorRate - Max fraction (0-1) of failed rows per batch
+   * @param {number|null} limits.maxErrorsPerBatch - Max number of failed rows per batch
+   * @returns {string|null} Reason the batch exceeds a threshold, or null if it is within limits
+   */
+  static check(errorCount, rowCount, limits) {
+    if (errorCount === 0 || rowCount === 0) {
+      return null;
+    }
+
+    if (limits.maxErrorsPerBatch !== null && limits.maxErrorsPerBatch !== undefined &&
+        errorCount > limits.maxErrorsPerBatch) {
+      return `${errorCount} of ${rowCount} rows failed, exceeding maxErrorsPerBatch (${limits.maxErrorsPerBatch})`;
+    }
+
+    const errorRate = errorCount / rowCount;
+    if (limits.maxErrorRate !== null && limits.maxErrorRate !== undefined &&
+        errorRate > limits.maxErrorRate) {
+      return `${errorCount} of ${rowCount} rows failed (${(errorRate * 100).toFixed(2)}%), ` +
+        `exceeding maxErrorRate (${(limits.maxErrorRate * 100).toFixed(2)}%)`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate threshold settings
+   * @param {Object} limits - Thresholds ({ maxErrorRate, maxErrorsPerBatch })
+   * @returns {Array} Validation errors
+   */
+  static validate(limits) {
+    const errors = [];
+    const { maxErrorRate, maxErrorsPerBatch } = limits;
+
+    if (maxErrorRate !== null && maxErrorRate !== undefined &&
+        (typeof maxErrorRate !== 'number' || maxErrorRate < 0 || maxErrorRate > 1)) {
+      errors.push(`Invalid maxErrorRate: ${maxErrorRate}. Must be a number between 0 and 1`);
+    }
+    if (maxErrorsPerBatch !== null && maxErrorsPerBatch !== undefined &&
+        (!Number.isInteger(maxErrorsPerBatch) || maxErrorsPerBatch < 0)) {
+      errors.push(`Invalid maxErrorsPerBatch: ${maxErrorsPerBatch}. Must be a non-negative integer`);
+    }
+
+    return errors;
+  }
+}
+
+module.exports = ErrorThreshold;
@@ -0,0 +1,82 @@
+const PrimaryKey = require('./primaryKey');
+
+// Ways to choose the boundaries of the key ranges (etl.fullLoadRangeSplit)
+const SPLIT_METHODS = ['minmax', 'sample'];
+
+/**
+ * Key ranges of a range-partitioned full load (etl.fullLoadRanges)
+ *
+ * The key space is cut at boundary tuples b1 < b2 < ... into ranges (-inf, b1], (b1, b2], ..., (bn, +inf),
+ * so every key belongs to exactly one range, including keys outside the span seen when planning.
+ * A range is { start, end }: key tuples (arrays), null for an open end.
+ */
+class KeyRanges {
+  /**
+   * Get boundaries splitting a numeric key span into ranges of equal width
+   * (the full load falls back to sampled boundaries for other keys)
+   * @param {number} min - Smallest key
+   * @param {number} max - Largest key
+   * @param {number} count - Number of ranges
+   * @returns {Array} Boundary tuples
+   */
+  static splitNumeric(min, max, count) {
+    if (typeof min !== 'number' || typeof max !== 'number') {
+      throw new Error('fullLoadRangeSplit "minmax" requires a numeric key, use "sample" for other key types');
+    }
+    const boundaries = [];
+    for (let i = 1; i < count; i++) {
+      boundaries.push([Math.floor(min + (max - min) * i / count)]);
+    }
+    return boundaries;
+  }
+
+  /**
+   * Build ranges from boundaries, skipping repeated boundaries
+   * @param {Array} boundaries - Boundary tuples in key order
+   * @returns {Array} Ranges
+   */
+  static fromBoundaries(boundaries) {
+    const distinct = boundaries.filter((boundary, i) =>
+      i === 0 || PrimaryKey.serialize(boundary) !== PrimaryKey.serialize(boundaries[i - 1])
+    );
+    const edges = [null, ...distinct, null];
+    return edges.slice(1).map((end, i) => ({ start: edges[i], end }));
+  }
+
+  /**
+   * Build the predicates selecting the rest of a range
+   * @param {Array} columns - Key column names
+   * @param {Object} range - { start, end }
+   * @param {Array|null} afterKey - Key of the last processed row of the range (resume), null to start at the range start
+   * @returns {Object} { where, params } for QueryBuilder.build
+   */
+  static predicates(columns, range, afterKey) {
+    const where = [];
+    const params = [];
+    const lower = afterKey || range.start;
+    if (lower) {
+      where.push(PrimaryKey.seekPredicate(columns));
+      params.push(...lower);
+    }
+    if (range.end) {
+      where.push(PrimaryKey.upToPredicate(columns));
+      params.push(...range.end);
+    }
+    return { where, params };
+  }
+
+  /**
+   * Format a range for log messages
+   * @param {Object} range - { start, end }
+   * @returns {string} e.g. "(1000, 2000]" or "(-inf, 1000]"
+   */
+  static describe(range) {
+    const start = range.start ? PrimaryKey.format(range.start) : '-inf';
+    const end = range.end ? `${PrimaryKey.format(range.end)}]` : '+inf)';
+    return `(${start}, ${end}`;
+  }
+}
+
+KeyRanges.SPLIT_METHODS = SPLIT_METHODS;
+
+module.exports = KeyRanges;
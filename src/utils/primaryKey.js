@@ -0,0 +1,147 @@
+/**
+ * Primary key helpers for single and composite keys
+ * Keys are handled as ordered column lists; key values as tuples (arrays) in the same order.
+ */
+class PrimaryKey {
+  /**
+   * Normalize a primary key setting into a list of column names
+   * @param {string|Array} primaryKey - Column name or list of column names
+   * @returns {Array} Column names
+   */
+  static normalize(primaryKey) {
+    if (Array.isArray(primaryKey)) {
+      return primaryKey.slice();
+    }
+    return primaryKey ? [primaryKey] : [];
+  }
+
+  /**
+   * Get the name stored in SQLite state tables for a key (e.g. 'tenant_id,id')
+   * @param {Array} columns - Key column names
+   * @returns {string} Key name
+   */
+  static columnsKey(columns) {
+    return columns.join(',');
+  }
+
+  /**
+   * Extract the key tuple of a row
+   * @param {Object} row - Row data
+   * @param {Array} columns - Key column names
+   * @returns {Array} Key values
+   */
+  static extract(row, columns) {
+    return columns.map(col => row[col]);
+  }
+
+  /**
+   * Build a seek predicate matching keys greater than a tuple, e.g. (`a`, `b`) > (?, ?)
+   * @param {Array} columns - Key column names
+   * @returns {string} SQL predicate
+   */
+  static seekPredicate(columns) {
+    if (columns.length === 1) {
+      return `\`${columns[0]}\` > ?`;
+    }
+    const columnList = columns.map(c => `\`${c}\``).join(', ');
+    const placeholders = columns.map(() => '?').join(', ');
+    return `(${columnList}) > (${placeholders})`;
+  }
+
+  /**
+   * Build a predicate matching keys up to and including a tuple, e.g. (`a`, `b`) <= (?, ?)
+   * @param {Array} columns - Key column names
+   * @returns {string} SQL predicate
+   */
+  static upToPredicate(columns) {
+    if (columns.length === 1) {
+      return `\`${columns[0]}\` <= ?`;
+    }
+    const columnList = columns.map(c => `\`${c}\``).join(', ');
+    const placeholders = columns.map(() => '?').join(', ');
+    return `(${columnList}) <= (${placeholders})`;
+  }
+
+  /**
+   * Build a predicate matching one key tuple, e.g. `a` = ? AND `b` = ?
+   * @param {Array} columns - Key column names
+   * @returns {string} SQL predicate
+   */
+  static equalsPredicate(columns) {
+    return columns.map(c => `\`${c}\` = ?`).join(' AND ');
+  }
+
+  /**
+   * Build an ORDER BY column list for a key
+   * @param {Array} columns - Key column names
+   * @returns {string} Comma-separated ordering (without the ORDER BY keyword)
+   */
+  static orderBy(columns) {
+    return columns.map(c => `\`${c}\` ASC`).join(', ');
+  }
+
+  /**
+   * Convert a key or watermark value into a scalar that round-trips through JSON
+   * and is understood by MariaDB when bound as a parameter.
+   * Dates are formatted in local time, matching how the driver sends Date parameters.
+   * @param {*} value - Value from a source row
+   * @returns {*} Serializable value
+   */
+  static formatValue(value) {
+    if (!(value instanceof Date)) {
+      return value;
+    }
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ` +
+      `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}.` +
+      `${pad(value.getMilliseconds(), 3)}`;
+  }
+
+  /**
+   * Serialize a key tuple for storage in SQLite (JSON array)
+   * @param {Array} values - Key values
+   * @returns {string} JSON tuple
+   */
+  static serialize(values) {
+    return JSON.stringify(values.map(value => this.formatValue(value)));
+  }
+
+  /**
+   * Parse a stored key tuple
+   * Values stored by older versions as a plain single value are returned as a one-element tuple.
+   * @param {string|null} stored - Stored key
+   * @returns {Array|null} Key values or null if nothing is stored
+   */
+  static parse(stored) {
+    if (stored === null || stored === undefined) {
+      return null;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(stored);
+    } catch (error) {
+      return [stored];
+    }
+
+    if (!Array.isArray(parsed)) {
+      return [parsed];
+    }
+
+    // Binary key parts are serialized by Buffer#toJSON
+    return parsed.map(value =>
+      value && value.type === 'Buffer' && Array.isArray(value.data) ? Buffer.from(value.data) : value
+    );
+  }
+
+  /**
+   * Format a key tuple for log messages
+   * @param {Array} values - Key values
+   * @returns {string} Readable key
+   */
+  static format(values) {
+    return values.length === 1 ? String(values[0]) : `(${values.join(', ')})`;
+  }
+}
+
+module.exports = PrimaryKey;
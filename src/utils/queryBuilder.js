@@ -0,0 +1,87 @@
+/**
+ * Query builder for the user-supplied source query (etl.sqlQuery)
+ * The query is wrapped as a derived table, so predicates, ordering and limits are composed
+ * outside of it and never spliced into the user's SQL:
+ *
+ *   SELECT * FROM (<sqlQuery>) AS src WHERE <predicates> ORDER BY ... LIMIT n
+ *
+ * MariaDB merges simple derived tables and pushes conditions into them, so seek predicates
+ * on indexed columns still use the source table's indexes.
+ */
+class QueryBuilder {
+  /**
+   * Strip surrounding whitespace and trailing semicolons from a query
+   * @param {string} sql - SQL query
+   * @returns {string} Normalized query
+   */
+  static normalize(sql) {
+    return sql.trim().replace(/;+\s*$/, '');
+  }
+
+  /**
+   * Wrap a query as a derived table
+   * The closing parenthesis goes on its own line so a trailing "-- comment" cannot swallow it.
+   * @param {string} sql - SQL query
+   * @param {string} select - Select list
+   * @returns {string} SELECT * FROM (<sql>) AS src
+   */
+  static wrap(sql, select = '*') {
+    return `SELECT ${select} FROM (\n${this.normalize(sql)}\n) AS ${this.ALIAS}`;
+  }
+
+  /**
+   * Build a query over the wrapped source query
+   * @param {string} sql - SQL query
+   * @param {Object} options - Query options
+   * @param {string} options.select - Select list (default: *)
+   * @param {Array} options.where - Predicates combined with AND (column references use the query's output names)
+   * @param {string} options.orderBy - Ordering without the ORDER BY keyword
+   * @param {number} options.limit - Maximum number of rows
+   * @param {number} options.offset - Number of rows to skip
+   * @returns {string} SQL query
+   */
+  static build(sql, options = {}) {
+    const { select = '*', where = [], orderBy = null, limit = null, offset = null } = options;
+    let query = this.wrap(sql, select);
+
+    const predicates = where.filter(Boolean);
+    if (predicates.length > 0) {
+      query += ` WHERE ${predicates.map(p => `(${p})`).join(' AND ')}`;
+    }
+    if (orderBy) {
+      query += ` ORDER BY ${orderBy}`;
+    }
+    if (limit !== null && limit !== undefined) {
+      query += ` LIMIT ${Number(limit)}`;
+      if (offset) {
+        query += ` OFFSET ${Number(offset)}`;
+      }
+    }
+    return query;
+  }
+
+  /**
+   * Build a query returning no rows, used to read the query's column metadata
+   * @param {string} sql - SQL query
+   * @returns {string} SQL query with LIMIT 0
+   */
+  static buildMetadataQuery(sql) {
+    return this.build(sql, { limit: 0 });
+  }
+
+  /**
+   * Build a query counting the rows a query returns
+   * @param {string} sql - SQL query
+   * @returns {string} SELECT COUNT(*) AS count FROM (<sql>) AS src
+   */
+  static buildCountQuery(sql) {
+    return `SELECT COUNT(*) AS count FROM (\n${this.normalize(sql)}\n) AS ${this.ALIAS}`;
+  }
+}
+
+/**
+ * Alias of the derived table wrapping the source query
+ */
+QueryBuilder.ALIAS = 'src';
+
+module.exports = QueryBuilder;
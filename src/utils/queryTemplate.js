@@ -0,0 +1,183 @@
+// {{ name }} placeholders; names are letters, digits, _ and . with an optional +N / -N offset
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w.]*(?:\s*[+-]\s*\d+\s*[a-z])?)\s*\}\}/g;
+
+// Date helpers: today[+-N(d|w)] and now[+-N(s|m|h|d)]
+const DATE_HELPER = /^(today|now)(?:\s*([+-])\s*(\d+)\s*([a-z]))?$/;
+
+// Offset units of the date helpers, in milliseconds (today counts calendar days)
+const OFFSET_UNITS = {
+  today: { d: 86400000, w: 604800000 },
+  now: { s: 1000, m: 60000, h: 3600000, d: 86400000 }
+};
+
+/**
+ * Template variables of the source query (etl.sqlQuery)
+ *
+ * {{table}} is an identifier and is substituted into the SQL text (every occurrence). All other
+ * variables are values: each occurrence becomes a ? placeholder and the value is bound as a query
+ * parameter, so values are never spliced into the SQL. Bound parameters come before any parameters
+ * the processors add, since QueryBuilder wraps the rendered query as a derived table.
+ *
+ * Variables:
+ *   {{table}}          Source table name
+ *   {{jobName}}        Job name
+ *   {{runStartedAt}}   Start time of the run
+ *   {{lastValue}}      Last processed primary key value (single-column keys), NULL on the first run
+ *   {{env.NAME}}       Environment variable NAME (must be set)
+ *   {{today}}          Run start date as 'YYYY-MM-DD', with offsets like {{today-7d}} or {{today+1w}}
+ *   {{now}}            Run start time, with offsets like {{now-2h}}, {{now-30m}} or {{now-10s}}
+ */
+class QueryTemplate {
+  /**
+   * Render a source query
+   * @param {string} sql - SQL query with placeholders
+   * @param {Object} context - Variable values
+   * @param {string} context.table - Source table name
+   * @param {string} context.jobName - Job name
+   * @param {Date} context.runStartedAt - Start time of the run
+   * @param {*|Function} context.lastValue - Last processed value, or a function returning it (called only when used)
+   * @param {Object} context.env - Environment variables (default: process.env)
+   * @returns {Object} { sql, params } - SQL with ? placeholders and the values to bind, in order
+   */
+  static render(sql, context = {}) {
+    const params = [];
+    const { literals, comments } = QueryTemplate.scan(sql);
+    const within = (ranges, offset) => ranges.some(([start, end]) => offset > start && offset < end);
+
+    const rendered = sql.replace(PLACEHOLDER, (match, expression, offset) => {
+      // The server ignores comments: a ? there would not be bound, so the text stays as written
+      if (within(comments, offset)) {
+        return match;
+      }
+
+      const name = expression.replace(/\s+/g, '');
+      if (name === 'table') {
+        return context.table;
+      }
+
+      if (within(literals, offset)) {
+        throw new Error(
+          `Query template variable ${match} must not be used inside a quoted string: its value is bound as a parameter. ` +
+          `Build the string in SQL instead, e.g. CONCAT('%', ${match}, '%')`
+        );
+      }
+
+      params.push(QueryTemplate.resolve(name, context));
+      return '?';
+    });
+
+    return { sql: rendered, params };
+  }
+
+  /**
+   * Find the quoted string literals and the comments of a query
+   * Quotes are doubled ('it''s') or backslash-escaped ('it\'s') inside a literal; quotes within
+   * comments are ignored. Backtick-quoted identifiers are not literals. Executable comments
+   * (starting with /*! or /*M!) are run by the server, so they are not comments here.
+   * @param {string} sql - SQL query
+   * @returns {Object} { literals, comments } - [start, end] offsets of each literal (its quotes) and comment (end exclusive)
+   */
+  static scan(sql) {
+    const literals = [];
+    const comments = [];
+    let i = 0;
+    while (i < sql.length) {
+      const char = sql[i];
+      // "-- " comments need whitespace after the dashes (MariaDB reads 1--1 as 1 - -1)
+      if ((char === '-' && sql[i + 1] === '-' && /\s/.test(sql[i + 2] || ' ')) || char === '#') {
+        const end = sql.indexOf('\n', i);
+        comments.push([i, end === -1 ? sql.length : end]);
+        i = end === -1 ? sql.length : end + 1;
+      } else if (char === '/' && sql[i + 1] === '*' && !/^\/\*M?!/.test(sql.substring(i, i + 4))) {
+        const end = sql.indexOf('*/', i + 2);
+        comments.push([i, end === -1 ? sql.length : end + 2]);
+        i = end === -1 ? sql.length : end + 2;
+      } else if (char === '`') {
+        const end = sql.indexOf('`', i + 1);
+        i = end === -1 ? sql.length : end + 1;
+      } else if (char === '\'' || char === '"') {
+        let end = i + 1;
+        while (end < sql.length) {
+          if (sql[end] === '\\') {
+            end += 2;
+          } else if (sql[end] === char && sql[end + 1] === char) {
+            end += 2;
+          } else if (sql[end] === char) {
+            break;
+          } else {
+            end++;
+          }
+        }
+        literals.push([i, end]);
+        i = end + 1;
+      } else {
+        i++;
+      }
+    }
+    return { literals, comments };
+  }
+
+  /**
+   * Get the value of a variable
+   * @param {string} name - Variable name without braces and whitespace, e.g. 'env.REGION' or 'today-7d'
+   * @param {Object} context - Variable values
+   * @returns {*} Value to bind
+   */
+  static resolve(name, context) {
+    if (name.startsWith('env.')) {
+      const envName = name.slice(4);
+      const env = context.env || process.env;
+      if (env[envName] === undefined) {
+        throw new Error(`Environment variable ${envName} used in sqlQuery is not set`);
+      }
+      return env[envName];
+    }
+
+    const dateHelper = name.match(DATE_HELPER);
+    if (dateHelper) {
+      return QueryTemplate.resolveDate(dateHelper, context.runStartedAt || new Date());
+    }
+
+    switch (name) {
+      case 'jobName':
+        return context.jobName;
+      case 'runStartedAt':
+        return context.runStartedAt || new Date();
+      case 'lastValue': {
+        const value = typeof context.lastValue === 'function' ? context.lastValue() : context.lastValue;
+        return value === undefined ? null : value;
+      }
+      default:
+        throw new Error(
+          `Unknown query template variable {{${name}}}. ` +
+          'Valid variables are: table, jobName, runStartedAt, lastValue, env.NAME, today[+-Nd|w], now[+-Ns|m|h|d]'
+        );
+    }
+  }
+
+  /**
+   * Get the value of a date helper
+   * @param {Array} match - DATE_HELPER match: [, base, sign, amount, unit]
+   * @param {Date} runStartedAt - Start time of the run
+   * @returns {string|Date} 'YYYY-MM-DD' for today, a Date for now
+   */
+  static resolveDate([, base, sign, amount, unit], runStartedAt) {
+    const units = OFFSET_UNITS[base];
+    if (sign && !units[unit]) {
+      throw new Error(`Invalid offset unit '${unit}' for {{${base}}}. Valid units are: ${Object.keys(units).join(', ')}`);
+    }
+    const steps = sign ? (sign === '-' ? -1 : 1) * Number(amount) : 0;
+
+    if (base === 'now') {
+      return new Date(runStartedAt.getTime() + steps * (units[unit] || 0));
+    }
+
+    // Calendar days, so a DST change within the offset does not move the date
+    const date = new Date(runStartedAt.getTime());
+    date.setDate(date.getDate() + steps * (unit === 'w' ? 7 : 1));
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+module.exports = QueryTemplate;
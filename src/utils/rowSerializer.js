@@ -0,0 +1,71 @@
+/**
+ * Row serialization utilities
+ * Converts row values to JSON and back without losing Date and binary values.
+ */
+class RowSerializer {
+  /**
+   * Serialize a row object to JSON
+   * @param {Object} row - Row data (column name -> value)
+   * @returns {string} JSON string
+   */
+  static serialize(row) {
+    const encoded = {};
+    for (const [column, value] of Object.entries(row)) {
+      encoded[column] = this.encodeValue(value);
+    }
+    return JSON.stringify(encoded);
+  }
+
+  /**
+   * Deserialize a row object from JSON
+   * @param {string} json - JSON string produced by serialize()
+   * @returns {Object} Row data
+   */
+  static deserialize(json) {
+    const decoded = {};
+    for (const [column, value] of Object.entries(JSON.parse(json))) {
+      decoded[column] = this.decodeValue(value);
+    }
+    return decoded;
+  }
+
+  /**
+   * Encode a single value into a JSON-safe form
+   * @param {*} value - Value
+   * @returns {*} Encoded value
+   */
+  static encodeValue(value) {
+    if (value instanceof Date) {
+      return { $date: value.toISOString() };
+    }
+    if (Buffer.isBuffer(value)) {
+      return { $base64: value.toString('base64') };
+    }
+    if (typeof value === 'bigint') {
+      return { $bigint: value.toString() };
+    }
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Decode a value encoded by encodeValue()
+   * @param {*} value - Encoded value
+   * @returns {*} Decoded value
+   */
+  static decodeValue(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (typeof value.$date === 'string') {
+        return new Date(value.$date);
+      }
+      if (typeof value.$base64 === 'string') {
+        return Buffer.from(value.$base64, 'base64');
+      }
+      if (typeof value.$bigint === 'string') {
+        return BigInt(value.$bigint);
+      }
+    }
+    return value;
+  }
+}
+
+module.exports = RowSerializer;
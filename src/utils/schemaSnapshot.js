@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+// Schemas captured in a snapshot, with their labels
+const SCHEMA_KINDS = {
+  source: 'Source table',
+  query: 'Source query',
+  destination: 'Destination table'
+};
+
+/**
+ * Schema snapshots of a table pair, taken on every run and compared by the schema:diff CLI
+ *
+ * A snapshot holds three column lists: the source table schema, the source query's result columns
+ * and the destination table schema. Each list is stored once per distinct content, under its hash.
+ */
+class SchemaSnapshot {
+  /**
+   * Read the current schemas of a table pair
+   * @param {MariaDBPool} sourcePool - Source database pool
+   * @param {MariaDBPool} destPool - Destination database pool
+   * @param {string} sourceTable - Source table name
+   * @param {string} destTable - Destination table name
+   * @param {Object} sourceQuery - Rendered source query: { sql, params }
+   * @returns {Object} { source, query, destination } normalized column lists
+   */
+  static async capture(sourcePool, destPool, sourceTable, destTable, sourceQuery) {
+    return {
+      source: SchemaSnapshot.normalize(await sourcePool.getTableSchema(sourceTable)),
+      query: SchemaSnapshot.normalize(await sourcePool.getQueryColumnDefinitions(sourceQuery.sql, sourceQuery.params)),
+      destination: SchemaSnapshot.normalize(await destPool.getTableSchema(destTable))
+    };
+  }
+
+  /**
+   * Normalize a table schema or query column definitions for storage and comparison
+   * @param {Array} schema - Rows with COLUMN_NAME, COLUMN_TYPE (or DATA_TYPE) and IS_NULLABLE
+   * @returns {Array} { name, type, nullable } per column, in column order
+   */
+  static normalize(schema) {
+    return schema.map(col => ({
+      name: col.COLUMN_NAME,
+      type: col.COLUMN_TYPE || col.DATA_TYPE,
+      nullable: col.IS_NULLABLE === 'YES'
+    }));
+  }
+
+  /**
+   * Hash a normalized column list
+   * @param {Array} columns - Normalized columns
+   * @returns {string} SHA-256 hex digest
+   */
+  static hash(columns) {
+    return crypto.createHash('sha256').update(JSON.stringify(columns)).digest('hex');
+  }
+
+  /**
+   * Compare two column lists
+   * @param {Array} before - Normalized columns of the older schema
+   * @param {Array} after - Normalized columns of the newer schema
+   * @returns {Array} Changes: { change: 'added' | 'removed' | 'type' | 'nullability', column, from, to }
+   */
+  static diff(before, after) {
+    const beforeColumns = new Map(before.map(col => [col.name, col]));
+    const afterColumns = new Map(after.map(col => [col.name, col]));
+    const changes = [];
+
+    for (const col of before) {
+      if (!afterColumns.has(col.name)) {
+        changes.push({ change: 'removed', column: col.name, from: col, to: null });
+      }
+    }
+
+    for (const col of after) {
+      const previous = beforeColumns.get(col.name);
+      if (!previous) {
+        changes.push({ change: 'added', column: col.name, from: null, to: col });
+        continue;
+      }
+      if (previous.type !== col.type) {
+        changes.push({ change: 'type', column: col.name, from: previous.type, to: col.type });
+      }
+      if (previous.nullable !== col.nullable) {
+        changes.push({ change: 'nullability', column: col.name, from: previous.nullable, to: col.nullable });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Format a change for display
+   * @param {Object} change - Change from diff()
+   * @returns {string} e.g. "+ email varchar(100) NULL" or "~ name: type varchar(50) -> varchar(100)"
+   */
+  static formatChange(change) {
+    const describe = col => `${col.name} ${col.type} ${col.nullable ? 'NULL' : 'NOT NULL'}`;
+    const nullability = nullable => (nullable ? 'NULL' : 'NOT NULL');
+
+    switch (change.change) {
+      case 'added':
+        return `+ ${describe(change.to)}`;
+      case 'removed':
+        return `- ${describe(change.from)}`;
+      case 'type':
+        return `~ ${change.column}: type ${change.from} -> ${change.to}`;
+      default:
+        return `~ ${change.column}: ${nullability(change.from)} -> ${nullability(change.to)}`;
+    }
+  }
+}
+
+SchemaSnapshot.SCHEMA_KINDS = SCHEMA_KINDS;
+
+module.exports = SchemaSnapshot;
@@ -1,4 +1,18 @@
 const logger = require('../logger');
+const PrimaryKey = require('./primaryKey');
+const ColumnMap = require('./columnMap');
+
+// Destination data types each coercion type is meant for
+const COERCION_TARGET_TYPES = {
+  int: ['int', 'integer', 'bigint', 'smallint', 'tinyint', 'mediumint', 'bit', 'year'],
+  decimal: ['decimal', 'numeric', 'float', 'double', 'real'],
+  date: ['date'],
+  string: ['varchar', 'char', 'text', 'longtext', 'mediumtext', 'tinytext'],
+  enum: ['enum', 'set', 'varchar', 'char', 'text', 'longtext', 'mediumtext', 'tinytext']
+};
+
+// Data types that can hold masked (text) values
+const TEXT_TYPES = ['varchar', 'char', 'text', 'longtext', 'mediumtext', 'tinytext', 'enum', 'set', 'json'];
 
 /**
  * Schema validation utilities
@@ -8,55 +22,97 @@ class SchemaValidator {
    * Compare source and destination table schemas
    * @param {Array} sourceSchema - Source table schema
    * @param {Array} destSchema - Destination table schema
-   * @param {string} primaryKeyColumn - Primary key column name (optional)
+   * @param {string|Array} primaryKeyColumns - Primary key column name(s) (optional)
+   * @param {ColumnMap} columnMap - Column mapping from source to destination (optional)
+   * @param {Array} coercedColumns - Source columns with a coercion rule, not checked for type differences (optional)
    * @returns {Object} Validation result
    */
-  static validateSchemaCompatibility(sourceSchema, destSchema, primaryKeyColumn = null) {
+  static validateSchemaCompatibility(sourceSchema, destSchema, primaryKeyColumns = null, columnMap = null, coercedColumns = []) {
     const result = {
       isCompatible: true,
       errors: [],
       warnings: []
     };
+    columnMap = columnMap || new ColumnMap();
 
     // Create maps for easy lookup
     const sourceColumns = new Map(sourceSchema.map(col => [col.COLUMN_NAME, col]));
     const destColumns = new Map(destSchema.map(col => [col.COLUMN_NAME, col]));
+    const mappedColumns = new Map();
 
-    // Check if all source columns exist in destination
+    // Mapping entries for columns the source query does not return have no effect
+    for (const colName of columnMap.getMappedSourceColumns()) {
+      if (!sourceColumns.has(colName)) {
+        result.warnings.push(`Column '${colName}' in columnMap is not returned by the source query`);
+      }
+    }
+
+    // Check if all (mapped) source columns exist in destination
     for (const [colName, sourceCol] of sourceColumns) {
-      if (!destColumns.has(colName)) {
-        result.errors.push(`Column '${colName}' exists in source but not in destination`);
+      const destName = columnMap.getDestinationColumn(colName);
+      if (destName === null) {
+        continue;
+      }
+      const label = destName === colName ? `Column '${colName}'` : `Column '${colName}' (mapped to '${destName}')`;
+
+      if (mappedColumns.has(destName)) {
+        result.errors.push(`${label} is written by more than one source column`);
+        result.isCompatible = false;
+        continue;
+      }
+      mappedColumns.set(destName, colName);
+
+      if (!destColumns.has(destName)) {
+        result.errors.push(`${label} exists in source but not in destination`);
         result.isCompatible = false;
         continue;
       }
 
-      const destCol = destColumns.get(colName);
+      const destCol = destColumns.get(destName);
 
-      // Check data type compatibility
-      if (!this.areTypesCompatible(sourceCol.DATA_TYPE, destCol.DATA_TYPE)) {
+      // Check data type compatibility (coerced columns are reported by validateCoercion)
+      if (!coercedColumns.includes(colName) && !this.areTypesCompatible(sourceCol.DATA_TYPE, destCol.DATA_TYPE)) {
         result.warnings.push(
-          `Column '${colName}' has different data types: source='${sourceCol.DATA_TYPE}', destination='${destCol.DATA_TYPE}'`
+          `${label} has different data types: source='${sourceCol.DATA_TYPE}', destination='${destCol.DATA_TYPE}'`
         );
       }
 
       // Check nullability
       if (sourceCol.IS_NULLABLE === 'YES' && destCol.IS_NULLABLE === 'NO') {
         result.warnings.push(
-          `Column '${colName}' allows NULL in source but not in destination`
+          `${label} allows NULL in source but not in destination`
         );
       }
     }
 
+    // Check that columns added by the mapping exist in destination
+    for (const added of columnMap.getInsertColumns([])) {
+      if (mappedColumns.has(added.name)) {
+        result.errors.push(`Column '${added.name}' in columnMap is also written from a source column`);
+        result.isCompatible = false;
+      } else if (!destColumns.has(added.name)) {
+        result.errors.push(`Column '${added.name}' in columnMap does not exist in destination`);
+        result.isCompatible = false;
+      }
+      mappedColumns.set(added.name, null);
+    }
+
     // Check for extra columns in destination (just a warning)
     for (const colName of destColumns.keys()) {
-      if (!sourceColumns.has(colName)) {
+      if (!mappedColumns.has(colName)) {
         result.warnings.push(`Column '${colName}' exists in destination but not in source`);
       }
     }
 
-    // Validate primary key in destination
-    if (primaryKeyColumn) {
-      const pkValidation = this.validateDestinationPrimaryKey(destSchema, primaryKeyColumn);
+    // Validate every primary key column in destination (under its mapped name)
+    for (const primaryKeyColumn of PrimaryKey.normalize(primaryKeyColumns)) {
+      const destKeyColumn = columnMap.getDestinationColumn(primaryKeyColumn);
+      if (destKeyColumn === null) {
+        result.errors.push(`Primary key column '${primaryKeyColumn}' cannot be dropped by columnMap`);
+        result.isCompatible = false;
+        continue;
+      }
+      const pkValidation = this.validateDestinationPrimaryKey(destSchema, destKeyColumn);
       if (!pkValidation.isValid) {
         result.errors.push(...pkValidation.errors);
         result.isCompatible = false;
@@ -77,6 +133,150 @@ class SchemaValidator {
     return result;
   }
 
+  /**
+   * Find source columns that have no destination column (e.g. columns added to the source table)
+   * Key columns are not included: they must already be part of the destination primary key.
+   * @param {Array} sourceSchema - Source query schema
+   * @param {Array} destSchema - Destination table schema
+   * @param {string|Array} primaryKeyColumns - Primary key column name(s)
+   * @param {ColumnMap} columnMap - Column mapping from source to destination (optional)
+   * @returns {Array} { source, destination } column names
+   */
+  static findNewColumns(sourceSchema, destSchema, primaryKeyColumns = null, columnMap = null) {
+    columnMap = columnMap || new ColumnMap();
+    const keyColumns = PrimaryKey.normalize(primaryKeyColumns);
+    const destColumns = new Set(destSchema.map(col => col.COLUMN_NAME));
+
+    return sourceSchema
+      .filter(col => !keyColumns.includes(col.COLUMN_NAME))
+      .map(col => ({ source: col.COLUMN_NAME, destination: columnMap.getDestinationColumn(col.COLUMN_NAME) }))
+      .filter(col => col.destination !== null && !destColumns.has(col.destination));
+  }
+
+  /**
+   * Check that masked values fit the destination columns (etl.masking)
+   * Problems are reported as warnings: a value that does not fit fails (or is truncated) at insert time.
+   * @param {Array} sourceColumns - Source query column names
+   * @param {Array} destSchema - Destination table schema
+   * @param {DataMasker} masker - Masking rules
+   * @param {ColumnMap} columnMap - Column mapping from source to destination (optional)
+   * @param {string|Array} primaryKeyColumns - Primary key column name(s) (optional)
+   * @returns {Array} Warnings
+   */
+  static validateMasking(sourceColumns, destSchema, masker, columnMap = null, primaryKeyColumns = null) {
+    const warnings = [];
+    columnMap = columnMap || new ColumnMap();
+    const destColumns = new Map(destSchema.map(col => [col.COLUMN_NAME, col]));
+    const keyColumns = PrimaryKey.normalize(primaryKeyColumns);
+
+    for (const column of masker.getMaskedColumns()) {
+      const rule = masker.getRule(column);
+
+      if (!sourceColumns.includes(column)) {
+        warnings.push(`Masked column '${column}' is not returned by the source query`);
+        continue;
+      }
+      if (keyColumns.includes(column)) {
+        warnings.push(`Masked column '${column}' is a primary key column: destination keys will not match the source (deletes will not find rows)`);
+      }
+
+      const destName = columnMap.getDestinationColumn(column);
+      const destCol = destName !== null ? destColumns.get(destName) : null;
+      if (!destCol) {
+        continue;
+      }
+
+      const destType = (destCol.DATA_TYPE || '').toLowerCase();
+      if (masker.producesText(rule) && !TEXT_TYPES.includes(destType)) {
+        warnings.push(`Masked column '${column}' (${rule.strategy}) produces text but destination type is '${destCol.DATA_TYPE}'`);
+        continue;
+      }
+
+      const maxLength = destCol.CHARACTER_MAXIMUM_LENGTH !== null && destCol.CHARACTER_MAXIMUM_LENGTH !== undefined
+        ? Number(destCol.CHARACTER_MAXIMUM_LENGTH)
+        : null;
+      const outputLength = masker.getOutputLength(rule);
+      if (maxLength !== null && outputLength !== null && outputLength > maxLength) {
+        warnings.push(
+          `Masked column '${column}' (${rule.strategy}) produces values of up to ${outputLength} characters ` +
+          `but destination column '${destName}' holds ${maxLength}`
+        );
+      }
+    }
+
+    warnings.forEach(warn => logger.warn(`Masking warning: ${warn}`));
+    return warnings;
+  }
+
+  /**
+   * Report the coercions that apply to the written columns (etl.coercion)
+   * Rules that do not match the destination column are reported as warnings.
+   * @param {Array} sourceColumns - Source query column names (including columns added by transform hooks)
+   * @param {Array} destSchema - Destination table schema
+   * @param {TypeCoercer} coercer - Coercion rules
+   * @param {ColumnMap} columnMap - Column mapping from source to destination (optional)
+   * @param {string|Array} primaryKeyColumns - Primary key column name(s) (optional)
+   * @returns {Object} { coercions, warnings } - coercions are { column, destinationColumn, description }
+   */
+  static validateCoercion(sourceColumns, destSchema, coercer, columnMap = null, primaryKeyColumns = null) {
+    const result = {
+      coercions: [],
+      warnings: []
+    };
+    columnMap = columnMap || new ColumnMap();
+    const destColumns = new Map(destSchema.map(col => [col.COLUMN_NAME, col]));
+    const keyColumns = PrimaryKey.normalize(primaryKeyColumns);
+
+    for (const column of coercer.getCoercedColumns()) {
+      const rule = coercer.getRule(column);
+
+      if (!sourceColumns.includes(column)) {
+        result.warnings.push(`Coerced column '${column}' is not returned by the source query`);
+        continue;
+      }
+      if (keyColumns.includes(column)) {
+        result.warnings.push(`Coerced column '${column}' is a primary key column: destination keys may not match the source`);
+      }
+
+      const destName = columnMap.getDestinationColumn(column);
+      const destCol = destName !== null ? destColumns.get(destName) : null;
+      if (!destCol) {
+        continue;
+      }
+      result.coercions.push({ column, destinationColumn: destName, description: coercer.describeRule(rule) });
+
+      const destType = (destCol.DATA_TYPE || '').toLowerCase();
+      if (!COERCION_TARGET_TYPES[rule.type].includes(destType)) {
+        result.warnings.push(`Coerced column '${column}' (${rule.type}) is written to '${destName}' of type '${destCol.DATA_TYPE}'`);
+      }
+
+      const maxLength = destCol.CHARACTER_MAXIMUM_LENGTH !== null && destCol.CHARACTER_MAXIMUM_LENGTH !== undefined
+        ? Number(destCol.CHARACTER_MAXIMUM_LENGTH)
+        : null;
+      if (rule.type === 'string' && maxLength !== null && rule.maxLength > maxLength) {
+        result.warnings.push(
+          `Coerced column '${column}' keeps up to ${rule.maxLength} characters but destination column '${destName}' holds ${maxLength}`
+        );
+      }
+
+      // ENUM destination columns list their values in the column type: enum('a','b')
+      if (rule.type === 'enum' && destType === 'enum' && destCol.COLUMN_TYPE) {
+        const allowed = [...destCol.COLUMN_TYPE.matchAll(/'((?:[^']|'')*)'/g)].map(match => match[1].replace(/''/g, "'"));
+        const unknown = rule.values.filter(value => !allowed.includes(String(value)));
+        if (unknown.length > 0) {
+          result.warnings.push(`Coerced column '${column}' allows values not in destination column '${destName}': ${unknown.join(', ')}`);
+        }
+      }
+    }
+
+    result.coercions.forEach(({ column, destinationColumn, description }) => {
+      const target = destinationColumn === column ? `'${column}'` : `'${column}' -> '${destinationColumn}'`;
+      logger.info(`Coercion: ${target} as ${description}`);
+    });
+    result.warnings.forEach(warn => logger.warn(`Coercion warning: ${warn}`));
+    return result;
+  }
+
   /**
    * Validate destination table primary key configuration
    * @param {Array} destSchema - Destination table schema
@@ -180,23 +380,109 @@ class SchemaValidator {
    * Build INSERT statement for destination table
    * @param {string} tableName - Destination table name
    * @param {Array} columns - Column names
-   * @returns {string} INSERT SQL statement
+   * @param {string} onConflict - Conflict strategy ('fail', 'ignore', 'replace', 'upsert')
+   * @param {Array} keyColumns - Key column names (not updated by 'upsert')
+   * @param {number} rowCount - Number of rows in the VALUES list (multi-row insert when > 1)
+   * @param {ColumnMap} columnMap - Column mapping applied to columns and keyColumns (optional)
+   * @returns {string} INSERT SQL statement (parameters: ColumnMap#getRowValues for each row)
    */
-  static buildInsertStatement(tableName, columns) {
+  static buildInsertStatement(tableName, columns, onConflict = 'fail', keyColumns = [], rowCount = 1, columnMap = null) {
+    columnMap = columnMap || new ColumnMap();
+    const insertColumns = columnMap.getInsertColumns(columns);
+    keyColumns = columnMap.getDestinationKeyColumns(keyColumns);
+    columns = insertColumns.map(c => c.name);
+
     const columnList = columns.map(c => `\`${c}\``).join(', ');
-    const placeholders = columns.map(() => '?').join(', ');
-    return `INSERT INTO \`${tableName}\` (${columnList}) VALUES (${placeholders})`;
+    const placeholders = `(${insertColumns.map(c => c.expression || '?').join(', ')})`;
+    const valuesList = new Array(rowCount).fill(placeholders).join(', ');
+    const target = `\`${tableName}\` (${columnList}) VALUES ${valuesList}`;
+
+    switch (onConflict) {
+      case 'fail':
+        return `INSERT INTO ${target}`;
+
+      case 'ignore':
+        return `INSERT IGNORE INTO ${target}`;
+
+      case 'replace':
+        return `REPLACE INTO ${target}`;
+
+      case 'upsert': {
+        const updateColumns = columns.filter(c => !keyColumns.includes(c));
+        const assignments = (updateColumns.length > 0 ? updateColumns : columns)
+          .map(c => `\`${c}\` = VALUES(\`${c}\`)`)
+          .join(', ');
+        return `INSERT INTO ${target} ON DUPLICATE KEY UPDATE ${assignments}`;
+      }
+
+      default:
+        throw new Error(`Invalid onConflict strategy: ${onConflict}. Valid strategies are: ${this.CONFLICT_STRATEGIES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Classify the outcome of a single-row write from the server's affected row count
+   * @param {number} affectedRows - Affected rows reported by the server
+   * @param {string} onConflict - Conflict strategy used for the write
+   * @returns {string} 'inserted', 'updated' or 'skipped'
+   */
+  static classifyWriteResult(affectedRows, onConflict = 'fail') {
+    // REPLACE and ON DUPLICATE KEY UPDATE report 2 when an existing row was replaced/updated.
+    // INSERT IGNORE and an unchanged ON DUPLICATE KEY UPDATE report 0.
+    if (affectedRows === 0 && (onConflict === 'ignore' || onConflict === 'upsert')) {
+      return 'skipped';
+    }
+    if (affectedRows >= 2 && (onConflict === 'replace' || onConflict === 'upsert')) {
+      return 'updated';
+    }
+    return 'inserted';
+  }
+
+  /**
+   * Classify the outcome of a multi-row write from the server's affected row count
+   * The server only reports a total, so 'replace' and 'upsert' counts are estimates:
+   * each replaced/updated row adds one extra affected row, unchanged upserts add none.
+   * @param {number} affectedRows - Affected rows reported by the server
+   * @param {number} rowCount - Number of rows in the statement
+   * @param {string} onConflict - Conflict strategy used for the write
+   * @returns {Object} { inserted, updated, skipped }
+   */
+  static classifyBulkWriteResult(affectedRows, rowCount, onConflict = 'fail') {
+    switch (onConflict) {
+      case 'ignore':
+        return { inserted: affectedRows, updated: 0, skipped: rowCount - affectedRows };
+
+      case 'replace':
+      case 'upsert': {
+        const updated = Math.max(0, Math.min(affectedRows - rowCount, rowCount));
+        const inserted = Math.min(rowCount - updated, affectedRows - 2 * updated);
+        return { inserted, updated, skipped: rowCount - inserted - updated };
+      }
+
+      default:
+        return { inserted: rowCount, updated: 0, skipped: 0 };
+    }
   }
 
   /**
    * Build DELETE statement for destination table
    * @param {string} tableName - Destination table name
-   * @param {string} primaryKeyColumn - Primary key column name
+   * @param {string|Array} primaryKeyColumns - Primary key column name(s)
+   * @param {ColumnMap} columnMap - Column mapping applied to the key columns (optional)
    * @returns {string} DELETE SQL statement
    */
-  static buildDeleteStatement(tableName, primaryKeyColumn) {
-    return `DELETE FROM \`${tableName}\` WHERE \`${primaryKeyColumn}\` = ?`;
+  static buildDeleteStatement(tableName, primaryKeyColumns, columnMap = null) {
+    const keyColumns = (columnMap || new ColumnMap()).getDestinationKeyColumns(PrimaryKey.normalize(primaryKeyColumns));
+    return `DELETE FROM \`${tableName}\` WHERE ${PrimaryKey.equalsPredicate(keyColumns)}`;
   }
 }
 
+/**
+ * Supported destination conflict strategies (etl.onConflict)
+ */
+SchemaValidator.CONFLICT_STRATEGIES = ['fail', 'ignore', 'replace', 'upsert'];
+
+// Policies for source columns missing in the destination (etl.schemaEvolution)
+SchemaValidator.SCHEMA_EVOLUTION_POLICIES = ['fail', 'ignore-new', 'add-columns'];
+
 module.exports = SchemaValidator;
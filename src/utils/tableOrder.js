@@ -0,0 +1,80 @@
+const logger = require('../logger');
+
+/**
+ * Processing order of the tables of a multi-table job
+ * Parent tables come before the tables whose foreign keys reference them, so child rows never
+ * arrive before their parents. Relationships come from both the source and the destination schema.
+ */
+class TableOrder {
+  /**
+   * Build the parent tables of each table from foreign key relationships
+   * @param {Array} tables - Table configs ({ sourceTable, destinationTable })
+   * @param {Array} sourceForeignKeys - { TABLE_NAME, REFERENCED_TABLE_NAME } pairs of the source database
+   * @param {Array} destForeignKeys - { TABLE_NAME, REFERENCED_TABLE_NAME } pairs of the destination database
+   * @returns {Map} Table config -> Set of parent table configs
+   */
+  static buildDependencies(tables, sourceForeignKeys, destForeignKeys) {
+    const dependencies = new Map(tables.map(table => [table, new Set()]));
+
+    const addRelationships = (foreignKeys, nameOf) => {
+      for (const { TABLE_NAME, REFERENCED_TABLE_NAME } of foreignKeys) {
+        // Self-references are handled within a table's own load
+        if (TABLE_NAME === REFERENCED_TABLE_NAME) {
+          continue;
+        }
+        const children = tables.filter(table => nameOf(table) === TABLE_NAME);
+        const parents = tables.filter(table => nameOf(table) === REFERENCED_TABLE_NAME);
+        for (const child of children) {
+          parents.forEach(parent => dependencies.get(child).add(parent));
+        }
+      }
+    };
+
+    addRelationships(sourceForeignKeys, table => table.sourceTable);
+    addRelationships(destForeignKeys, table => table.destinationTable);
+    return dependencies;
+  }
+
+  /**
+   * Sort tables so that parents come first, keeping the configured order otherwise
+   * Tables in a foreign key cycle are appended in configured order.
+   * @param {Array} tables - Table configs in configured order
+   * @param {Map} dependencies - Table config -> Set of parent table configs
+   * @returns {Array} Table configs in processing order
+   */
+  static sort(tables, dependencies) {
+    const ordered = [];
+    const remaining = tables.slice();
+
+    while (remaining.length > 0) {
+      const next = remaining.find(table =>
+        [...dependencies.get(table)].every(parent => ordered.includes(parent))
+      );
+      if (!next) {
+        logger.warn(
+          `Foreign key cycle between tables ${remaining.map(TableOrder.describe).join(', ')}: ` +
+          'processing them in configured order'
+        );
+        ordered.push(...remaining);
+        break;
+      }
+      ordered.push(next);
+      remaining.splice(remaining.indexOf(next), 1);
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Format a table config for log messages
+   * @param {Object} table - Table config
+   * @returns {string} e.g. "orders -> orders_copy"
+   */
+  static describe(table) {
+    return table.sourceTable === table.destinationTable
+      ? table.sourceTable
+      : `${table.sourceTable} -> ${table.destinationTable}`;
+  }
+}
+
+module.exports = TableOrder;
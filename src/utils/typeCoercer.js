@@ -0,0 +1,397 @@
+/**
+ * Type coercion rules applied to rows before they are written (etl.coercion)
+ *
+ * Rules are keyed by source query column (like masking rules):
+ *   { "type": "int", "parse": "strict" }                          Integer; "lenient" parses a leading number ("12abc" -> 12)
+ *   { "type": "decimal", "scale": 2, "rounding": "half-up" }       Decimal rounded to scale (half-up, half-even, up, down, ceil, floor)
+ *   { "type": "date" }                                             Date part of a datetime ("2024-05-01 13:45:00" -> "2024-05-01")
+ *   { "type": "string", "maxLength": 255 }                         Text cut to maxLength characters (counted and logged)
+ *   { "type": "enum", "values": ["new", "paid"], "caseInsensitive": true }  Value must be one of values
+ *
+ * Values that cannot be coerced follow "onInvalid": "fail" (the row fails, default), "null", or "default"
+ * (the rule's "default" value). A string rule uses "onTruncate": "warn" (default) or "fail".
+ * NULL values stay NULL.
+ */
+class TypeCoercer {
+  /**
+   * @param {Object|null} coercionConfig - etl.coercion setting
+   */
+  constructor(coercionConfig = null) {
+    this.rules = new Map();
+    // Truncated values per column: since the last takeTruncations() call, and in total
+    this.truncations = new Map();
+    this.totalTruncations = new Map();
+
+    const errors = [];
+    for (const [column, rule] of Object.entries(coercionConfig || {})) {
+      const error = this.validateRule(rule);
+      if (error) {
+        errors.push(`'${column}' ${error}`);
+      } else {
+        this.rules.set(column, rule);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid coercion rules: ${errors.join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate a single coercion rule
+   * @param {Object} rule - Coercion rule
+   * @returns {string|null} Error message or null if the rule is valid
+   */
+  validateRule(rule) {
+    if (!rule || typeof rule !== 'object' || !TypeCoercer.TYPES.includes(rule.type)) {
+      return `must have a type: ${TypeCoercer.TYPES.join(', ')}`;
+    }
+    if (rule.onInvalid !== undefined && !TypeCoercer.INVALID_POLICIES.includes(rule.onInvalid)) {
+      return `has an invalid onInvalid policy '${rule.onInvalid}'. Valid policies are: ${TypeCoercer.INVALID_POLICIES.join(', ')}`;
+    }
+    if (rule.onInvalid === 'default' && !('default' in rule)) {
+      return 'requires a default value for onInvalid "default"';
+    }
+    if (rule.parse !== undefined && !['strict', 'lenient'].includes(rule.parse)) {
+      return 'parse must be "strict" or "lenient"';
+    }
+    if (rule.type === 'decimal') {
+      if (!Number.isInteger(rule.scale) || rule.scale < 0) {
+        return 'requires a scale (number of decimal places)';
+      }
+      if (rule.rounding !== undefined && !TypeCoercer.ROUNDING_MODES.includes(rule.rounding)) {
+        return `has an invalid rounding mode '${rule.rounding}'. Valid modes are: ${TypeCoercer.ROUNDING_MODES.join(', ')}`;
+      }
+    }
+    if (rule.type === 'string') {
+      if (!Number.isInteger(rule.maxLength) || rule.maxLength < 0) {
+        return 'requires a maxLength';
+      }
+      if (rule.onTruncate !== undefined && !['warn', 'fail'].includes(rule.onTruncate)) {
+        return 'onTruncate must be "warn" or "fail"';
+      }
+    }
+    if (rule.type === 'enum' && (!Array.isArray(rule.values) || rule.values.length === 0)) {
+      return 'requires a list of values';
+    }
+    return null;
+  }
+
+  /**
+   * Check whether any column is coerced
+   * @returns {boolean} True if there are no rules
+   */
+  isEmpty() {
+    return this.rules.size === 0;
+  }
+
+  /**
+   * Get the coerced column names
+   * @returns {Array} Source column names
+   */
+  getCoercedColumns() {
+    return [...this.rules.keys()];
+  }
+
+  /**
+   * Get the coercion rule of a column
+   * @param {string} column - Source column name
+   * @returns {Object|null} Coercion rule
+   */
+  getRule(column) {
+    return this.rules.get(column) || null;
+  }
+
+  /**
+   * Coerce a row
+   * @param {Object} row - Row data
+   * @returns {Object} Copy of the row with coerced values
+   * @throws {Error} With code COERCION_FAILED when a value cannot be coerced and its rule says "fail"
+   */
+  coerceRow(row) {
+    const coerced = { ...row };
+    for (const [column, rule] of this.rules) {
+      if (column in coerced) {
+        coerced[column] = this.coerceValue(coerced[column], rule, column);
+      }
+    }
+    return coerced;
+  }
+
+  /**
+   * Coerce a single value
+   * @param {*} value - Original value
+   * @param {Object} rule - Coercion rule
+   * @param {string} column - Column name (for errors and truncation counts)
+   * @returns {*} Coerced value
+   */
+  coerceValue(value, rule, column) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    let coerced;
+    switch (rule.type) {
+      case 'int':
+        coerced = this.toInteger(value, rule.parse || 'strict');
+        break;
+      case 'decimal':
+        coerced = this.toDecimal(value, rule.scale, rule.rounding || 'half-up', rule.parse || 'strict');
+        break;
+      case 'date':
+        coerced = this.toDate(value);
+        break;
+      case 'enum':
+        coerced = this.toEnumValue(value, rule.values, rule.caseInsensitive);
+        break;
+      default:
+        return this.truncate(value, rule, column);
+    }
+
+    if (coerced !== undefined) {
+      return coerced;
+    }
+
+    switch (rule.onInvalid || 'fail') {
+      case 'null':
+        return null;
+      case 'default':
+        return rule.default;
+      default: {
+        const text = Buffer.isBuffer(value) ? '<binary>' : String(value).substring(0, 50);
+        const error = new Error(`Column '${column}': cannot coerce '${text}' to ${rule.type}`);
+        error.code = 'COERCION_FAILED';
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Convert a value to an integer
+   * @param {*} value - Value
+   * @param {string} parse - 'strict' (whole value must be an integer) or 'lenient' (leading number, truncated)
+   * @returns {number|string|undefined} Integer (digit string beyond the safe range), undefined if invalid
+   */
+  toInteger(value, parse) {
+    if (typeof value === 'bigint') {
+      return value;
+    }
+    if (typeof value === 'boolean') {
+      return value ? 1 : 0;
+    }
+
+    const decimal = this.parseDecimal(value, parse);
+    if (!decimal || (parse === 'strict' && decimal.fraction.replace(/0+$/, '') !== '')) {
+      return undefined;
+    }
+    const integer = BigInt(`${decimal.negative ? '-' : ''}${decimal.integer}`);
+    return this.fromBigInt(integer);
+  }
+
+  /**
+   * Convert a value to a decimal with a fixed scale
+   * @param {*} value - Value
+   * @param {number} scale - Decimal places
+   * @param {string} rounding - Rounding mode
+   * @param {string} parse - 'strict' or 'lenient'
+   * @returns {string|undefined} Decimal string, undefined if invalid
+   */
+  toDecimal(value, scale, rounding, parse) {
+    const decimal = this.parseDecimal(value, parse);
+    if (!decimal) {
+      return undefined;
+    }
+
+    // Work on the absolute value in units of 10^-scale, rounding away the remaining digits
+    const digits = decimal.integer + decimal.fraction.padEnd(scale, '0');
+    const extra = Math.max(0, decimal.fraction.length - scale);
+    const divisor = 10n ** BigInt(extra);
+    let units = BigInt(digits) / divisor;
+    const remainder = BigInt(digits) % divisor;
+
+    if (remainder > 0n) {
+      const twice = remainder * 2n;
+      const roundUp = {
+        'half-up': twice >= divisor,
+        'half-even': twice > divisor || (twice === divisor && units % 2n === 1n),
+        up: true,
+        down: false,
+        ceil: !decimal.negative,
+        floor: decimal.negative
+      }[rounding];
+      if (roundUp) {
+        units += 1n;
+      }
+    }
+
+    const text = units.toString().padStart(scale + 1, '0');
+    const integerPart = text.substring(0, text.length - scale);
+    const fractionPart = text.substring(text.length - scale);
+    const sign = decimal.negative && units !== 0n ? '-' : '';
+    return scale > 0 ? `${sign}${integerPart}.${fractionPart}` : `${sign}${integerPart}`;
+  }
+
+  /**
+   * Parse a number or numeric string
+   * @param {*} value - Value
+   * @param {string} parse - 'strict' (whole value) or 'lenient' (leading number, e.g. "12.5 kg")
+   * @returns {Object|null} { negative, integer, fraction } digit strings, or null if not a number
+   */
+  parseDecimal(value, parse) {
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) {
+        return null;
+      }
+      // Shortest round-trip form; exponent notation is handled below
+      value = String(value);
+    }
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const pattern = parse === 'lenient'
+      ? /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?/i
+      : /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?\s*$/i;
+    const match = value.match(pattern);
+    if (!match || (match[2] === '' && (match[3] || '') === '')) {
+      return null;
+    }
+
+    let integer = match[2] || '0';
+    let fraction = match[3] || '';
+    const exponent = match[4] ? parseInt(match[4], 10) : 0;
+    if (exponent > 0) {
+      const shifted = fraction.padEnd(exponent, '0');
+      integer += shifted.substring(0, exponent);
+      fraction = shifted.substring(exponent);
+    } else if (exponent < 0) {
+      const shifted = integer.padStart(-exponent + 1, '0');
+      fraction = shifted.substring(shifted.length + exponent) + fraction;
+      integer = shifted.substring(0, shifted.length + exponent);
+    }
+
+    return { negative: match[1] === '-', integer: integer.replace(/^0+(?=\d)/, ''), fraction };
+  }
+
+  /**
+   * Convert a date, datetime or timestamp to its date part
+   * @param {*} value - Date object or 'YYYY-MM-DD[ HH:MM:SS]' string
+   * @returns {string|undefined} 'YYYY-MM-DD', undefined if invalid
+   */
+  toDate(value) {
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) {
+        return undefined;
+      }
+      // Dates are read and written in the connection's (local) time zone
+      const pad = number => String(number).padStart(2, '0');
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    if (typeof value === 'string') {
+      const match = value.trim().match(/^(\d{4}-\d{2}-\d{2})(?:[ T]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)?$/);
+      return match ? match[1] : undefined;
+    }
+    return undefined;
+  }
+
+  /**
+   * Match a value against the allowed enum values
+   * @param {*} value - Value
+   * @param {Array} values - Allowed values
+   * @param {boolean} caseInsensitive - Compare case-insensitively
+   * @returns {string|undefined} Allowed value (as configured), undefined if invalid
+   */
+  toEnumValue(value, values, caseInsensitive) {
+    const text = String(value);
+    const normalize = item => (caseInsensitive ? String(item).toLowerCase() : String(item));
+    return values.find(item => normalize(item) === normalize(text));
+  }
+
+  /**
+   * Cut a text value to the rule's maxLength
+   * @param {*} value - Value
+   * @param {Object} rule - String rule
+   * @param {string} column - Column name
+   * @returns {*} Value, cut to maxLength characters
+   */
+  truncate(value, rule, column) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    const chars = Array.from(value);
+    if (chars.length <= rule.maxLength) {
+      return value;
+    }
+
+    if (rule.onTruncate === 'fail') {
+      const error = new Error(`Column '${column}': value of ${chars.length} characters exceeds maxLength ${rule.maxLength}`);
+      error.code = 'COERCION_FAILED';
+      throw error;
+    }
+    this.truncations.set(column, (this.truncations.get(column) || 0) + 1);
+    this.totalTruncations.set(column, (this.totalTruncations.get(column) || 0) + 1);
+    return chars.slice(0, rule.maxLength).join('');
+  }
+
+  /**
+   * Get the number of truncated values per column since the last call, and reset the counts
+   * @returns {Map} Column name -> number of truncated values
+   */
+  takeTruncations() {
+    const truncations = this.truncations;
+    this.truncations = new Map();
+    return truncations;
+  }
+
+  /**
+   * Convert a BigInt to a number when it is exactly representable
+   * @param {bigint} value - Integer
+   * @returns {number|string} Number, or a digit string outside the safe integer range
+   */
+  fromBigInt(value) {
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : value.toString();
+  }
+
+  /**
+   * Describe a rule for log messages
+   * @param {Object} rule - Coercion rule
+   * @returns {string} e.g. "decimal(scale 2, half-up), invalid values fail the row"
+   */
+  describeRule(rule) {
+    if (rule.type === 'string') {
+      return `string (cut to ${rule.maxLength} characters${rule.onTruncate === 'fail' ? ', longer values fail the row' : ''})`;
+    }
+
+    let details;
+    switch (rule.type) {
+      case 'int':
+        details = `int (${rule.parse || 'strict'} parse)`;
+        break;
+      case 'decimal':
+        details = `decimal (scale ${rule.scale}, ${rule.rounding || 'half-up'} rounding)`;
+        break;
+      case 'date':
+        details = 'date (time part removed)';
+        break;
+      default:
+        details = `enum (${rule.values.join(', ')}${rule.caseInsensitive ? ', case-insensitive' : ''})`;
+    }
+
+    const invalid = {
+      fail: 'invalid values fail the row',
+      null: 'invalid values become NULL',
+      default: `invalid values become ${JSON.stringify(rule.default)}`
+    }[rule.onInvalid || 'fail'];
+    return `${details}, ${invalid}`;
+  }
+}
+
+/**
+ * Supported target types, invalid value policies and decimal rounding modes
+ */
+TypeCoercer.TYPES = ['int', 'decimal', 'date', 'string', 'enum'];
+TypeCoercer.INVALID_POLICIES = ['fail', 'null', 'default'];
+TypeCoercer.ROUNDING_MODES = ['half-up', 'half-even', 'up', 'down', 'ceil', 'floor'];
+
+module.exports = TypeCoercer;